@@ -0,0 +1,220 @@
+import {
+  parseInlineMarkdown,
+  isSafeUrl,
+  toPlainText,
+  compileGlossaryDefinitions,
+} from '../src/definition-markdown.js';
+
+describe('parseInlineMarkdown', () => {
+  it('should keep plain text as a single text node', () => {
+    expect(parseInlineMarkdown('A set of rules.')).toEqual([
+      { type: 'text', value: 'A set of rules.' },
+    ]);
+  });
+
+  it('should parse code spans, emphasis and strong emphasis', () => {
+    expect(parseInlineMarkdown('Run `npm i` to *install* it __now__')).toEqual([
+      { type: 'text', value: 'Run ' },
+      { type: 'inlineCode', value: 'npm i' },
+      { type: 'text', value: ' to ' },
+      { type: 'emphasis', children: [{ type: 'text', value: 'install' }] },
+      { type: 'text', value: ' it ' },
+      { type: 'strong', children: [{ type: 'text', value: 'now' }] },
+    ]);
+  });
+
+  it('should parse nested emphasis', () => {
+    expect(parseInlineMarkdown('*a **b** c*')).toEqual([
+      {
+        type: 'emphasis',
+        children: [
+          { type: 'text', value: 'a ' },
+          { type: 'strong', children: [{ type: 'text', value: 'b' }] },
+          { type: 'text', value: ' c' },
+        ],
+      },
+    ]);
+  });
+
+  it('should parse three delimiters as strong emphasis inside emphasis', () => {
+    const both = text => ({
+      type: 'emphasis',
+      children: [{ type: 'strong', children: [{ type: 'text', value: text }] }],
+    });
+
+    expect(parseInlineMarkdown('***both***')).toEqual([both('both')]);
+    expect(parseInlineMarkdown('___both___')).toEqual([both('both')]);
+    expect(parseInlineMarkdown('***both** emphasis*')).toEqual([
+      {
+        type: 'emphasis',
+        children: [
+          { type: 'strong', children: [{ type: 'text', value: 'both' }] },
+          { type: 'text', value: ' emphasis' },
+        ],
+      },
+    ]);
+    expect(parseInlineMarkdown('***both* strong**')).toEqual([
+      {
+        type: 'strong',
+        children: [
+          { type: 'emphasis', children: [{ type: 'text', value: 'both' }] },
+          { type: 'text', value: ' strong' },
+        ],
+      },
+    ]);
+  });
+
+  it('should not treat markdown inside code spans as formatting', () => {
+    expect(parseInlineMarkdown('`*not emphasis*` and ``a ` tick``')).toEqual([
+      { type: 'inlineCode', value: '*not emphasis*' },
+      { type: 'text', value: ' and ' },
+      { type: 'inlineCode', value: 'a ` tick' },
+    ]);
+  });
+
+  it('should leave stray delimiters, intraword underscores and escapes as text', () => {
+    expect(parseInlineMarkdown('2 * 3 * 4, snake_case_name, \\*literal\\*, **open')).toEqual([
+      { type: 'text', value: '2 * 3 * 4, snake_case_name, *literal*, **open' },
+    ]);
+  });
+
+  it('should decode HTML entities outside code spans', () => {
+    expect(parseInlineMarkdown('AT&amp;T &lt;b&gt; &copy; &#169; &#x2014; `&amp;`')).toEqual([
+      { type: 'text', value: 'AT&T <b> © © — ' },
+      { type: 'inlineCode', value: '&amp;' },
+    ]);
+  });
+
+  it('should keep unknown and escaped entities as written', () => {
+    expect(parseInlineMarkdown('&bogus; \\&amp; & &#;')).toEqual([
+      { type: 'text', value: '&bogus; &amp; & &#;' },
+    ]);
+  });
+
+  it('should decode entities in links before checking their protocol', () => {
+    expect(parseInlineMarkdown('[Q&amp;A](/faq?a=1&amp;b=2)')).toEqual([
+      { type: 'link', url: '/faq?a=1&b=2', children: [{ type: 'text', value: 'Q&A' }] },
+    ]);
+    expect(parseInlineMarkdown('[x](javascript&colon;alert(1))')).toEqual([
+      { type: 'text', value: 'x' },
+    ]);
+  });
+
+  it('should parse links, including balanced parentheses and titles', () => {
+    expect(
+      parseInlineMarkdown('See [RFC 9110](https://www.rfc-editor.org/rfc/rfc9110 "HTTP")')
+    ).toEqual([
+      { type: 'text', value: 'See ' },
+      {
+        type: 'link',
+        url: 'https://www.rfc-editor.org/rfc/rfc9110',
+        children: [{ type: 'text', value: 'RFC 9110' }],
+      },
+    ]);
+    expect(
+      parseInlineMarkdown('[REST](https://en.wikipedia.org/wiki/REST_(disambiguation))')
+    ).toEqual([
+      {
+        type: 'link',
+        url: 'https://en.wikipedia.org/wiki/REST_(disambiguation)',
+        children: [{ type: 'text', value: 'REST' }],
+      },
+    ]);
+  });
+
+  it('should parse formatting inside link text and site-relative links', () => {
+    expect(parseInlineMarkdown('[the `fetch` guide](/docs/fetch)')).toEqual([
+      {
+        type: 'link',
+        url: '/docs/fetch',
+        children: [
+          { type: 'text', value: 'the ' },
+          { type: 'inlineCode', value: 'fetch' },
+          { type: 'text', value: ' guide' },
+        ],
+      },
+    ]);
+  });
+
+  it('should parse autolinks', () => {
+    expect(parseInlineMarkdown('<https://example.com>')).toEqual([
+      {
+        type: 'link',
+        url: 'https://example.com',
+        children: [{ type: 'text', value: 'https://example.com' }],
+      },
+    ]);
+  });
+
+  it('should render links with unsafe protocols as their text', () => {
+    expect(parseInlineMarkdown('Click [here](javascript:alert(1)) now')).toEqual([
+      { type: 'text', value: 'Click here now' },
+    ]);
+  });
+
+  it('should render images as their alt text', () => {
+    expect(parseInlineMarkdown('A ![*diagram*](/img/flow.png) here')).toEqual([
+      { type: 'text', value: 'A ' },
+      { type: 'emphasis', children: [{ type: 'text', value: 'diagram' }] },
+      { type: 'text', value: ' here' },
+    ]);
+  });
+
+  it('should keep unsupported syntax as text', () => {
+    const source = '# Title, ~~struck~~, [ref][1], [^note] and a line  \nbreak';
+
+    expect(parseInlineMarkdown(source)).toEqual([{ type: 'text', value: source }]);
+  });
+
+  it('should keep raw HTML as text', () => {
+    expect(parseInlineMarkdown('<img src=x onerror=alert(1)>')).toEqual([
+      { type: 'text', value: '<img src=x onerror=alert(1)>' },
+    ]);
+  });
+});
+
+describe('isSafeUrl', () => {
+  it.each(['https://example.com', 'mailto:team@example.com', '/docs/intro', '#api', '../a'])(
+    'should accept %s',
+    url => {
+      expect(isSafeUrl(url)).toBe(true);
+    }
+  );
+
+  it.each([
+    'javascript:alert(1)',
+    'JavaScript:alert(1)',
+    'java\tscript:alert(1)',
+    'data:text/html,x',
+  ])('should reject %s', url => {
+    expect(isSafeUrl(url)).toBe(false);
+  });
+});
+
+describe('toPlainText', () => {
+  it('should flatten nodes to their text', () => {
+    expect(toPlainText(parseInlineMarkdown('Use **`npm`** [now](https://x.org)'))).toBe(
+      'Use npm now'
+    );
+  });
+});
+
+describe('compileGlossaryDefinitions', () => {
+  it('should add the compiled definition to every term', () => {
+    const data = { title: 'Glossary', terms: [{ term: 'API', definition: 'An *interface*' }] };
+
+    expect(compileGlossaryDefinitions(data)).toEqual({
+      title: 'Glossary',
+      terms: [
+        {
+          term: 'API',
+          definition: 'An *interface*',
+          definitionAst: [
+            { type: 'text', value: 'An ' },
+            { type: 'emphasis', children: [{ type: 'text', value: 'interface' }] },
+          ],
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import path from 'path';
+import fs from 'fs-extra';
+import nodeFs from 'fs';
+import os from 'os';
+import { GlossaryRebuildPlugin } from '../src/glossary-rebuild-plugin';
+import remarkGlossaryTerms, { clearGlossaryCache } from '../src/remark/glossary-terms';
+
+// Minimal webpack compiler: `compile` runs the compilation hook and collects the needBuild
+// taps, the first compilation starting when the plugin is applied
+function createCompiler({ needBuild = true } = {}) {
+  const needBuildTaps = [];
+  const compilationTaps = [];
+  const compile = () => compilationTaps.forEach(fn => fn({}));
+  const compiler = {
+    webpack: {
+      NormalModule: {
+        getCompilationHooks: () =>
+          needBuild ? { needBuild: { tap: (name, fn) => needBuildTaps.push(fn) } } : {},
+      },
+    },
+    hooks: {
+      compilation: {
+        tap: (name, fn) => {
+          compilationTaps.push(fn);
+          fn({});
+        },
+      },
+    },
+  };
+  return { compiler, needBuildTaps, compile };
+}
+
+describe('GlossaryRebuildPlugin', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'glossary-rebuild-'));
+    clearGlossaryCache();
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    clearGlossaryCache();
+    await fs.remove(tempDir);
+  });
+
+  it('should rebuild pages compiled with a glossary that changed since', async () => {
+    const glossaryFile = path.join(tempDir, 'glossary.json');
+    const pagePath = path.join(tempDir, 'docs/intro.md');
+    await fs.writeJson(glossaryFile, { terms: [{ term: 'API', definition: 'Interface' }] });
+    remarkGlossaryTerms({ glossaryPath: 'glossary.json', siteDir: tempDir })(
+      { type: 'root', children: [] },
+      { path: pagePath, data: {} }
+    );
+    const { compiler, needBuildTaps, compile } = createCompiler();
+    new GlossaryRebuildPlugin().apply(compiler);
+
+    expect(needBuildTaps[0]({ resource: `${pagePath}?truncated=true` })).toBeUndefined();
+
+    await fs.writeJson(glossaryFile, { terms: [{ term: 'API', definition: 'A new definition' }] });
+    compile();
+    const needBuild = needBuildTaps[1];
+
+    expect(needBuild({ resource: `${pagePath}?truncated=true` })).toBe(true);
+    expect(needBuild({ resourceResolveData: { path: pagePath } })).toBe(true);
+    expect(needBuild({ resource: path.join(tempDir, 'docs/other.md') })).toBeUndefined();
+    expect(needBuild({})).toBeUndefined();
+  });
+
+  it('should check the glossary files once per compilation', async () => {
+    const glossaryFile = path.join(tempDir, 'glossary.json');
+    const [firstPage, ...otherPages] = ['intro', 'guide', 'faq'].map(name =>
+      path.join(tempDir, `docs/${name}.md`)
+    );
+    await fs.writeJson(glossaryFile, { terms: [{ term: 'API', definition: 'Interface' }] });
+    const { compiler, needBuildTaps, compile } = createCompiler();
+    new GlossaryRebuildPlugin().apply(compiler);
+    const transformer = remarkGlossaryTerms({ glossaryPath: 'glossary.json', siteDir: tempDir });
+    const transform = pagePath =>
+      transformer({ type: 'root', children: [] }, { path: pagePath, data: {} });
+    const statSync = jest.spyOn(nodeFs, 'statSync');
+
+    transform(firstPage);
+    const stats = statSync.mock.calls.length;
+    otherPages.forEach(transform);
+    [firstPage, ...otherPages].forEach(pagePath =>
+      expect(needBuildTaps[0]({ resource: pagePath })).toBeUndefined()
+    );
+    expect(statSync).toHaveBeenCalledTimes(stats);
+
+    await fs.writeJson(glossaryFile, { terms: [{ term: 'API', definition: 'A new definition' }] });
+    compile();
+
+    expect(needBuildTaps[1]({ resource: firstPage })).toBe(true);
+    const staleStats = statSync.mock.calls.length;
+    otherPages.forEach(pagePath => expect(needBuildTaps[1]({ resource: pagePath })).toBe(true));
+    expect(statSync).toHaveBeenCalledTimes(staleStats);
+  });
+
+  it('should do nothing with bundlers lacking the needBuild hook', () => {
+    const compiler = { hooks: { compilation: { tap: jest.fn() } } };
+    new GlossaryRebuildPlugin().apply(compiler);
+    expect(compiler.hooks.compilation.tap).not.toHaveBeenCalled();
+
+    const { compiler: withoutNeedBuild, needBuildTaps } = createCompiler({ needBuild: false });
+    new GlossaryRebuildPlugin().apply(withoutNeedBuild);
+    expect(needBuildTaps).toHaveLength(0);
+  });
+});
@@ -0,0 +1,122 @@
+import {
+  createGlossaryReport,
+  formatReportSummary,
+  getReportFileName,
+} from '../src/glossary-report';
+
+const terms = [
+  { term: 'API', definition: 'Application Programming Interface' },
+  { term: 'REST', definition: 'Representational State Transfer' },
+  { term: 'SDK', definition: 'Software Development Kit', autoLink: false },
+  { term: 'CLI', definition: 'Command Line Interface', autoLink: false },
+  { term: 'YAML', definition: 'YAML Ain’t Markup Language' },
+];
+
+const scans = [
+  {
+    source: 'docs/api.md',
+    filePath: '/site/docs/api.md',
+    permalink: '/docs/api',
+    title: 'API guide',
+    linkedTerms: { API: 4, REST: 1 },
+    manualTerms: { SDK: 1 },
+    wordCount: 200,
+  },
+  {
+    source: 'docs/intro.md',
+    filePath: '/site/docs/intro.md',
+    permalink: '/docs/intro',
+    linkedTerms: { API: 2 },
+    manualTerms: {},
+    wordCount: 20,
+  },
+  {
+    source: 'blog/news.md',
+    filePath: '/site/blog/news.md',
+    permalink: '/blog/news',
+    linkedTerms: {},
+    manualTerms: {},
+    wordCount: 50,
+  },
+];
+
+describe('createGlossaryReport', () => {
+  it('should report unused, most used and manual-only terms and the densest pages', () => {
+    expect(createGlossaryReport({ terms, scans })).toEqual({
+      pagesScanned: 3,
+      termCount: 5,
+      unusedTerms: ['YAML'],
+      mostUsedTerms: [
+        { term: 'API', count: 6, linked: 6, manual: 0, pages: 2 },
+        { term: 'REST', count: 1, linked: 1, manual: 0, pages: 1 },
+        { term: 'SDK', count: 1, linked: 0, manual: 1, pages: 1 },
+      ],
+      densestPages: [
+        {
+          source: 'docs/intro.md',
+          permalink: '/docs/intro',
+          wordCount: 20,
+          termCount: 2,
+          density: 10,
+        },
+        {
+          source: 'docs/api.md',
+          permalink: '/docs/api',
+          title: 'API guide',
+          wordCount: 200,
+          termCount: 6,
+          density: 3,
+        },
+      ],
+      unusedManualTerms: ['CLI'],
+    });
+  });
+
+  it('should report every term as unused when no page was scanned', () => {
+    const report = createGlossaryReport({ terms, scans: [] });
+
+    expect(report.unusedTerms).toEqual(['API', 'REST', 'YAML']);
+    expect(report.unusedManualTerms).toEqual(['SDK', 'CLI']);
+    expect(report.mostUsedTerms).toEqual([]);
+    expect(report.densestPages).toEqual([]);
+  });
+});
+
+describe('formatReportSummary', () => {
+  it('should summarize each list of the report', () => {
+    const summary = formatReportSummary(
+      createGlossaryReport({ terms, scans }),
+      'build/glossary-report.json'
+    );
+
+    expect(summary).toBe(
+      [
+        '[glossary-plugin] Glossary report: 5 terms, 3 pages scanned',
+        '  Unused terms (1): YAML',
+        '  Most used terms: API (6), REST (1), SDK (1)',
+        '  Densest pages: /docs/intro (10 per 100 words), /docs/api (3 per 100 words)',
+        '  Terms with autoLink: false never written as <GlossaryTerm> (1): CLI',
+        '  Full report: build/glossary-report.json',
+      ].join('\n')
+    );
+  });
+
+  it('should shorten long lists', () => {
+    const manyTerms = Array.from({ length: 7 }, (_, index) => ({
+      term: `Term ${index + 1}`,
+      definition: 'Definition',
+    }));
+
+    expect(
+      formatReportSummary(createGlossaryReport({ terms: manyTerms, scans: [] }), 'r.json')
+    ).toContain('  Unused terms (7): Term 1, Term 2, Term 3, Term 4, Term 5, and 2 more');
+  });
+});
+
+describe('getReportFileName', () => {
+  it('should suffix the file name with the id of non-default instances', () => {
+    expect(getReportFileName()).toBe('glossary-report.json');
+    expect(getReportFileName('default')).toBe('glossary-report.json');
+    expect(getReportFileName('product-b')).toBe('glossary-report-product-b.json');
+  });
+});
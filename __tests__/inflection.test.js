@@ -0,0 +1,65 @@
+import { englishInflector, resolveInflector } from '../src/remark/inflection';
+
+describe('englishInflector', () => {
+  const plurals = phrase => englishInflector(phrase).filter(form => !/['’]/.test(form));
+
+  it('should pluralize regular words', () => {
+    expect(plurals('webhook')).toEqual(['webhooks']);
+    expect(plurals('Deploy')).toEqual(['Deploys']);
+    expect(plurals('box')).toEqual(['boxes']);
+    expect(plurals('branch')).toEqual(['branches']);
+    expect(plurals('status')).toEqual(['statuses']);
+  });
+
+  it('should turn a consonant and y into -ies', () => {
+    expect(plurals('Proxy')).toEqual(['Proxies']);
+    expect(plurals('policy')).toEqual(['policies']);
+    expect(plurals('key')).toEqual(['keys']);
+  });
+
+  it('should handle -sis and irregular plurals, keeping the case of the first letter', () => {
+    expect(plurals('analysis')).toEqual(['analyses']);
+    expect(plurals('Index')).toEqual(['Indices', 'Indexes']);
+    expect(plurals('child')).toEqual(['children']);
+    expect(plurals('Schema')).toEqual(['Schemas', 'Schemata']);
+  });
+
+  it('should only add an s to acronyms', () => {
+    expect(plurals('API')).toEqual(['APIs']);
+    expect(plurals('OS')).toEqual(['OSs']);
+    expect(plurals('HTTP2')).toEqual(['HTTP2s']);
+  });
+
+  it('should inflect the last word of a phrase', () => {
+    expect(plurals('pull request')).toEqual(['pull requests']);
+    expect(plurals('Certificate Authority')).toEqual(['Certificate Authorities']);
+  });
+
+  it('should add possessives of the phrase and its plurals', () => {
+    expect(englishInflector('API')).toEqual(['APIs', "API's", 'API’s', "APIs'", 'APIs’']);
+    expect(englishInflector('child')).toEqual(
+      expect.arrayContaining(["child's", "children's", 'children’s'])
+    );
+    expect(englishInflector('bus')).toEqual(expect.arrayContaining(["bus's", "bus'", "buses'"]));
+  });
+});
+
+describe('resolveInflector', () => {
+  it('should resolve the built-in inflectors', () => {
+    expect(resolveInflector('english')).toBe(englishInflector);
+    expect(resolveInflector(false)('API')).toEqual([]);
+  });
+
+  it('should keep the strings returned by custom inflectors', () => {
+    const inflect = resolveInflector(phrase => [`${phrase}en`, null, 42]);
+
+    expect(inflect('Server')).toEqual(['Serveren']);
+    expect(resolveInflector(() => undefined)('Server')).toEqual([]);
+  });
+
+  it('should reject unknown inflectors', () => {
+    expect(() => resolveInflector('german')).toThrow(
+      `Option "inflector" must be 'english', false or a function, got "german"`
+    );
+  });
+});
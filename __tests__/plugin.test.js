@@ -1,7 +1,13 @@
 import path from 'path';
 import fs from 'fs-extra';
 import os from 'os';
-import glossaryPluginModule from '../src/index';
+import glossaryPluginModule, {
+  getRemarkPlugin,
+  GlossaryValidationError,
+  remarkPlugin,
+} from '../src/index';
+import * as termUsageModule from '../src/term-usage';
+import { GlossaryRebuildPlugin } from '../src/glossary-rebuild-plugin';
 
 const glossaryPlugin = glossaryPluginModule.default || glossaryPluginModule;
 
@@ -45,6 +51,27 @@ describe('glossaryPlugin', () => {
     expect(content.terms[1].term).toBe('REST');
   });
 
+  it('should let the title and description options override the glossary file', async () => {
+    await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+      title: 'File Title',
+      description: 'File description',
+      terms: [{ term: 'API', definition: 'Application Programming Interface' }],
+    });
+
+    const defaults = await glossaryPlugin(context, {}).loadContent();
+    const overridden = await glossaryPlugin(context, {
+      title: 'Billing Glossary',
+      description: 'Billing vocabulary',
+    }).loadContent();
+
+    expect(defaults).toMatchObject({ title: 'File Title', description: 'File description' });
+    expect(overridden).toMatchObject({
+      title: 'Billing Glossary',
+      description: 'Billing vocabulary',
+    });
+    expect(overridden.terms).toHaveLength(1);
+  });
+
   it('should load glossary content from custom path', async () => {
     // Create custom path glossary
     await fs.ensureDir(path.join(tempDir, 'custom'));
@@ -61,6 +88,628 @@ describe('glossaryPlugin', () => {
     expect(content.terms[0].term).toBe('Custom');
   });
 
+  it('should load glossary content from a YAML file', async () => {
+    await fs.writeFile(
+      path.join(tempDir, 'glossary/glossary.yml'),
+      [
+        'title: YAML Glossary',
+        'terms:',
+        '  # Comments are allowed in YAML glossaries',
+        '  - term: API',
+        '    definition: >-',
+        '      Application Programming',
+        '      Interface',
+        '    aliases: [APIs]',
+      ].join('\n')
+    );
+
+    const plugin = glossaryPlugin(context, { glossaryPath: 'glossary/glossary.yml' });
+    const content = await plugin.loadContent();
+
+    expect(content.title).toBe('YAML Glossary');
+    expect(content.terms).toEqual([
+      { term: 'API', definition: 'Application Programming Interface', aliases: ['APIs'] },
+    ]);
+  });
+
+  it('should validate YAML glossary content', async () => {
+    await fs.writeFile(
+      path.join(tempDir, 'glossary/glossary.yaml'),
+      ['terms:', '  - term: API', '    definition: An interface', '  - term: Broken'].join('\n')
+    );
+    const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+    const plugin = glossaryPlugin(context, { glossaryPath: 'glossary/glossary.yaml' });
+    const content = await plugin.loadContent();
+
+    expect(content.terms).toHaveLength(1);
+    expect(consoleSpy).toHaveBeenCalledWith(
+      expect.stringContaining('[glossary-plugin] Glossary file has validation errors')
+    );
+
+    consoleSpy.mockRestore();
+  });
+
+  describe('onValidationError', () => {
+    beforeEach(async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+        terms: [
+          { term: 'API', definition: 'Interface', relatedTerms: ['GraphQL'] },
+          { term: 'Broken' },
+        ],
+      });
+    });
+
+    it('should fail the build listing every problem when set to "throw"', async () => {
+      const plugin = glossaryPlugin(context, { onValidationError: 'throw' });
+      const glossaryFilePath = path.join(tempDir, 'glossary/glossary.json');
+
+      const error = await plugin.loadContent().catch(err => err);
+
+      expect(error).toBeInstanceOf(GlossaryValidationError);
+      expect(error.errors).toEqual([
+        expect.objectContaining({ field: 'terms[1].definition', file: glossaryFilePath }),
+        expect.objectContaining({ field: 'terms[0].relatedTerms[0]', file: glossaryFilePath }),
+      ]);
+      expect(error.message).toContain('Glossary validation failed with 2 errors');
+    });
+
+    it('should keep the valid terms without logging when set to "ignore"', async () => {
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      const plugin = glossaryPlugin(context, { onValidationError: 'ignore' });
+      const content = await plugin.loadContent();
+
+      expect(content.terms.map(t => t.term)).toEqual(['API']);
+      expect(consoleSpy).not.toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    it('should be passed on to the remark plugin', () => {
+      const [, remarkOptions] = getRemarkPlugin(
+        { onValidationError: 'throw' },
+        { siteDir: tempDir }
+      );
+
+      expect(remarkOptions.onValidationError).toBe('throw');
+    });
+  });
+
+  it('should pass undefinedAcronyms on to the remark plugin', () => {
+    const undefinedAcronyms = { allowlist: ['OK'], onUndefinedAcronym: 'throw' };
+    const [, remarkOptions] = getRemarkPlugin({ undefinedAcronyms }, { siteDir: tempDir });
+
+    expect(remarkOptions.undefinedAcronyms).toBe(undefinedAcronyms);
+    expect(getRemarkPlugin({}, { siteDir: tempDir })[1]).not.toHaveProperty('undefinedAcronyms');
+  });
+
+  it('should pass the link limit options on to the remark plugin', () => {
+    const [, remarkOptions] = getRemarkPlugin(
+      { maxLinksPerTerm: 2, linkLimitScope: 'section' },
+      { siteDir: tempDir }
+    );
+
+    expect(remarkOptions).toMatchObject({ maxLinksPerTerm: 2, linkLimitScope: 'section' });
+    expect(
+      getRemarkPlugin({ linkFirstOccurrenceOnly: true }, { siteDir: tempDir })[1]
+    ).toMatchObject({ linkFirstOccurrenceOnly: true });
+    expect(getRemarkPlugin({}, { siteDir: tempDir })[1]).not.toHaveProperty('maxLinksPerTerm');
+  });
+
+  it('should reject a maxLinksPerTerm of 0 instead of dropping it', () => {
+    const [remarkPlugin, remarkOptions] = getRemarkPlugin(
+      { maxLinksPerTerm: 0 },
+      { siteDir: tempDir }
+    );
+
+    expect(remarkOptions.maxLinksPerTerm).toBe(0);
+    expect(() => remarkPlugin(remarkOptions)).toThrow(
+      'Option "maxLinksPerTerm" must be a positive integer, got 0'
+    );
+  });
+
+  it('should pass the inflector on to the remark plugin', () => {
+    const inflector = phrase => [`${phrase}n`];
+
+    expect(getRemarkPlugin({ inflector }, { siteDir: tempDir })[1].inflector).toBe(inflector);
+    expect(getRemarkPlugin({ inflector: false }, { siteDir: tempDir })[1].inflector).toBe(false);
+    expect(getRemarkPlugin({}, { siteDir: tempDir })[1]).not.toHaveProperty('inflector');
+  });
+
+  it('should pass wordBoundaries on to the remark plugin', () => {
+    const [, remarkOptions] = getRemarkPlugin(
+      { wordBoundaries: 'segmenter' },
+      { siteDir: tempDir, i18n: { currentLocale: 'ja', defaultLocale: 'ja' } }
+    );
+
+    expect(remarkOptions).toMatchObject({ wordBoundaries: 'segmenter', locale: 'ja' });
+    expect(getRemarkPlugin({}, { siteDir: tempDir })[1]).not.toHaveProperty('wordBoundaries');
+  });
+
+  it('should pass includePaths and excludePaths on to the remark plugin', () => {
+    const [, remarkOptions] = getRemarkPlugin(
+      { includePaths: ['docs/**'], excludePaths: ['docs/changelog.md'] },
+      { siteDir: tempDir }
+    );
+
+    expect(remarkOptions).toMatchObject({
+      includePaths: ['docs/**'],
+      excludePaths: ['docs/changelog.md'],
+    });
+    expect(getRemarkPlugin({ excludePaths: [] }, { siteDir: tempDir })[1]).not.toHaveProperty(
+      'excludePaths'
+    );
+  });
+
+  describe('validation error positions', () => {
+    let consoleSpy;
+
+    beforeEach(() => {
+      consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      consoleSpy.mockRestore();
+    });
+
+    it('should report the line and column of errors in JSON glossaries', async () => {
+      const glossaryFile = path.join(tempDir, 'glossary/glossary.json');
+      await fs.writeJson(
+        glossaryFile,
+        {
+          terms: [
+            { term: 'API', definition: 'Interface' },
+            { term: 'SDK', definition: 'Kit', aliases: 'kits' },
+            { term: 'Broken' },
+          ],
+        },
+        { spaces: 2 }
+      );
+
+      const plugin = glossaryPlugin(context, {});
+      await plugin.loadContent();
+
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `  - ${glossaryFile}:10:18: [terms[1].aliases] Field "aliases" must be an array, got string`
+      );
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `  - ${glossaryFile}:12:5: [terms[2].definition] Missing required field "definition"`
+      );
+    });
+
+    it('should report the line and column of errors in YAML glossaries', async () => {
+      const glossaryFile = path.join(tempDir, 'glossary/glossary.yml');
+      await fs.writeFile(
+        glossaryFile,
+        [
+          'title: Glossary',
+          'terms:',
+          '  # Networking',
+          '  - term: API',
+          '    definition: An interface',
+          '    relatedTerms: [REST, 42]',
+        ].join('\n')
+      );
+
+      const plugin = glossaryPlugin(context, { glossaryPath: 'glossary/glossary.yml' });
+      await plugin.loadContent();
+
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `  - ${glossaryFile}:6:26: [terms[0].relatedTerms[1]] Related term must be a string, got number`
+      );
+    });
+
+    it('should report frontmatter positions in term files', async () => {
+      const termFile = path.join(tempDir, 'glossary/terms/api.md');
+      await fs.outputFile(
+        termFile,
+        '---\nterm: API\ncaseSensitive: yes please\n---\n\nAn interface.\n'
+      );
+
+      const plugin = glossaryPlugin(context, { glossaryPath: 'glossary/terms' });
+      await plugin.loadContent();
+
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining(`${termFile}:3:16: [terms[0].caseSensitive]`)
+      );
+    });
+  });
+
+  it('should throw a descriptive error for malformed YAML', async () => {
+    await fs.writeFile(path.join(tempDir, 'glossary/glossary.yml'), 'terms: [unclosed');
+
+    const plugin = glossaryPlugin(context, { glossaryPath: 'glossary/glossary.yml' });
+
+    await expect(plugin.loadContent()).rejects.toThrow(/Failed to parse glossary file at/);
+  });
+
+  describe('directory glossary source', () => {
+    const writeTermFile = (name, content) =>
+      fs.outputFile(path.join(tempDir, 'glossary/terms', name), content);
+
+    beforeEach(async () => {
+      await writeTermFile(
+        'api.md',
+        [
+          '---',
+          'term: API',
+          'abbreviation: Application Programming Interface',
+          'aliases: [APIs]',
+          'relatedTerms: [REST]',
+          '---',
+          '',
+          'A set of rules that lets programs talk to each other.',
+          '',
+        ].join('\n')
+      );
+      await writeTermFile(
+        'rest.mdx',
+        ['---', 'term: REST', 'autoLink: false', '---', 'An architectural style.'].join('\n')
+      );
+      await writeTermFile('_draft.md', '---\nterm: Draft\n---\nIgnored.');
+      await writeTermFile('notes.txt', 'Not a term file.');
+    });
+
+    it('should load one term per markdown file', async () => {
+      const plugin = glossaryPlugin(context, { glossaryPath: 'glossary/terms' });
+      const content = await plugin.loadContent();
+
+      expect(content.terms).toEqual([
+        {
+          term: 'API',
+          abbreviation: 'Application Programming Interface',
+          aliases: ['APIs'],
+          relatedTerms: ['REST'],
+          definition: 'A set of rules that lets programs talk to each other.',
+        },
+        { term: 'REST', autoLink: false, definition: 'An architectural style.' },
+      ]);
+    });
+
+    it('should point validation errors at the offending file', async () => {
+      await writeTermFile('broken.md', '---\nterm: Broken\n---\n');
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      const plugin = glossaryPlugin(context, { glossaryPath: 'glossary/terms' });
+      const content = await plugin.loadContent();
+
+      expect(content.terms).toHaveLength(2);
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining(
+          `${path.join(tempDir, 'glossary/terms/broken.md')}:4:1: [terms[1].definition]`
+        )
+      );
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should watch the term files of the directory', () => {
+      const plugin = glossaryPlugin(context, { glossaryPath: 'glossary/terms' });
+
+      expect(plugin.getPathsToWatch()).toEqual([path.join(tempDir, 'glossary/terms/*.{md,mdx}')]);
+    });
+  });
+
+  describe('localized glossaries', () => {
+    const frContext = () => ({
+      siteDir: tempDir,
+      localizationDir: path.join(tempDir, 'i18n/fr'),
+      i18n: { currentLocale: 'fr', defaultLocale: 'en' },
+    });
+
+    beforeEach(async () => {
+      await fs.outputJson(path.join(tempDir, 'i18n/fr/docusaurus-plugin-glossary/glossary.json'), {
+        title: 'Glossaire',
+        terms: [
+          { term: 'API', definition: 'Interface de programmation' },
+          { term: 'Charge utile', id: 'payload', definition: 'Données transmises' },
+        ],
+      });
+    });
+
+    it('should merge the locale glossary over the default one', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+        terms: [
+          { term: 'API', definition: 'Application Programming Interface', aliases: ['APIs'] },
+          { term: 'Payload', id: 'payload', definition: 'Data sent in a request' },
+          { term: 'REST', definition: 'Representational State Transfer' },
+        ],
+      });
+
+      const plugin = glossaryPlugin(frContext(), {});
+      const content = await plugin.loadContent();
+
+      expect(content.title).toBe('Glossaire');
+      expect(content.terms).toEqual([
+        { term: 'API', definition: 'Interface de programmation', aliases: ['APIs'] },
+        { term: 'Charge utile', id: 'payload', definition: 'Données transmises' },
+        { term: 'REST', definition: 'Representational State Transfer' },
+      ]);
+    });
+
+    it('should resolve related terms of localized entries against untranslated terms', async () => {
+      await fs.outputJson(path.join(tempDir, 'i18n/fr/docusaurus-plugin-glossary/glossary.json'), {
+        terms: [{ term: 'API', definition: 'Interface de programmation', relatedTerms: ['REST'] }],
+      });
+
+      const plugin = glossaryPlugin(frContext(), { onValidationError: 'throw' });
+      const content = await plugin.loadContent();
+
+      expect(content.terms[0].relatedTerms).toEqual(['REST']);
+    });
+
+    it('should report aliases of localized terms colliding with untranslated terms', async () => {
+      const localizedFilePath = path.join(
+        tempDir,
+        'i18n/fr/docusaurus-plugin-glossary/glossary.json'
+      );
+      await fs.outputJson(localizedFilePath, {
+        terms: [{ term: 'Interface', definition: 'Interface de programmation', aliases: ['REST'] }],
+      });
+
+      const plugin = glossaryPlugin(frContext(), { onValidationError: 'throw' });
+      const error = await plugin.loadContent().catch(err => err);
+
+      expect(error).toBeInstanceOf(GlossaryValidationError);
+      expect(error.errors).toEqual([
+        expect.objectContaining({
+          field: 'terms[0].aliases[0]',
+          file: localizedFilePath,
+          message: expect.stringContaining('Alias "REST" collides with the term "REST"'),
+        }),
+      ]);
+    });
+
+    it('should ignore locale glossaries when building the default locale', async () => {
+      const plugin = glossaryPlugin(
+        { ...frContext(), i18n: { currentLocale: 'en', defaultLocale: 'en' } },
+        {}
+      );
+      const content = await plugin.loadContent();
+
+      expect(content.terms[0].definition).toBe('Application Programming Interface');
+      expect(plugin.getPathsToWatch()).toHaveLength(1);
+    });
+
+    it('should use the instance id in the convention path', async () => {
+      await fs.outputJson(
+        path.join(tempDir, 'i18n/fr/docusaurus-plugin-glossary-product-b/glossary.json'),
+        { terms: [{ term: 'REST', definition: 'Transfert d’état représentationnel' }] }
+      );
+
+      const plugin = glossaryPlugin(frContext(), { id: 'product-b' });
+      const content = await plugin.loadContent();
+
+      expect(content.terms.map(t => t.definition)).toEqual([
+        'Application Programming Interface',
+        'Transfert d’état représentationnel',
+      ]);
+    });
+
+    it('should resolve a custom localizedGlossaryPath pattern', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary/glossary.fr.json'), {
+        terms: [{ term: 'REST', definition: 'Style d’architecture' }],
+      });
+
+      const plugin = glossaryPlugin(frContext(), {
+        localizedGlossaryPath: 'glossary/glossary.{locale}.json',
+      });
+      const content = await plugin.loadContent();
+
+      expect(content.terms[1].definition).toBe('Style d’architecture');
+      expect(plugin.getPathsToWatch()).toEqual([
+        path.join(tempDir, 'glossary/glossary.json'),
+        path.join(tempDir, 'glossary/glossary.fr.json'),
+      ]);
+    });
+  });
+
+  describe('translation files', () => {
+    const content = {
+      title: 'Glossary',
+      terms: [
+        {
+          term: 'API',
+          abbreviation: 'Application Programming Interface',
+          definition: 'A set of rules',
+          relatedTerms: ['Machine Learning'],
+        },
+        { term: 'Machine Learning', id: 'ml', definition: 'A type of AI' },
+      ],
+    };
+
+    it('should export every term as translatable messages keyed by term id', async () => {
+      const plugin = glossaryPlugin(context, {});
+      const translationFiles = await plugin.getTranslationFiles({ content });
+
+      expect(translationFiles).toHaveLength(1);
+      expect(translationFiles[0].path).toBe('translations');
+      expect(translationFiles[0].content).toEqual({
+        title: { message: 'Glossary', description: expect.any(String) },
+        'term.api.name': { message: 'API', description: expect.any(String) },
+        'term.api.definition': { message: 'A set of rules', description: expect.any(String) },
+        'term.api.abbreviation': {
+          message: 'Application Programming Interface',
+          description: expect.any(String),
+        },
+        'term.ml.name': { message: 'Machine Learning', description: expect.any(String) },
+        'term.ml.definition': { message: 'A type of AI', description: expect.any(String) },
+      });
+    });
+
+    it('should apply translated messages to the content', () => {
+      const plugin = glossaryPlugin(context, {});
+      const translated = plugin.translateContent({
+        content,
+        translationFiles: [
+          {
+            path: 'translations',
+            content: {
+              title: { message: 'Glossaire' },
+              'term.api.abbreviation': { message: 'Interface de programmation' },
+              'term.ml.name': { message: 'Apprentissage automatique' },
+              'term.ml.definition': { message: 'Un type d’IA' },
+            },
+          },
+        ],
+      });
+
+      expect(translated).toEqual({
+        title: 'Glossaire',
+        terms: [
+          {
+            term: 'API',
+            abbreviation: 'Interface de programmation',
+            definition: 'A set of rules',
+            relatedTerms: ['Machine Learning'],
+          },
+          { term: 'Apprentissage automatique', id: 'ml', definition: 'Un type d’IA' },
+        ],
+      });
+    });
+
+    it('should keep the original anchor id when a term name is translated', () => {
+      const plugin = glossaryPlugin(context, {});
+      const translated = plugin.translateContent({
+        content: { terms: [{ term: 'Machine Learning', definition: 'A type of AI' }] },
+        translationFiles: [
+          {
+            path: 'translations',
+            content: { 'term.machine-learning.name': { message: 'Apprentissage automatique' } },
+          },
+        ],
+      });
+
+      expect(translated.terms[0]).toEqual({
+        term: 'Apprentissage automatique',
+        id: 'machine-learning',
+        definition: 'A type of AI',
+      });
+    });
+  });
+
+  describe('extends', () => {
+    beforeEach(async () => {
+      await fs.outputJson(path.join(tempDir, 'shared/company.json'), {
+        title: 'Company Glossary',
+        terms: [
+          { term: 'API', definition: 'Company-wide API definition' },
+          { term: 'SLA', definition: 'Service Level Agreement' },
+        ],
+      });
+    });
+
+    it('should merge extended glossaries with local definitions winning', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+        extends: ['../shared/company.json'],
+        terms: [
+          { term: 'api', definition: 'Product API definition' },
+          { term: 'Widget', definition: 'A product term' },
+        ],
+      });
+
+      const plugin = glossaryPlugin(context, {});
+      const content = await plugin.loadContent();
+
+      expect(content.title).toBe('Company Glossary');
+      expect(content.terms).toEqual([
+        { term: 'SLA', definition: 'Service Level Agreement' },
+        { term: 'api', definition: 'Product API definition' },
+        { term: 'Widget', definition: 'A product term' },
+      ]);
+      expect(plugin.getPathsToWatch()).toContain(path.join(tempDir, 'shared/company.json'));
+    });
+
+    it('should resolve package specifiers from the site directory', async () => {
+      const packageDir = path.join(tempDir, 'node_modules/@company/glossary');
+      await fs.outputJson(path.join(packageDir, 'package.json'), {
+        name: '@company/glossary',
+        main: 'glossary.yml',
+      });
+      await fs.outputFile(
+        path.join(packageDir, 'glossary.yml'),
+        ['terms:', '  - term: KMS', '    definition: Key Management Service'].join('\n')
+      );
+      await fs.writeFile(
+        path.join(tempDir, 'glossary/glossary.yml'),
+        ['extends: "@company/glossary"', 'terms:', '  - term: REST', '    definition: x'].join('\n')
+      );
+
+      const plugin = glossaryPlugin(context, { glossaryPath: 'glossary/glossary.yml' });
+      const content = await plugin.loadContent();
+
+      expect(content.terms.map(t => t.term)).toEqual(['KMS', 'REST']);
+    });
+
+    it('should still report duplicates defined twice in the same file', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+        extends: ['../shared/company.json'],
+        terms: [
+          { term: 'Widget', definition: 'A product term' },
+          { term: 'widget', definition: 'Again' },
+        ],
+      });
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      const plugin = glossaryPlugin(context, {});
+      await plugin.loadContent();
+
+      const warnings = consoleSpy.mock.calls.map(call => call[0]).join('\n');
+      expect(warnings).toContain('Duplicate term "widget"');
+      expect(warnings).not.toContain('Duplicate term "API"');
+      consoleSpy.mockRestore();
+    });
+
+    it('should point validation errors in extended glossaries at their file', async () => {
+      await fs.outputJson(path.join(tempDir, 'shared/broken.json'), {
+        terms: [{ term: 'Broken' }],
+      });
+      await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+        extends: ['../shared/broken.json'],
+        terms: [],
+      });
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      const plugin = glossaryPlugin(context, {});
+      await plugin.loadContent();
+
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining(
+          `${path.join(tempDir, 'shared/broken.json')}:1:11: [terms[0].definition]`
+        )
+      );
+      consoleSpy.mockRestore();
+    });
+
+    it('should reject circular extends chains', async () => {
+      await fs.outputJson(path.join(tempDir, 'shared/company.json'), {
+        extends: ['../glossary/glossary.json'],
+        terms: [],
+      });
+      await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+        extends: ['../shared/company.json'],
+        terms: [],
+      });
+
+      const plugin = glossaryPlugin(context, {});
+
+      await expect(plugin.loadContent()).rejects.toThrow(/Circular glossary "extends" chain/);
+    });
+
+    it('should report unresolvable package specifiers', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+        extends: ['@company/missing-glossary'],
+        terms: [],
+      });
+
+      const plugin = glossaryPlugin(context, {});
+
+      await expect(plugin.loadContent()).rejects.toThrow(
+        /Cannot resolve glossary "@company\/missing-glossary"/
+      );
+    });
+  });
+
   it('should return empty terms when glossary file not found', async () => {
     const plugin = glossaryPlugin(context, {
       glossaryPath: 'nonexistent/glossary.json',
@@ -75,6 +724,32 @@ describe('glossaryPlugin', () => {
     consoleSpy.mockRestore();
   });
 
+  it('should compile markdown definitions for the page and global data', async () => {
+    await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+      terms: [{ term: 'npm', definition: 'Run `npm i`' }],
+    });
+    const plugin = glossaryPlugin(context, {});
+    const content = await plugin.loadContent();
+    const createData = jest.fn(() => Promise.resolve('path/to/data.json'));
+    const setGlobalData = jest.fn();
+
+    await plugin.contentLoaded({
+      content,
+      actions: { createData, addRoute: jest.fn(), setGlobalData },
+    });
+
+    const definitionAst = [
+      { type: 'text', value: 'Run ' },
+      { type: 'inlineCode', value: 'npm i' },
+    ];
+    expect(JSON.parse(createData.mock.calls[0][1]).terms[0].definitionAst).toEqual(definitionAst);
+    expect(setGlobalData.mock.calls[0][0].terms[0]).toEqual({
+      term: 'npm',
+      definition: 'Run `npm i`',
+      definitionAst,
+    });
+  });
+
   it('should call contentLoaded actions', async () => {
     const plugin = glossaryPlugin(context, {});
     const content = await plugin.loadContent();
@@ -125,6 +800,325 @@ describe('glossaryPlugin', () => {
     );
   });
 
+  describe('term pages', () => {
+    const loadTermPages = async options => {
+      await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+        title: 'Billing Glossary',
+        terms: [
+          {
+            term: 'API Key',
+            definition: 'A *secret* token',
+            aliases: ['key'],
+            relatedTerms: ['Token', 'OAuth'],
+          },
+          { term: 'Token', id: 'access-token', definition: 'A credential' },
+        ],
+      });
+      const plugin = glossaryPlugin(context, options);
+      const content = await plugin.loadContent();
+      const createData = jest.fn(name => Promise.resolve(`data/${name}`));
+      const addRoute = jest.fn();
+      const setGlobalData = jest.fn();
+
+      await plugin.contentLoaded({ content, actions: { createData, addRoute, setGlobalData } });
+
+      const readData = name => JSON.parse(createData.mock.calls.find(call => call[0] === name)[1]);
+      return { addRoute, setGlobalData, readData };
+    };
+
+    it('should only add the glossary page route by default', async () => {
+      const { addRoute, setGlobalData } = await loadTermPages({});
+
+      expect(addRoute).toHaveBeenCalledTimes(1);
+      expect(setGlobalData.mock.calls[0][0].terms[0].permalink).toBeUndefined();
+    });
+
+    it('should add a route per term when termPages is enabled', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const { addRoute } = await loadTermPages({ termPages: true, routePath: '/glossary/' });
+      console.warn.mockRestore();
+
+      expect(addRoute).toHaveBeenCalledTimes(3);
+      expect(addRoute).toHaveBeenCalledWith({
+        path: '/glossary/api-key',
+        component: '@theme/GlossaryTermPage',
+        exact: true,
+        modules: { termData: 'data/glossary-term-0.json' },
+      });
+      expect(addRoute).toHaveBeenCalledWith({
+        path: '/glossary/access-token',
+        component: '@theme/GlossaryTermPage',
+        exact: true,
+        modules: { termData: 'data/glossary-term-1.json' },
+      });
+    });
+
+    it('should pass the term, description and resolved related terms to the page', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const { readData } = await loadTermPages({ termPages: true });
+      console.warn.mockRestore();
+
+      const termData = readData('glossary-term-0.json');
+      expect(termData.term).toMatchObject({
+        term: 'API Key',
+        aliases: ['key'],
+        permalink: '/glossary/api-key',
+      });
+      expect(termData.description).toBe('A secret token');
+      expect(termData.relatedTerms).toEqual([
+        { term: 'Token', permalink: '/glossary/access-token' },
+        { term: 'OAuth' },
+      ]);
+      expect(termData.glossary).toEqual({ title: 'Billing Glossary', routePath: '/glossary' });
+    });
+
+    it('should expose permalinks to the glossary page and GlossaryTerm', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const { readData, setGlobalData } = await loadTermPages({ termPages: true });
+      console.warn.mockRestore();
+
+      expect(readData('glossary-data.json').terms.map(term => term.permalink)).toEqual([
+        '/glossary/api-key',
+        '/glossary/access-token',
+      ]);
+      expect(setGlobalData.mock.calls[0][0].terms[1].permalink).toBe('/glossary/access-token');
+    });
+
+    it("should add the site's baseUrl to the routes and permalinks", async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      context.baseUrl = '/docs/';
+      const { addRoute, readData, setGlobalData } = await loadTermPages({ termPages: true });
+      console.warn.mockRestore();
+
+      expect(addRoute.mock.calls.map(call => call[0].path)).toEqual([
+        '/docs/glossary',
+        '/docs/glossary/api-key',
+        '/docs/glossary/access-token',
+      ]);
+      expect(readData('glossary-term-0.json').relatedTerms[0].permalink).toBe(
+        '/docs/glossary/access-token'
+      );
+      // Components link the route path through `Link`, which adds the baseUrl
+      expect(setGlobalData.mock.calls[0][0].routePath).toBe('/glossary');
+    });
+
+    it('should give a single page to terms sharing a slug', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+        terms: [
+          { term: 'Sign in', definition: 'Log in' },
+          { term: 'Sign  In', definition: 'Also log in' },
+        ],
+      });
+      const plugin = glossaryPlugin(context, { termPages: true });
+      const content = await plugin.loadContent();
+      const addRoute = jest.fn();
+
+      await plugin.contentLoaded({
+        content,
+        actions: {
+          createData: jest.fn(() => Promise.resolve('data.json')),
+          addRoute,
+          setGlobalData: jest.fn(),
+        },
+      });
+      console.warn.mockRestore();
+
+      expect(addRoute.mock.calls.map(call => call[0].path)).toEqual([
+        '/glossary',
+        '/glossary/sign-in',
+      ]);
+    });
+
+    it('should percent-encode reserved characters in page paths', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary/glossary.json'), {
+        terms: [
+          { term: 'C', definition: 'A programming language' },
+          { term: 'C++', definition: 'Another programming language' },
+          { term: 'C#', definition: 'Yet another programming language' },
+          { term: 'Node.js', definition: 'A JavaScript runtime' },
+          { term: 'TCP/IP', definition: 'The internet protocol suite' },
+          { term: 'What?', definition: 'A question' },
+        ],
+      });
+      const plugin = glossaryPlugin(context, { termPages: true, onValidationError: 'throw' });
+      const content = await plugin.loadContent();
+      const addRoute = jest.fn();
+
+      await plugin.contentLoaded({
+        content,
+        actions: {
+          createData: jest.fn(() => Promise.resolve('data.json')),
+          addRoute,
+          setGlobalData: jest.fn(),
+        },
+      });
+
+      expect(addRoute.mock.calls.map(call => call[0].path)).toEqual([
+        '/glossary',
+        '/glossary/c',
+        '/glossary/c%2B%2B',
+        '/glossary/c%23',
+        '/glossary/node.js',
+        '/glossary/tcp%2Fip',
+        '/glossary/what%3F',
+      ]);
+    });
+  });
+
+  describe('term usage', () => {
+    const loadContent = async options => {
+      const plugin = glossaryPlugin(context, options);
+      const content = await plugin.loadContent();
+      const createData = jest.fn(name => Promise.resolve(`data/${name}`));
+      const addRoute = jest.fn();
+      await plugin.contentLoaded({
+        content,
+        actions: { createData, addRoute, setGlobalData: jest.fn() },
+      });
+      return { plugin, content, createData, addRoute };
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not import term usage by default', async () => {
+      const { plugin, createData, addRoute } = await loadContent({});
+
+      expect(addRoute.mock.calls[0][0].modules).toEqual({
+        glossaryData: 'data/glossary-data.json',
+      });
+      expect(createData).not.toHaveBeenCalledWith('glossary-term-usage.json', expect.anything());
+      await expect(plugin.allContentLoaded({ allContent: {}, actions: {} })).resolves.toBe(
+        undefined
+      );
+    });
+
+    it('should import an empty term usage module from the glossary and term pages', async () => {
+      const { createData, addRoute } = await loadContent({ termUsage: true, termPages: true });
+
+      expect(createData).toHaveBeenCalledWith('glossary-term-usage.json', '{}');
+      addRoute.mock.calls.forEach(([route]) => {
+        expect(route.modules.termUsage).toBe('data/glossary-term-usage.json');
+      });
+    });
+
+    it('should fill the term usage module once all content is loaded', async () => {
+      await fs.outputFile(path.join(tempDir, 'docs/intro.md'), 'Use the REST API.');
+      const parse = jest.fn(content => ({
+        type: 'root',
+        children: [{ type: 'paragraph', children: [{ type: 'text', value: content }] }],
+      }));
+      jest.spyOn(termUsageModule, 'loadMarkdownParser').mockResolvedValue(parse);
+      context.siteConfig = {
+        markdown: { format: 'detect' },
+        presets: [['classic', { docs: { remarkPlugins: [[remarkPlugin, { siteDir: tempDir }]] } }]],
+      };
+      const { plugin, content } = await loadContent({ termUsage: true });
+      const createData = jest.fn(() => Promise.resolve('data/glossary-term-usage.json'));
+
+      await plugin.allContentLoaded({
+        allContent: {
+          'docusaurus-plugin-content-docs': {
+            default: {
+              loadedVersions: [
+                {
+                  docs: [
+                    { source: '@site/docs/intro.md', permalink: '/docs/intro', title: 'Intro' },
+                  ],
+                },
+              ],
+            },
+          },
+          'docusaurus-plugin-glossary': { default: content },
+        },
+        actions: { createData },
+      });
+
+      expect(termUsageModule.loadMarkdownParser).toHaveBeenCalledWith({ format: 'detect' });
+      expect(createData).toHaveBeenCalledWith('glossary-term-usage.json', expect.any(String));
+      expect(JSON.parse(createData.mock.calls[0][1])).toEqual({
+        API: [{ source: 'docs/intro.md', permalink: '/docs/intro', title: 'Intro', count: 1 }],
+        REST: [{ source: 'docs/intro.md', permalink: '/docs/intro', title: 'Intro', count: 1 }],
+      });
+    });
+
+    it('should skip the pages of content plugins without the remark plugin', async () => {
+      await fs.outputFile(path.join(tempDir, 'blog/launch.md'), 'Launching the API.');
+      const parse = jest.fn();
+      jest.spyOn(termUsageModule, 'loadMarkdownParser').mockResolvedValue(parse);
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      context.siteConfig = { presets: [['classic', { blog: { remarkPlugins: [] } }]] };
+      const { plugin, content } = await loadContent({ termUsage: true });
+      const createData = jest.fn();
+
+      await plugin.allContentLoaded({
+        allContent: {
+          'docusaurus-plugin-content-blog': {
+            default: { blogPosts: [{ source: '@site/blog/launch.md', permalink: '/blog/launch' }] },
+          },
+          'docusaurus-plugin-glossary': { default: content },
+        },
+        actions: { createData },
+      });
+
+      expect(parse).not.toHaveBeenCalled();
+      expect(createData).toHaveBeenCalledWith('glossary-term-usage.json', '{}');
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('No docs, blog or pages plugin is configured with the glossary')
+      );
+    });
+
+    it('should scan the pages of the content plugins set up by the preset', async () => {
+      await fs.outputFile(path.join(tempDir, 'docs/intro.md'), 'Use the API.');
+      const parse = jest.fn(content => ({
+        type: 'root',
+        children: [{ type: 'paragraph', children: [{ type: 'text', value: content }] }],
+      }));
+      jest.spyOn(termUsageModule, 'loadMarkdownParser').mockResolvedValue(parse);
+      const plugin = glossaryPlugin(context, { termUsage: true }, [
+        {
+          name: 'docusaurus-plugin-content-docs',
+          id: 'default',
+          options: { remarkPlugins: [[remarkPlugin, { siteDir: tempDir }]] },
+        },
+      ]);
+      const content = await plugin.loadContent();
+      const createData = jest.fn();
+
+      await plugin.allContentLoaded({
+        allContent: {
+          'docusaurus-plugin-content-docs': {
+            default: { docs: [{ source: '@site/docs/intro.md', permalink: '/docs/intro' }] },
+          },
+          'docusaurus-plugin-glossary': { default: content },
+        },
+        actions: { createData },
+      });
+
+      expect(JSON.parse(createData.mock.calls[0][1])).toEqual({
+        API: [{ source: 'docs/intro.md', permalink: '/docs/intro', count: 1 }],
+      });
+    });
+
+    it('should warn and keep the empty module when the MDX parser is unavailable', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const { plugin, content } = await loadContent({ termUsage: true });
+      const createData = jest.fn();
+
+      await plugin.allContentLoaded({
+        allContent: { 'docusaurus-plugin-glossary': { default: content } },
+        actions: { createData },
+      });
+
+      expect(createData).not.toHaveBeenCalled();
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining("Could not load the site's MDX parser")
+      );
+    });
+  });
+
   it('should return theme path', () => {
     const plugin = glossaryPlugin(context, {});
     const themePath = plugin.getThemePath();
@@ -151,14 +1145,133 @@ describe('glossaryPlugin', () => {
     expect(pathsToWatch[0]).toContain('glossary.json');
   });
 
-  it('should call postBuild callback', async () => {
+  describe('glossary report', () => {
+    const docsPlugin = {
+      name: 'docusaurus-plugin-content-docs',
+      options: { id: 'default', remarkPlugins: [[remarkPlugin, {}]] },
+      content: {
+        loadedVersions: [
+          { docs: [{ source: '@site/docs/intro.md', permalink: '/docs/intro', title: 'Intro' }] },
+        ],
+      },
+    };
+    const parse = jest.fn(content => ({
+      type: 'root',
+      children: [{ type: 'paragraph', children: [{ type: 'text', value: content }] }],
+    }));
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should write a usage report to the build directory and log its summary', async () => {
+      await fs.outputFile(path.join(tempDir, 'docs/intro.md'), 'Call the API.');
+      jest.spyOn(termUsageModule, 'loadMarkdownParser').mockResolvedValue(parse);
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const plugin = glossaryPlugin(context, { report: true });
+      const content = await plugin.loadContent();
+      const outDir = path.join(tempDir, 'build');
+
+      await plugin.postBuild({ outDir, content, plugins: [docsPlugin] });
+
+      const report = await fs.readJson(path.join(outDir, 'glossary-report.json'));
+      expect(report).toEqual(
+        expect.objectContaining({
+          pagesScanned: 1,
+          termCount: 2,
+          unusedTerms: ['REST'],
+          mostUsedTerms: [{ term: 'API', count: 1, linked: 1, manual: 0, pages: 1 }],
+        })
+      );
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining('[glossary-plugin] Glossary report: 2 terms, 1 pages scanned')
+      );
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining(`Full report: ${path.join('build', 'glossary-report.json')}`)
+      );
+    });
+
+    it('should reuse the pages scanned for term usage', async () => {
+      await fs.outputFile(path.join(tempDir, 'docs/intro.md'), 'Call the API.');
+      jest.spyOn(termUsageModule, 'loadMarkdownParser').mockResolvedValue(parse);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      context.siteConfig = { plugins: [['@docusaurus/plugin-content-docs', docsPlugin.options]] };
+      const plugin = glossaryPlugin(context, { termUsage: true, report: true });
+      const content = await plugin.loadContent();
+      const outDir = path.join(tempDir, 'build');
+
+      await plugin.allContentLoaded({
+        allContent: {
+          [docsPlugin.name]: { default: docsPlugin.content },
+          'docusaurus-plugin-glossary': { default: content },
+        },
+        actions: { createData: jest.fn() },
+      });
+      parse.mockClear();
+      await plugin.postBuild({ outDir, content, plugins: [] });
+
+      expect(parse).not.toHaveBeenCalled();
+      const report = await fs.readJson(path.join(outDir, 'glossary-report.json'));
+      expect(report.pagesScanned).toBe(1);
+    });
+
+    it('should name the report after the plugin instance id', async () => {
+      jest.spyOn(termUsageModule, 'loadMarkdownParser').mockResolvedValue(parse);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const plugin = glossaryPlugin(context, { id: 'product-b', report: true });
+      const outDir = path.join(tempDir, 'build');
+
+      await plugin.postBuild({ outDir, content: await plugin.loadContent(), plugins: [] });
+
+      expect(await fs.pathExists(path.join(outDir, 'glossary-report-product-b.json'))).toBe(true);
+    });
+
+    it('should not write a report by default', async () => {
+      const parserSpy = jest.spyOn(termUsageModule, 'loadMarkdownParser');
+      const plugin = glossaryPlugin(context, {});
+      const outDir = path.join(tempDir, 'build');
+
+      await plugin.postBuild({ outDir, content: await plugin.loadContent(), plugins: [] });
+
+      expect(parserSpy).not.toHaveBeenCalled();
+      expect(await fs.pathExists(outDir)).toBe(false);
+    });
+
+    it('should warn and skip the report when the MDX parser is unavailable', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const plugin = glossaryPlugin(context, { report: true });
+      const outDir = path.join(tempDir, 'build');
+
+      await plugin.postBuild({ outDir, content: await plugin.loadContent(), plugins: [] });
+
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('the glossary report is not written')
+      );
+      expect(await fs.pathExists(outDir)).toBe(false);
+    });
+  });
+
+  it('should add the glossary rebuild plugin to the webpack config', () => {
     const plugin = glossaryPlugin(context, {});
-    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
 
-    await plugin.postBuild({ outDir: '/tmp/build' });
+    expect(plugin.configureWebpack().plugins).toEqual([expect.any(GlossaryRebuildPlugin)]);
+  });
 
-    expect(consoleSpy).toHaveBeenCalledWith('Glossary plugin: Build completed');
+  it('should pass the instance id to the remark plugin as glossaryId', () => {
+    const [, remarkOptions] = getRemarkPlugin(
+      { id: 'product-b', glossaryPath: 'glossary/b.json', routePath: '/b/glossary' },
+      { siteDir: tempDir }
+    );
 
-    consoleSpy.mockRestore();
+    expect(remarkOptions).toEqual(
+      expect.objectContaining({ glossaryId: 'product-b', routePath: '/b/glossary' })
+    );
+  });
+
+  it('should not set glossaryId for the default instance', () => {
+    const [, remarkOptions] = getRemarkPlugin({}, { siteDir: tempDir });
+
+    expect(remarkOptions).not.toHaveProperty('glossaryId');
   });
 });
@@ -0,0 +1,69 @@
+import glossaryPlugin from '../src/index';
+import preset from '../src/preset';
+
+jest.mock('../src/index', () => ({
+  ...jest.requireActual('../src/index'),
+  __esModule: true,
+  default: jest.fn(() => ({ name: 'docusaurus-plugin-glossary' })),
+}));
+
+describe('preset', () => {
+  const context = { siteDir: '/site' };
+
+  const getRemarkOptions = glossary => {
+    const { plugins } = preset(context, { glossary, docs: {} });
+    const [, docsOptions] = plugins.find(([name]) => name === '@docusaurus/plugin-content-docs');
+    return docsOptions.remarkPlugins[0][1];
+  };
+
+  it('should add the remark plugin to docs, pages and blog', () => {
+    const { plugins } = preset(context, { docs: {}, blog: {}, pages: {} });
+    const remarkPlugins = plugins
+      .filter(([name]) => typeof name === 'string' && name.startsWith('@docusaurus/plugin-content'))
+      .map(([, options]) => options.remarkPlugins);
+
+    expect(remarkPlugins).toHaveLength(3);
+    remarkPlugins.forEach(plugins => expect(plugins).toHaveLength(1));
+  });
+
+  it('should tell the glossary plugin about the content plugins it sets up', () => {
+    const { plugins } = preset(context, { docs: { id: 'guides' }, blog: false, pages: {} });
+    const [[glossaryPluginWrapper, glossaryOptions]] = plugins;
+
+    glossaryPluginWrapper(context, glossaryOptions);
+
+    const [, , contentPlugins] = glossaryPlugin.mock.calls[0];
+    expect(contentPlugins.map(({ name, id }) => `${name}:${id}`)).toEqual([
+      'docusaurus-plugin-content-docs:guides',
+      'docusaurus-plugin-content-pages:default',
+    ]);
+    expect(contentPlugins[0].options.remarkPlugins).toHaveLength(1);
+  });
+
+  it('should forward the glossary options to the remark plugin', () => {
+    const undefinedAcronyms = { onUndefinedAcronym: 'throw', allowlist: ['TODO'] };
+    const remarkOptions = getRemarkOptions({
+      glossaryPath: 'terms.yml',
+      undefinedAcronyms,
+      maxLinksPerTerm: 2,
+      linkLimitScope: 'section',
+      excludePaths: ['blog/**'],
+      wordBoundaries: 'segmenter',
+    });
+
+    expect(remarkOptions).toMatchObject({
+      glossaryPath: 'terms.yml',
+      siteDir: '/site',
+      undefinedAcronyms,
+      maxLinksPerTerm: 2,
+      linkLimitScope: 'section',
+      excludePaths: ['blog/**'],
+      wordBoundaries: 'segmenter',
+    });
+  });
+
+  it('should leave undefinedAcronyms off unless configured', () => {
+    expect(getRemarkOptions({})).not.toHaveProperty('undefinedAcronyms');
+    expect(getRemarkOptions({ undefinedAcronyms: true }).undefinedAcronyms).toBe(true);
+  });
+});
@@ -1,4 +1,12 @@
-import remarkGlossaryTerms from '../src/remark/glossary-terms';
+import path from 'path';
+import nodeFs from 'fs';
+import fs from 'fs-extra';
+import os from 'os';
+import remarkGlossaryTerms, {
+  clearGlossaryCache,
+  isCompiledWithStaleGlossary,
+  UndefinedAcronymError,
+} from '../src/remark/glossary-terms';
 
 function makeTree(text) {
   return {
@@ -58,6 +66,36 @@ describe('remarkGlossaryTerms', () => {
     expect(glossaryNode).toBeDefined();
   });
 
+  it('should pass glossaryId to generated GlossaryTerm elements', () => {
+    const transformer = remarkGlossaryTerms({
+      terms: [{ term: 'Workspace', definition: 'A product B container.' }],
+      routePath: '/product-b/glossary',
+      glossaryId: 'product-b',
+    });
+
+    const tree = makeTree('Open a Workspace.');
+    transformer(tree);
+    const glossaryNode = getChildren(tree).find(n => n.name === 'GlossaryTerm');
+
+    expect(glossaryNode.attributes).toContainEqual({
+      type: 'mdxJsxAttribute',
+      name: 'glossaryId',
+      value: 'product-b',
+    });
+  });
+
+  it('should omit glossaryId when no instance id is configured', () => {
+    const transformer = remarkGlossaryTerms({
+      terms: [{ term: 'API', definition: 'Application Programming Interface' }],
+    });
+
+    const tree = makeTree('The API is useful.');
+    transformer(tree);
+    const glossaryNode = getChildren(tree).find(n => n.name === 'GlossaryTerm');
+
+    expect(glossaryNode.attributes.map(a => a.name)).not.toContain('glossaryId');
+  });
+
   it('should not auto-link terms inside headings (h1-h6)', () => {
     const transformer = remarkGlossaryTerms({
       terms: [{ term: 'API', definition: 'Application Programming Interface' }],
@@ -269,6 +307,29 @@ describe('remarkGlossaryTerms', () => {
     expect(glossaryNodes[0].attributes[0].value).toBe('clean');
   });
 
+  it('should report how often each term was linked in file.data', () => {
+    const transformer = remarkGlossaryTerms({
+      terms: [
+        { term: 'API', definition: 'Application Programming Interface', aliases: ['endpoint'] },
+        { term: 'REST', definition: 'Representational State Transfer' },
+        { term: 'SDK', definition: 'Software Development Kit' },
+      ],
+    });
+    const tree = {
+      type: 'root',
+      children: [
+        { type: 'heading', depth: 2, children: [{ type: 'text', value: 'API' }] },
+        { type: 'paragraph', children: [{ type: 'text', value: 'The API and its APIs.' }] },
+        { type: 'paragraph', children: [{ type: 'text', value: 'A REST endpoint.' }] },
+      ],
+    };
+    const file = { path: 'docs/intro.md', data: {} };
+
+    transformer(tree, file);
+
+    expect(file.data.glossaryTermUsage).toEqual({ API: 3, REST: 1 });
+  });
+
   describe('case sensitivity', () => {
     it('should match terms case-insensitively by default', () => {
       const transformer = remarkGlossaryTerms({
@@ -523,6 +584,35 @@ describe('remarkGlossaryTerms', () => {
       expect(children[0].type).toBe('text');
     });
 
+    it('should expand the first auto-link of a term manually linked later', () => {
+      const transformer = remarkGlossaryTerms({
+        terms: [psp],
+        expandAcronymsOnFirstUse: true,
+      });
+
+      const tree = makeTree('Later PSP here, then [[PSP]].');
+      transformer(tree);
+      const glossaryNodes = getChildren(tree).filter(n => n.name === 'GlossaryTerm');
+
+      expect(glossaryNodes.map(node => node.children[0].value)).toEqual([
+        'Payment Service Provider (PSP)',
+        'PSP',
+      ]);
+    });
+
+    it('should not expand auto-links after a manual link of the term', () => {
+      const transformer = remarkGlossaryTerms({
+        terms: [psp],
+        expandAcronymsOnFirstUse: true,
+      });
+
+      const tree = makeTree('Pick a [[PSP]] first, then configure the PSP.');
+      transformer(tree);
+      const glossaryNodes = getChildren(tree).filter(n => n.name === 'GlossaryTerm');
+
+      expect(glossaryNodes.map(node => node.children[0].value)).toEqual(['PSP', 'PSP']);
+    });
+
     it('should reset state between separate transformer invocations (per-file scope)', () => {
       const transformer = remarkGlossaryTerms({
         terms: [psp],
@@ -542,4 +632,1125 @@ describe('remarkGlossaryTerms', () => {
       expect(nodeB.children[0].value).toBe('Payment Service Provider (PSP)');
     });
   });
+
+  describe('manual links', () => {
+    const terms = [
+      { term: 'API', definition: 'Application Programming Interface', autoLink: false },
+      { term: 'Webhook', definition: 'An HTTP callback', aliases: ['callback URL'] },
+    ];
+    let warnSpy;
+
+    beforeEach(() => {
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    const getTermNodes = tree => getChildren(tree).filter(n => n.name === 'GlossaryTerm');
+
+    it('should link [[Term]] and [[Term|text]], including autoLink: false terms', () => {
+      const tree = makeTree('Call the [[api]] through [[API|the interface]].');
+      remarkGlossaryTerms({ terms })(tree);
+      const children = getChildren(tree);
+
+      expect(children.map(n => n.value ?? n.children[0].value)).toEqual([
+        'Call the ',
+        'api',
+        ' through ',
+        'the interface',
+        '.',
+      ]);
+      getTermNodes(tree).forEach(node => {
+        expect(node.type).toBe('mdxJsxTextElement');
+        expect(node.attributes).toEqual(
+          expect.arrayContaining([
+            { type: 'mdxJsxAttribute', name: 'term', value: 'API' },
+            { type: 'mdxJsxAttribute', name: 'routePath', value: '/glossary' },
+          ])
+        );
+      });
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    it('should resolve aliases to the canonical term', () => {
+      const tree = makeTree('Register a [[callback URL]].');
+      remarkGlossaryTerms({ terms })(tree);
+
+      expect(getTermNodes(tree)[0].attributes[0].value).toBe('Webhook');
+      expect(getTermNodes(tree)[0].children[0].value).toBe('callback URL');
+    });
+
+    it('should link :term[Term] directives', () => {
+      const tree = makeTree('Call the ');
+      getChildren(tree).push(
+        { type: 'textDirective', name: 'term', children: [{ type: 'text', value: 'API' }] },
+        {
+          type: 'textDirective',
+          name: 'term',
+          attributes: { term: 'Webhook' },
+          children: [{ type: 'text', value: 'hook' }],
+        },
+        { type: 'textDirective', name: 'other', children: [{ type: 'text', value: 'API' }] }
+      );
+      remarkGlossaryTerms({ terms })(tree);
+      const nodes = getTermNodes(tree);
+
+      expect(nodes.map(n => [n.attributes[0].value, n.children[0].value])).toEqual([
+        ['API', 'API'],
+        ['Webhook', 'hook'],
+      ]);
+      expect(getChildren(tree)[3].name).toBe('other');
+    });
+
+    it('should warn about unknown terms with their position', () => {
+      const tree = makeTree('See [[Nope]] and the [[API]].\nAlso [[Missing|this]].');
+      getChildren(tree)[0].position = { start: { line: 5, column: 1 } };
+      getChildren(tree).push({
+        type: 'textDirective',
+        name: 'term',
+        children: [{ type: 'text', value: 'Gone' }],
+        position: { start: { line: 7, column: 3 } },
+      });
+      remarkGlossaryTerms({ terms })(tree, { path: 'docs/intro.md', data: {} });
+
+      expect(warnSpy.mock.calls.map(([message]) => message)).toEqual([
+        '[glossary-plugin] Unknown glossary term "Gone" in docs/intro.md:7:3',
+        '[glossary-plugin] Unknown glossary term "Nope" in docs/intro.md:5:5',
+        '[glossary-plugin] Unknown glossary term "Missing" in docs/intro.md:6:6',
+      ]);
+      const children = getChildren(tree);
+      expect(children[0].value).toBe('See [[Nope]] and the ');
+      expect(children[2].value).toBe('.\nAlso [[Missing|this]].');
+      expect(children[3]).toEqual({ type: 'text', value: 'Gone' });
+    });
+
+    it('should not warn about unknown terms when warnUnknownTerms is false', () => {
+      const tree = makeTree('See [[Nope]].');
+      remarkGlossaryTerms({ terms, warnUnknownTerms: false })(tree, {
+        path: 'docs/intro.md',
+        data: { frontMatter: { glossary: { exclude: ['Missing'] } } },
+      });
+
+      expect(warnSpy).not.toHaveBeenCalled();
+      expect(getChildren(tree)[0].value).toBe('See [[Nope]].');
+    });
+
+    it('should not link manual syntax inside links or code', () => {
+      const tree = {
+        type: 'root',
+        children: [
+          {
+            type: 'paragraph',
+            children: [
+              { type: 'link', url: '/x', children: [{ type: 'text', value: '[[API]]' }] },
+              { type: 'inlineCode', value: '[[API]]' },
+            ],
+          },
+        ],
+      };
+      remarkGlossaryTerms({ terms })(tree);
+
+      expect(getTermNodes(tree)).toHaveLength(0);
+    });
+
+    it('should count manual links in the term usage of the file', () => {
+      const file = { data: {} };
+      remarkGlossaryTerms({ terms })(makeTree('The [[API]], a webhook and [[Webhook]].'), file);
+
+      expect(file.data.glossaryTermUsage).toEqual({ API: 1, Webhook: 2 });
+    });
+  });
+
+  describe('link limits', () => {
+    const terms = [
+      { term: 'API', definition: 'Application Programming Interface' },
+      { term: 'REST', definition: 'Representational State Transfer' },
+    ];
+
+    function makeSections(...sections) {
+      return {
+        type: 'root',
+        children: sections.flatMap(([heading, text]) => [
+          { type: 'heading', depth: 2, children: [{ type: 'text', value: heading }] },
+          { type: 'paragraph', children: [{ type: 'text', value: text }] },
+        ]),
+      };
+    }
+
+    function getLinkedText(tree) {
+      const linked = [];
+      tree.children
+        .filter(node => node.type === 'paragraph')
+        .forEach(paragraph =>
+          paragraph.children
+            .filter(node => node.name === 'GlossaryTerm')
+            .forEach(node => linked.push(node.children[0].value))
+        );
+      return linked;
+    }
+
+    it('should link every occurrence by default', () => {
+      const tree = makeTree('The API calls the API and the REST API.');
+      remarkGlossaryTerms({ terms })(tree);
+
+      expect(getLinkedText(tree)).toEqual(['API', 'API', 'REST', 'API']);
+    });
+
+    it('should link only the first occurrence of each term with linkFirstOccurrenceOnly', () => {
+      const tree = makeTree('The API calls the API and REST. Both APIs use REST.');
+      remarkGlossaryTerms({ terms, linkFirstOccurrenceOnly: true })(tree);
+      const rendered = getChildren(tree)
+        .map(n => (n.type === 'text' ? n.value : `[${n.children[0].value}]`))
+        .join('');
+
+      expect(getLinkedText(tree)).toEqual(['API', 'REST']);
+      expect(rendered).toBe('The [API] calls the API and [REST]. Both APIs use REST.');
+    });
+
+    it('should link up to maxLinksPerTerm occurrences of each term', () => {
+      const tree = makeTree('API, API, API and REST, REST, REST');
+      remarkGlossaryTerms({ terms, maxLinksPerTerm: 2 })(tree);
+
+      expect(getLinkedText(tree)).toEqual(['API', 'API', 'REST', 'REST']);
+    });
+
+    it('should count occurrences across the whole page by default', () => {
+      const tree = makeSections(['Intro', 'The API.'], ['Usage', 'Call the API with REST.']);
+      remarkGlossaryTerms({ terms, linkFirstOccurrenceOnly: true })(tree);
+
+      expect(getLinkedText(tree)).toEqual(['API', 'REST']);
+    });
+
+    it('should restart the count at each heading with the section scope', () => {
+      const tree = makeSections(
+        ['Intro', 'The API and the API.'],
+        ['Usage', 'Call the API with REST.']
+      );
+      remarkGlossaryTerms({ terms, linkFirstOccurrenceOnly: true, linkLimitScope: 'section' })(
+        tree
+      );
+
+      expect(getLinkedText(tree)).toEqual(['API', 'API', 'REST']);
+    });
+
+    it('should always keep manual links, without counting them', () => {
+      const tree = makeTree('See [[API]]. The API calls the API.');
+      remarkGlossaryTerms({ terms, linkFirstOccurrenceOnly: true })(tree);
+
+      expect(getChildren(tree).filter(n => n.name === 'GlossaryTerm')).toHaveLength(2);
+    });
+
+    it('should expand acronyms on the first linked occurrence only', () => {
+      const psp = { term: 'PSP', abbreviation: 'Payment Service Provider', definition: 'A PSP.' };
+      const tree = makeSections(['Intro', 'The PSP.'], ['Fees', 'Each PSP has fees.']);
+      remarkGlossaryTerms({
+        terms: [psp],
+        expandAcronymsOnFirstUse: true,
+        linkFirstOccurrenceOnly: true,
+        linkLimitScope: 'section',
+      })(tree);
+
+      expect(getLinkedText(tree)).toEqual(['Payment Service Provider (PSP)', 'PSP']);
+    });
+
+    it('should reject invalid limits', () => {
+      expect(() => remarkGlossaryTerms({ terms, maxLinksPerTerm: 0 })).toThrow(
+        'Option "maxLinksPerTerm" must be a positive integer, got 0'
+      );
+      expect(() => remarkGlossaryTerms({ terms, maxLinksPerTerm: 1.5 })).toThrow(
+        'must be a positive integer'
+      );
+      expect(() => remarkGlossaryTerms({ terms, linkLimitScope: 'chapter' })).toThrow(
+        `Option "linkLimitScope" must be 'page' or 'section', got "chapter"`
+      );
+    });
+  });
+
+  describe('opting out', () => {
+    const siteDir = path.resolve('/site');
+    const terms = [
+      { term: 'API', definition: 'Application Programming Interface' },
+      { term: 'Deploy', definition: 'Ship a release', aliases: ['deployment'] },
+    ];
+
+    function getLinkedTerms(tree) {
+      return getChildren(tree)
+        .filter(n => n.name === 'GlossaryTerm')
+        .map(n => n.children[0].value);
+    }
+
+    function transform(text, file, options = {}) {
+      const tree = makeTree(text);
+      remarkGlossaryTerms({ terms, siteDir, ...options })(tree, { data: {}, ...file });
+      return tree;
+    }
+
+    it('should not auto-link pages with glossary: false in their front matter', () => {
+      const tree = transform('Deploy the API.', { data: { frontMatter: { glossary: false } } });
+
+      expect(getLinkedTerms(tree)).toEqual([]);
+      expect(getChildren(tree)).toEqual([{ type: 'text', value: 'Deploy the API.' }]);
+    });
+
+    it('should keep manual links on pages opted out of auto-linking', () => {
+      const tree = transform('Deploy the [[API]].', { data: { frontMatter: { glossary: false } } });
+
+      expect(getLinkedTerms(tree)).toEqual(['API']);
+    });
+
+    it('should not auto-link the terms excluded by the front matter', () => {
+      const tree = transform('Deploy the API, then check the deployment.', {
+        data: { frontMatter: { glossary: { exclude: ['deploy'] } } },
+      });
+
+      expect(getLinkedTerms(tree)).toEqual(['API']);
+    });
+
+    it('should warn about unknown terms excluded by the front matter', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation();
+      const tree = transform('Deploy the API.', {
+        path: path.join(siteDir, 'docs/intro.md'),
+        data: { frontMatter: { glossary: { exclude: ['SDK'] } } },
+      });
+
+      expect(getLinkedTerms(tree)).toEqual(['Deploy', 'API']);
+      expect(warn).toHaveBeenCalledWith(
+        `[glossary-plugin] Unknown glossary term "SDK" in the front matter of ${path.join('docs', 'intro.md')}`
+      );
+      warn.mockRestore();
+    });
+
+    it('should not auto-link files matching excludePaths', () => {
+      const options = { excludePaths: ['docs/changelog.md', 'docs/api', '**/*.generated.mdx'] };
+      const linked = filePath =>
+        getLinkedTerms(transform('The API.', { path: path.join(siteDir, filePath) }, options));
+
+      expect(linked('docs/changelog.md')).toEqual([]);
+      expect(linked('docs/api/endpoints/users.md')).toEqual([]);
+      expect(linked('docs/reference/client.generated.mdx')).toEqual([]);
+      expect(linked('docs/api-guide.md')).toEqual(['API']);
+      expect(linked('docs/intro.md')).toEqual(['API']);
+    });
+
+    it('should only auto-link files matching includePaths, minus excludePaths', () => {
+      const options = { includePaths: ['{docs,blog}/**/*.md'], excludePaths: ['docs/legal/*'] };
+      const linked = filePath =>
+        getLinkedTerms(transform('The API.', { path: path.join(siteDir, filePath) }, options));
+
+      expect(linked('docs/intro.md')).toEqual(['API']);
+      expect(linked('blog/2024/launch.md')).toEqual(['API']);
+      expect(linked('docs/intro.mdx')).toEqual([]);
+      expect(linked('src/pages/index.md')).toEqual([]);
+      expect(linked('docs/legal/terms.md')).toEqual([]);
+    });
+
+    it('should skip the undefined acronym check on excluded pages', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation();
+      transform(
+        'The SLO is met.',
+        { path: path.join(siteDir, 'docs/changelog.md') },
+        { excludePaths: ['docs/changelog.md'], undefinedAcronyms: true }
+      );
+
+      expect(warn).not.toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+
+  describe('ignore comments', () => {
+    const terms = [{ term: 'Deploy', definition: 'Ship a release' }];
+
+    const paragraph = text => ({ type: 'paragraph', children: [{ type: 'text', value: text }] });
+
+    function getLinkedParagraphs(tree) {
+      return tree.children
+        .filter(node => node.type === 'paragraph' || node.type === 'blockquote')
+        .map(node => {
+          let linked = 0;
+          const count = n => {
+            if (n.name === 'GlossaryTerm') linked++;
+            (n.children || []).forEach(count);
+          };
+          count(node);
+          return linked;
+        });
+    }
+
+    it('should skip the node after a glossary-ignore-next-line comment', () => {
+      const tree = {
+        type: 'root',
+        children: [
+          { type: 'html', value: '<!-- glossary-ignore-next-line -->' },
+          paragraph('Click Deploy.'),
+          paragraph('Deploy the app.'),
+          { type: 'mdxFlowExpression', value: '/* glossary-ignore-next-line */' },
+          paragraph('Click Deploy.'),
+        ],
+      };
+      remarkGlossaryTerms({ terms })(tree);
+
+      expect(getLinkedParagraphs(tree)).toEqual([0, 1, 0]);
+    });
+
+    it('should skip the blocks between glossary-ignore-start and glossary-ignore-end', () => {
+      const tree = {
+        type: 'root',
+        children: [
+          { type: 'mdxFlowExpression', value: '/* glossary-ignore-start */' },
+          { type: 'blockquote', children: [paragraph('Deploy early, deploy often.')] },
+          paragraph('Then Deploy again.'),
+          { type: 'mdxFlowExpression', value: '/*glossary-ignore-end*/' },
+          paragraph('Deploy the app.'),
+          { type: 'html', value: '<!-- glossary-ignore-start -->' },
+          paragraph('Click Deploy.'),
+          { type: 'html', value: '<!-- glossary-ignore-end -->' },
+        ],
+      };
+      remarkGlossaryTerms({ terms })(tree);
+
+      expect(getLinkedParagraphs(tree)).toEqual([0, 0, 1, 0]);
+    });
+
+    it('should skip inline ignore regions', () => {
+      const tree = {
+        type: 'root',
+        children: [
+          {
+            type: 'paragraph',
+            children: [
+              { type: 'text', value: 'Deploy with the ' },
+              { type: 'mdxTextExpression', value: '/* glossary-ignore-start */' },
+              { type: 'text', value: 'Deploy' },
+              { type: 'mdxTextExpression', value: '/* glossary-ignore-end */' },
+              { type: 'text', value: ' button.' },
+            ],
+          },
+        ],
+      };
+      remarkGlossaryTerms({ terms })(tree);
+      const children = getChildren(tree);
+
+      expect(children.filter(n => n.name === 'GlossaryTerm')).toHaveLength(1);
+      expect(children[0].name).toBe('GlossaryTerm');
+      expect(children[3]).toEqual({ type: 'text', value: 'Deploy' });
+    });
+
+    it('should ignore the rest of the file after an unclosed glossary-ignore-start', () => {
+      const tree = {
+        type: 'root',
+        children: [
+          paragraph('Deploy the app.'),
+          { type: 'html', value: '<!-- glossary-ignore-start -->' },
+          paragraph('Click Deploy.'),
+          paragraph('Deploy again.'),
+        ],
+      };
+      remarkGlossaryTerms({ terms })(tree);
+
+      expect(getLinkedParagraphs(tree)).toEqual([1, 0, 0]);
+    });
+
+    it('should leave other comments and manual links alone', () => {
+      const tree = {
+        type: 'root',
+        children: [
+          { type: 'html', value: '<!-- glossary-ignore-everything -->' },
+          paragraph('Deploy the app.'),
+          { type: 'mdxFlowExpression', value: '/* glossary-ignore-next-line */' },
+          paragraph('Click [[Deploy]].'),
+        ],
+      };
+      remarkGlossaryTerms({ terms })(tree);
+
+      expect(getLinkedParagraphs(tree)).toEqual([1, 1]);
+    });
+  });
+
+  describe('inflection', () => {
+    function getLinkedText(text, options) {
+      const tree = makeTree(text);
+      remarkGlossaryTerms(options)(tree);
+      return getChildren(tree)
+        .filter(n => n.name === 'GlossaryTerm')
+        .map(n => `${n.attributes[0].value}:${n.children[0].value}`);
+    }
+
+    it('should link -ies, irregular plurals and possessives with the English rules', () => {
+      const terms = [
+        { term: 'Proxy', definition: 'A go-between' },
+        { term: 'index', definition: 'A lookup structure' },
+        { term: 'analysis', definition: 'A close look' },
+        { term: 'API', definition: 'Application Programming Interface' },
+      ];
+
+      expect(
+        getLinkedText('Proxies keep indices for analyses of the API’s and the APIs’ calls.', {
+          terms,
+        })
+      ).toEqual(['Proxy:Proxies', 'index:indices', 'analysis:analyses', 'API:API’s', 'API:APIs’']);
+    });
+
+    it('should not accept arbitrary s or es endings', () => {
+      const terms = [{ term: 'API', definition: 'Application Programming Interface' }];
+
+      expect(getLinkedText('APIes and APIss', { terms })).toEqual([]);
+    });
+
+    it('should use the forms of a term instead of the inflected ones', () => {
+      const terms = [
+        { term: 'Deploy', definition: 'The deploy button', forms: [] },
+        { term: 'cactus', definition: 'A plant', forms: ['cacti'] },
+      ];
+
+      expect(getLinkedText('Deploy, Deploys, cacti and cactuses', { terms })).toEqual([
+        'Deploy:Deploy',
+        'cactus:cacti',
+      ]);
+    });
+
+    it('should support custom inflectors and turning inflection off', () => {
+      const terms = [{ term: 'Server', definition: 'Ein Rechner' }];
+      const germanInflector = phrase => [`${phrase}n`, `${phrase}s`];
+
+      expect(getLinkedText('Servern und Servers', { terms, inflector: germanInflector })).toEqual([
+        'Server:Servern',
+        'Server:Servers',
+      ]);
+      expect(getLinkedText('Servers', { terms, inflector: false })).toEqual([]);
+    });
+
+    it('should search a phrase once and check the endings of its forms where it is found', () => {
+      const terms = [{ term: 'API', definition: 'Application Programming Interface' }];
+      const transformer = remarkGlossaryTerms({ terms });
+      const tree = makeTree("The API's calls, the APIs' calls and APIs.");
+      const indexOfSpy = jest.spyOn(String.prototype, 'indexOf');
+
+      transformer(tree);
+      const needles = indexOfSpy.mock.calls.map(([needle]) => needle);
+      indexOfSpy.mockRestore();
+
+      expect(needles).toContain('api');
+      expect(needles).not.toContain('apis');
+      expect(needles).not.toContain("api's");
+      expect(
+        getChildren(tree)
+          .filter(n => n.name === 'GlossaryTerm')
+          .map(n => n.children[0].value)
+      ).toEqual(["API's", "APIs'", 'APIs']);
+    });
+
+    it('should keep the case of the endings of case-sensitive terms', () => {
+      const terms = [
+        { term: 'REST', definition: 'Representational State Transfer', caseSensitive: true },
+      ];
+
+      expect(getLinkedText('RESTs, RESTS, rests and REST’s', { terms })).toEqual([
+        'REST:RESTs',
+        'REST:REST’s',
+      ]);
+    });
+
+    it('should prefer a term over the inflected form of another term', () => {
+      const terms = [
+        { term: 'Datum', definition: 'A single value' },
+        { term: 'Data', definition: 'Values' },
+      ];
+
+      expect(getLinkedText('The data.', { terms })).toEqual(['Data:data']);
+    });
+  });
+
+  describe('word boundaries', () => {
+    function getLinkedText(text, options) {
+      const tree = makeTree(text);
+      remarkGlossaryTerms({ inflector: false, ...options })(tree);
+      return getChildren(tree)
+        .filter(n => n.name === 'GlossaryTerm')
+        .map(n => n.children[0].value);
+    }
+
+    it('should treat letters of any script as part of a word', () => {
+      const terms = [
+        { term: 'Überweisung', definition: 'Eine Zahlung' },
+        { term: 'café', definition: 'A coffee shop' },
+        { term: 'API', definition: 'Application Programming Interface' },
+        { term: 'сервер', definition: 'Сервер' },
+      ];
+
+      expect(
+        getLinkedText(
+          'Die Überweisung (SEPA-Überweisung), kein Überweisungsträger. Un café, pas de cafés. ' +
+            'APIé, ÄAPI, λAPI, сервер и серверы.',
+          { terms }
+        )
+      ).toEqual(['Überweisung', 'Überweisung', 'café', 'сервер']);
+    });
+
+    it('should treat combining marks as part of a word', () => {
+      const terms = [{ term: 'cafe', definition: 'A coffee shop' }];
+
+      expect(getLinkedText('A cafe\u0301 is not a cafe.', { terms })).toEqual(['cafe']);
+    });
+
+    it('should keep matches aligned after characters that lowercase to longer strings', () => {
+      const terms = [{ term: 'API', definition: 'Application Programming Interface' }];
+      const tree = makeTree('İstanbul uses the API.');
+      remarkGlossaryTerms({ terms })(tree);
+      const children = getChildren(tree);
+
+      expect(children[0]).toEqual({ type: 'text', value: 'İstanbul uses the ' });
+      expect(children[1].children[0].value).toBe('API');
+      expect(children[2]).toEqual({ type: 'text', value: '.' });
+    });
+
+    it('should not link terms inside words written without spaces by default', () => {
+      const terms = [{ term: '関数', definition: '処理のまとまり' }];
+
+      expect(getLinkedText('この関数を呼び出します。', { terms })).toEqual([]);
+    });
+
+    it('should link words found by Intl.Segmenter in the segmenter mode', () => {
+      const terms = [
+        { term: '関数', definition: '処理のまとまり' },
+        { term: 'API', definition: 'Application Programming Interface' },
+        { term: '呼び', definition: 'Not a word on its own' },
+      ];
+
+      expect(
+        getLinkedText('この関数はAPIを呼び出します。', {
+          terms,
+          locale: 'ja',
+          wordBoundaries: 'segmenter',
+        })
+      ).toEqual(['関数', 'API']);
+    });
+
+    it('should match whole words only in the segmenter mode for spaced languages', () => {
+      const terms = [{ term: 'Überweisung', definition: 'Eine Zahlung' }];
+
+      expect(
+        getLinkedText('Die Überweisung und die Überweisungen.', {
+          terms,
+          locale: 'de',
+          wordBoundaries: 'segmenter',
+        })
+      ).toEqual(['Überweisung']);
+    });
+
+    it('should reject unknown word boundary modes', () => {
+      expect(() => remarkGlossaryTerms({ wordBoundaries: 'ascii' })).toThrow(
+        `Option "wordBoundaries" must be 'unicode' or 'segmenter', got "ascii"`
+      );
+    });
+  });
+
+  describe('undefinedAcronyms', () => {
+    const terms = [
+      { term: 'API', definition: 'Application Programming Interface' },
+      { term: 'PSP', definition: 'A payment processor', abbreviation: 'Payment Service Provider' },
+      {
+        term: 'Service Level Objective',
+        definition: 'A target level of reliability',
+        abbreviation: 'SLO',
+      },
+      { term: 'Key Management Service', definition: 'Stores keys', aliases: ['KMS'] },
+      { term: 'CLI', definition: 'Command Line Interface', autoLink: false },
+    ];
+    let warnSpy;
+
+    beforeEach(() => {
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    const makePositionedTree = text => {
+      const tree = makeTree(text);
+      getChildren(tree)[0].position = { start: { line: 3, column: 1 } };
+      return tree;
+    };
+
+    it('should not report capitals inside longer words of any script', () => {
+      remarkGlossaryTerms({ terms, undefinedAcronyms: true })(
+        makeTree('ÜBERSICHT, CAFÉ and ΑΒCD are words, not acronyms.')
+      );
+
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    it('should not check acronyms by default', () => {
+      remarkGlossaryTerms({ terms })(makeTree('The SRE team owns it.'));
+
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    it('should report acronyms that are not terms, aliases or abbreviations', () => {
+      const transformer = remarkGlossaryTerms({ terms, undefinedAcronyms: true });
+
+      transformer(
+        makePositionedTree(
+          'The API, PSPs, SLO, KMS and CLI are defined.\nThe SRE and DNS teams, and SRE again.'
+        ),
+        { path: 'docs/intro.md', data: {} }
+      );
+
+      expect(warnSpy).toHaveBeenCalledTimes(1);
+      expect(warnSpy).toHaveBeenCalledWith(
+        [
+          '[glossary-plugin] Acronyms not defined in the glossary in docs/intro.md:',
+          '  - 4:5 SRE',
+          '  - 4:13 DNS',
+        ].join('\n')
+      );
+    });
+
+    it('should show file paths relative to the site directory', () => {
+      const siteDir = path.join(os.tmpdir(), 'site');
+      const transformer = remarkGlossaryTerms({ terms, siteDir, undefinedAcronyms: true });
+
+      transformer(makeTree('Ask the SRE.'), { path: path.join(siteDir, 'docs/sre.md'), data: {} });
+
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining(`in ${path.join('docs', 'sre.md')}:\n  - SRE`)
+      );
+    });
+
+    it('should skip acronyms in code and allowlisted ones', () => {
+      const transformer = remarkGlossaryTerms({
+        terms,
+        undefinedAcronyms: { allowlist: ['TODO', 'OK'] },
+      });
+      const tree = makeTree('TODO: say OK, ');
+      getChildren(tree).push({ type: 'inlineCode', value: 'HTTP_PROXY' });
+
+      transformer(tree);
+
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    it('should use a custom acronym pattern', () => {
+      const transformer = remarkGlossaryTerms({
+        terms,
+        undefinedAcronyms: { pattern: '\\b[A-Z]{4,}\\b' },
+      });
+
+      transformer(makeTree('The SRE team owns the CDN and HTTPS setup.'));
+
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/ {2}- HTTPS$/));
+      expect(warnSpy.mock.calls[0][0]).not.toContain('SRE');
+    });
+
+    it('should fail in strict mode', () => {
+      const transformer = remarkGlossaryTerms({
+        terms,
+        undefinedAcronyms: { onUndefinedAcronym: 'throw' },
+      });
+
+      let error;
+      try {
+        transformer(makeTree('Ask the SRE.'), { path: 'docs/sre.md', data: {} });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(UndefinedAcronymError);
+      expect(error.source).toBe('docs/sre.md');
+      expect(error.acronyms).toEqual([{ acronym: 'SRE' }]);
+      expect(error.message).toContain('docs/sre.md');
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    it('should check files even when no term can be auto-linked', () => {
+      const transformer = remarkGlossaryTerms({
+        terms: [{ term: 'CLI', definition: 'Command Line Interface', autoLink: false }],
+        undefinedAcronyms: true,
+      });
+
+      transformer(makeTree('Use the CLI or the SDK.'));
+
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('  - SDK'));
+    });
+  });
+
+  describe('loading from glossaryPath', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'glossary-remark-'));
+      clearGlossaryCache();
+    });
+
+    afterEach(async () => {
+      clearGlossaryCache();
+      await fs.remove(tempDir);
+    });
+
+    it('should load terms from a JSON file', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary.json'), {
+        terms: [{ term: 'API', definition: 'Application Programming Interface' }],
+      });
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const transformer = remarkGlossaryTerms({ glossaryPath: 'glossary.json', siteDir: tempDir });
+      const tree = makeTree('The API is useful.');
+      transformer(tree);
+
+      expect(getChildren(tree).find(n => n.name === 'GlossaryTerm')).toBeDefined();
+      logSpy.mockRestore();
+    });
+
+    it('should pick up glossary edits in the next file it transforms', async () => {
+      const glossaryFile = path.join(tempDir, 'glossary.json');
+      await fs.writeJson(glossaryFile, {
+        terms: [{ term: 'API', definition: 'Application Programming Interface' }],
+      });
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+      const transformer = remarkGlossaryTerms({ glossaryPath: 'glossary.json', siteDir: tempDir });
+
+      const before = makeTree('The API sends a Webhook.');
+      transformer(before);
+      await fs.writeJson(glossaryFile, {
+        terms: [{ term: 'Webhook', definition: 'An HTTP callback, sent on events' }],
+      });
+      const after = makeTree('The API sends a Webhook.');
+      transformer(after);
+
+      const linked = tree =>
+        getChildren(tree)
+          .filter(n => n.name === 'GlossaryTerm')
+          .map(n => n.attributes[0].value);
+      expect(linked(before)).toEqual(['API']);
+      expect(linked(after)).toEqual(['Webhook']);
+      expect(logSpy.mock.calls.map(([message]) => message)).toEqual([
+        '[glossary-plugin] Loaded 1 terms from glossary.json',
+        '[glossary-plugin] Reloaded 1 terms from glossary.json',
+      ]);
+      logSpy.mockRestore();
+    });
+
+    it('should not read an unchanged glossary again', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary.json'), {
+        terms: [{ term: 'API', definition: 'Application Programming Interface' }],
+      });
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+      const transformer = remarkGlossaryTerms({ glossaryPath: 'glossary.json', siteDir: tempDir });
+      const readSpy = jest.spyOn(nodeFs, 'readFileSync');
+
+      transformer(makeTree('The API.'));
+      transformer(makeTree('The API again.'));
+
+      expect(readSpy).not.toHaveBeenCalled();
+      expect(logSpy).toHaveBeenCalledTimes(1);
+      readSpy.mockRestore();
+      logSpy.mockRestore();
+    });
+
+    it('should pick up term files added to a glossary directory', async () => {
+      await fs.outputFile(
+        path.join(tempDir, 'terms/api.md'),
+        ['---', 'term: API', '---', 'Application Programming Interface'].join('\n')
+      );
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+      const transformer = remarkGlossaryTerms({ glossaryPath: 'terms', siteDir: tempDir });
+      transformer(makeTree('The API.'));
+
+      await fs.outputFile(
+        path.join(tempDir, 'terms/webhook.md'),
+        ['---', 'term: Webhook', '---', 'An HTTP callback.'].join('\n')
+      );
+      // Directory mtimes can have a coarse resolution: make the change visible
+      const later = new Date(Date.now() + 5000);
+      await fs.utimes(path.join(tempDir, 'terms'), later, later);
+      const tree = makeTree('Configure a Webhook.');
+      transformer(tree);
+
+      expect(getChildren(tree).find(n => n.name === 'GlossaryTerm')).toBeDefined();
+      logSpy.mockRestore();
+    });
+
+    it('should tell which pages were compiled with an outdated glossary', async () => {
+      const glossaryFile = path.join(tempDir, 'glossary.json');
+      const pagePath = path.join(tempDir, 'docs/intro.md');
+      await fs.writeJson(glossaryFile, {
+        terms: [{ term: 'API', definition: 'Application Programming Interface' }],
+      });
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+      const transformer = remarkGlossaryTerms({ glossaryPath: 'glossary.json', siteDir: tempDir });
+
+      transformer(makeTree('The API.'), { path: pagePath, data: {} });
+      expect(isCompiledWithStaleGlossary(pagePath)).toBe(false);
+      expect(isCompiledWithStaleGlossary(path.join(tempDir, 'docs/other.md'))).toBe(false);
+
+      await fs.writeJson(glossaryFile, {
+        terms: [{ term: 'API', definition: 'An interface between programs' }],
+      });
+      expect(isCompiledWithStaleGlossary(pagePath)).toBe(true);
+
+      transformer(makeTree('The API.'), { path: pagePath, data: {} });
+      expect(isCompiledWithStaleGlossary(pagePath)).toBe(false);
+      logSpy.mockRestore();
+    });
+
+    it('should keep one freshness check per page and glossary', async () => {
+      const glossaryFile = path.join(tempDir, 'glossary.json');
+      const pagePath = path.join(tempDir, 'docs/intro.md');
+      await fs.writeJson(glossaryFile, {
+        terms: [{ term: 'API', definition: 'Application Programming Interface' }],
+      });
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+      const options = { glossaryPath: 'glossary.json', siteDir: tempDir };
+
+      remarkGlossaryTerms(options)(makeTree('The API.'), { path: pagePath, data: {} });
+      await fs.writeJson(glossaryFile, {
+        terms: [{ term: 'API', definition: 'An interface between programs' }],
+      });
+      // A new compiler creates the remark plugin again for the same glossary
+      remarkGlossaryTerms(options)(makeTree('The API.'), { path: pagePath, data: {} });
+
+      expect(isCompiledWithStaleGlossary(pagePath)).toBe(false);
+      logSpy.mockRestore();
+    });
+
+    it('should load terms from a YAML file', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'glossary.yaml'),
+        ['terms:', '  - term: Webhook', '    definition: An HTTP callback.'].join('\n')
+      );
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const transformer = remarkGlossaryTerms({ glossaryPath: 'glossary.yaml', siteDir: tempDir });
+      const tree = makeTree('Configure a Webhook.');
+      transformer(tree);
+
+      const glossaryNode = getChildren(tree).find(n => n.name === 'GlossaryTerm');
+      expect(glossaryNode.attributes[1].value).toBe('An HTTP callback.');
+      logSpy.mockRestore();
+    });
+
+    it('should load terms from a directory of markdown files', async () => {
+      await fs.outputFile(
+        path.join(tempDir, 'terms/webhook.md'),
+        ['---', 'term: Webhook', 'aliases: [callback URL]', '---', 'An HTTP callback.'].join('\n')
+      );
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const transformer = remarkGlossaryTerms({ glossaryPath: 'terms', siteDir: tempDir });
+      const tree = makeTree('Register a callback URL.');
+      transformer(tree);
+
+      const glossaryNode = getChildren(tree).find(n => n.name === 'GlossaryTerm');
+      expect(glossaryNode.attributes[0].value).toBe('Webhook');
+      expect(glossaryNode.attributes[1].value).toBe('An HTTP callback.');
+      logSpy.mockRestore();
+    });
+
+    it('should name the offending term file in validation warnings', async () => {
+      await fs.outputFile(path.join(tempDir, 'terms/broken.md'), '---\nterm: Broken\n---\n');
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      remarkGlossaryTerms({ glossaryPath: 'terms', siteDir: tempDir });
+
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining(
+          `${path.join(tempDir, 'terms/broken.md')}:4:1: [terms[0].definition] Missing required field`
+        )
+      );
+      warnSpy.mockRestore();
+      logSpy.mockRestore();
+    });
+
+    it('should throw every validation error when onValidationError is "throw"', async () => {
+      const glossaryFile = path.join(tempDir, 'glossary.json');
+      await fs.writeJson(
+        glossaryFile,
+        {
+          terms: [
+            { term: 'API', definition: 'Interface', relatedTerms: ['Missing'] },
+            { term: 'Broken' },
+          ],
+        },
+        { spaces: 2 }
+      );
+
+      expect(() =>
+        remarkGlossaryTerms({
+          glossaryPath: 'glossary.json',
+          siteDir: tempDir,
+          onValidationError: 'throw',
+        })
+      ).toThrow(
+        expect.objectContaining({
+          name: 'GlossaryValidationError',
+          message: expect.stringContaining(
+            `1. ${glossaryFile}:10:5: [terms[1].definition] Missing required field "definition"`
+          ),
+          errors: [
+            expect.objectContaining({ field: 'terms[1].definition', line: 10, column: 5 }),
+            expect.objectContaining({
+              field: 'terms[0].relatedTerms[0]',
+              file: glossaryFile,
+              line: 7,
+              column: 9,
+            }),
+          ],
+        })
+      );
+    });
+
+    it('should keep valid terms silently when onValidationError is "ignore"', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary.json'), {
+        terms: [{ term: 'API', definition: 'Interface' }, { term: 'Broken' }],
+      });
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const transformer = remarkGlossaryTerms({
+        glossaryPath: 'glossary.json',
+        siteDir: tempDir,
+        onValidationError: 'ignore',
+      });
+      const tree = makeTree('The API is ready.');
+      transformer(tree);
+
+      expect(getChildren(tree).some(n => n.name === 'GlossaryTerm')).toBe(true);
+      expect(warnSpy).not.toHaveBeenCalled();
+      warnSpy.mockRestore();
+      logSpy.mockRestore();
+    });
+
+    it('should match localized term names and aliases for non-default locales', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary.json'), {
+        terms: [
+          { term: 'Payload', id: 'payload', definition: 'Data sent in a request' },
+          { term: 'Webhook', definition: 'An HTTP callback.' },
+        ],
+      });
+      await fs.outputJson(path.join(tempDir, 'i18n/fr/docusaurus-plugin-glossary/glossary.json'), {
+        terms: [
+          {
+            term: 'Charge utile',
+            id: 'payload',
+            definition: 'Données transmises',
+            aliases: ['charges utiles'],
+          },
+        ],
+      });
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const transformer = remarkGlossaryTerms({
+        glossaryPath: 'glossary.json',
+        siteDir: tempDir,
+        locale: 'fr',
+        defaultLocale: 'en',
+      });
+      const tree = makeTree('Les charges utiles du Webhook.');
+      transformer(tree);
+
+      const glossaryNodes = getChildren(tree).filter(n => n.name === 'GlossaryTerm');
+      expect(glossaryNodes.map(n => n.attributes[0].value)).toEqual(['Charge utile', 'Webhook']);
+      expect(glossaryNodes[0].attributes[1].value).toBe('Données transmises');
+      logSpy.mockRestore();
+    });
+
+    it('should check localized related terms against the untranslated terms', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary.json'), {
+        terms: [
+          { term: 'API', definition: 'Application Programming Interface' },
+          { term: 'REST', definition: 'Representational State Transfer' },
+        ],
+      });
+      await fs.outputJson(path.join(tempDir, 'i18n/fr/docusaurus-plugin-glossary/glossary.json'), {
+        terms: [{ term: 'API', definition: 'Interface de programmation', relatedTerms: ['REST'] }],
+      });
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const transformer = remarkGlossaryTerms({
+        glossaryPath: 'glossary.json',
+        siteDir: tempDir,
+        locale: 'fr',
+        defaultLocale: 'en',
+        onValidationError: 'throw',
+      });
+      const tree = makeTree("L'API REST.");
+      transformer(tree);
+
+      const glossaryNodes = getChildren(tree).filter(n => n.name === 'GlossaryTerm');
+      expect(glossaryNodes.map(n => n.attributes[0].value)).toEqual(['API', 'REST']);
+      logSpy.mockRestore();
+    });
+
+    it('should apply the locale translation file to tooltips and matched names', async () => {
+      await fs.writeJson(path.join(tempDir, 'glossary.json'), {
+        terms: [{ term: 'Webhook', definition: 'An HTTP callback.' }],
+      });
+      await fs.outputJson(
+        path.join(tempDir, 'i18n/de/docusaurus-plugin-glossary/translations.json'),
+        {
+          'term.webhook.name': { message: 'Rückruf' },
+          'term.webhook.definition': { message: 'Ein HTTP-Rückruf.' },
+        }
+      );
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const transformer = remarkGlossaryTerms({
+        glossaryPath: 'glossary.json',
+        siteDir: tempDir,
+        locale: 'de',
+        defaultLocale: 'en',
+      });
+      const tree = makeTree('Der Rückruf wird gesendet.');
+      transformer(tree);
+
+      const glossaryNode = getChildren(tree).find(n => n.name === 'GlossaryTerm');
+      expect(glossaryNode.attributes[0].value).toBe('Rückruf');
+      expect(glossaryNode.attributes[1].value).toBe('Ein HTTP-Rückruf.');
+      logSpy.mockRestore();
+    });
+
+    it('should match terms inherited through extends', async () => {
+      await fs.outputJson(path.join(tempDir, 'shared.json'), {
+        terms: [
+          { term: 'SLA', definition: 'Service Level Agreement' },
+          { term: 'Webhook', definition: 'Company definition' },
+        ],
+      });
+      await fs.writeJson(path.join(tempDir, 'glossary.json'), {
+        extends: ['./shared.json'],
+        terms: [{ term: 'Webhook', definition: 'Product definition' }],
+      });
+      const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      const transformer = remarkGlossaryTerms({ glossaryPath: 'glossary.json', siteDir: tempDir });
+      const tree = makeTree('The SLA covers each Webhook.');
+      transformer(tree);
+
+      const glossaryNodes = getChildren(tree).filter(n => n.name === 'GlossaryTerm');
+      expect(glossaryNodes.map(n => n.attributes[1].value)).toEqual([
+        'Service Level Agreement',
+        'Product definition',
+      ]);
+      logSpy.mockRestore();
+    });
+
+    it('should report malformed YAML and leave the tree untouched', async () => {
+      await fs.writeFile(path.join(tempDir, 'glossary.yml'), 'terms: [unclosed');
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      const transformer = remarkGlossaryTerms({ glossaryPath: 'glossary.yml', siteDir: tempDir });
+      const tree = makeTree('The API is useful.');
+      transformer(tree);
+
+      expect(getChildren(tree)).toHaveLength(1);
+      expect(errorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('[glossary-plugin] Failed to parse glossary file at glossary.yml'),
+        expect.any(String)
+      );
+      errorSpy.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,98 @@
+import path from 'path';
+import fs from 'fs-extra';
+import ts from 'typescript';
+import { validateGlossaryData } from '../src/validation.js';
+
+const rootDir = path.resolve(__dirname, '..');
+const schema = fs.readJsonSync(path.join(rootDir, 'schema.json'));
+
+/**
+ * Reads the members of the interfaces declared in src/types.ts as
+ * `{ [interfaceName]: { [member]: { type, optional } } }`
+ */
+function readInterfaces() {
+  const fileName = path.join(rootDir, 'src/types.ts');
+  const source = ts.createSourceFile(
+    fileName,
+    fs.readFileSync(fileName, 'utf8'),
+    ts.ScriptTarget.Latest,
+    true
+  );
+  const interfaces = {};
+  source.statements.filter(ts.isInterfaceDeclaration).forEach(declaration => {
+    interfaces[declaration.name.text] = Object.fromEntries(
+      declaration.members
+        .filter(ts.isPropertySignature)
+        .map(member => [
+          member.name.getText(source),
+          { type: member.type.getText(source), optional: Boolean(member.questionToken) },
+        ])
+    );
+  });
+  return interfaces;
+}
+
+/**
+ * Renders a JSON Schema property as the equivalent TypeScript type
+ */
+function toTypeScript(property) {
+  if (property.$ref) {
+    return property.$ref.split('/').pop();
+  }
+  if (property.oneOf) {
+    return property.oneOf.map(toTypeScript).join(' | ');
+  }
+  if (property.type === 'array') {
+    return `${toTypeScript(property.items)}[]`;
+  }
+  return property.type;
+}
+
+function describeSchema(objectSchema) {
+  return Object.fromEntries(
+    Object.entries(objectSchema.properties).map(([name, property]) => [
+      name,
+      {
+        type: toTypeScript(property),
+        optional: !(objectSchema.required || []).includes(name),
+      },
+    ])
+  );
+}
+
+describe('schema.json', () => {
+  const interfaces = readInterfaces();
+
+  it('should describe every GlossaryTerm field', () => {
+    expect(describeSchema(schema.definitions.GlossaryTerm)).toEqual(interfaces.GlossaryTerm);
+  });
+
+  it('should describe every glossary file field', () => {
+    expect(describeSchema(schema)).toEqual(interfaces.GlossaryFile);
+  });
+
+  it('should cover every GlossaryData field', () => {
+    Object.entries(interfaces.GlossaryData).forEach(([name, { type }]) => {
+      expect(interfaces.GlossaryFile[name]).toEqual(expect.objectContaining({ type }));
+    });
+  });
+
+  it('should be exported by the package', () => {
+    const packageJson = fs.readJsonSync(path.join(rootDir, 'package.json'));
+
+    expect(packageJson.exports['./schema.json']).toBe('./schema.json');
+    expect(packageJson.files).toContain('schema.json');
+  });
+
+  it('should describe glossaries the validator accepts', () => {
+    const data = {
+      $schema: './node_modules/docusaurus-plugin-glossary/schema.json',
+      terms: [{ term: 'API', definition: 'Application Programming Interface' }],
+    };
+
+    const result = validateGlossaryData(data, { throwOnError: false });
+
+    expect(result.valid).toBe(true);
+    expect(result.data).not.toHaveProperty('$schema');
+  });
+});
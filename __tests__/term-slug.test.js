@@ -0,0 +1,43 @@
+import { getTermPageSlug, getTermSlug, slugify } from '../src/term-slug';
+
+describe('slugify', () => {
+  it('should lowercase a name and replace whitespace with dashes', () => {
+    expect(slugify('Application Programming  Interface')).toBe('application-programming-interface');
+  });
+
+  it('should keep punctuation, so names that differ by it get different slugs', () => {
+    expect(slugify('C')).toBe('c');
+    expect(slugify('C++')).toBe('c++');
+    expect(slugify('C#')).toBe('c#');
+    expect(slugify('Node.js')).toBe('node.js');
+  });
+});
+
+describe('getTermSlug', () => {
+  it('should prefer the id of a term', () => {
+    expect(getTermSlug({ term: 'API', id: 'api-term' })).toBe('api-term');
+  });
+
+  it('should fall back to the slug of the term name', () => {
+    expect(getTermSlug({ term: 'Webhook Event' })).toBe('webhook-event');
+  });
+});
+
+describe('getTermPageSlug', () => {
+  it('should percent-encode reserved URL characters', () => {
+    expect(getTermPageSlug({ term: 'TCP/IP' })).toBe('tcp%2Fip');
+    expect(getTermPageSlug({ term: 'C#' })).toBe('c%23');
+    expect(getTermPageSlug({ term: 'C++' })).toBe('c%2B%2B');
+    expect(getTermPageSlug({ term: 'What?' })).toBe('what%3F');
+  });
+
+  it('should keep unreserved characters and letters of every script', () => {
+    expect(getTermPageSlug({ term: 'Node.js' })).toBe('node.js');
+    expect(getTermPageSlug({ term: 'Données transmises' })).toBe('données-transmises');
+    expect(getTermPageSlug({ term: 'ユーザー' })).toBe('ユーザー');
+  });
+
+  it('should use the id of a term', () => {
+    expect(getTermPageSlug({ term: 'API', id: 'api-term' })).toBe('api-term');
+  });
+});
@@ -0,0 +1,393 @@
+import path from 'path';
+import fs from 'fs-extra';
+import os from 'os';
+import {
+  collectContentPages,
+  getConfiguredContentPlugins,
+  getRemarkConfigurations,
+  getTermUsage,
+  scanContentPages,
+} from '../src/term-usage';
+import remarkGlossaryTerms from '../src/remark/glossary-terms';
+
+// Stand-in for the site's MDX parser: one paragraph per line, `# ` lines as headings and
+// `<GlossaryTerm term="..." />` lines as JSX elements
+function parse(content) {
+  return {
+    type: 'root',
+    children: content
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const element = line.match(/^<GlossaryTerm term="(.*)" \/>$/);
+        if (element) {
+          return {
+            type: 'mdxJsxFlowElement',
+            name: 'GlossaryTerm',
+            attributes: [{ type: 'mdxJsxAttribute', name: 'term', value: element[1] }],
+            children: [],
+          };
+        }
+        return line.startsWith('# ')
+          ? { type: 'heading', depth: 1, children: [{ type: 'text', value: line.slice(2) }] }
+          : { type: 'paragraph', children: [{ type: 'text', value: line }] };
+      }),
+  };
+}
+
+let siteDir;
+
+beforeEach(async () => {
+  siteDir = await fs.mkdtemp(path.join(os.tmpdir(), 'glossary-usage-'));
+});
+
+afterEach(async () => {
+  await fs.remove(siteDir);
+});
+
+const page = (source, permalink, title) => ({
+  source,
+  filePath: path.join(siteDir, source),
+  permalink,
+  ...(title ? { title } : {}),
+});
+
+describe('getConfiguredContentPlugins', () => {
+  it('should find the content plugins of plugins and presets', () => {
+    const docs = { path: 'docs' };
+    const blog = { id: 'news', path: 'news' };
+    const pages = { path: 'src/pages' };
+    const api = { id: 'api', path: 'api' };
+
+    expect(
+      getConfiguredContentPlugins({
+        presets: [['classic', { docs, blog, pages: false }], 'other-preset'],
+        plugins: [
+          ['@docusaurus/plugin-content-docs', api],
+          ['content-pages', pages],
+          '@docusaurus/plugin-sitemap',
+          [() => ({ name: 'custom' }), { remarkPlugins: [] }],
+        ],
+      })
+    ).toEqual([
+      { name: 'docusaurus-plugin-content-docs', id: 'api', options: api },
+      { name: 'docusaurus-plugin-content-pages', id: 'default', options: pages },
+      { name: 'docusaurus-plugin-content-docs', id: 'default', options: docs },
+      { name: 'docusaurus-plugin-content-blog', id: 'news', options: blog },
+    ]);
+  });
+});
+
+describe('getRemarkConfigurations', () => {
+  const contentPlugin = (id, options) => ({ name: 'docusaurus-plugin-content-docs', id, options });
+
+  it('should give the options of the remark plugin of each content plugin using it', () => {
+    const remarkOptions = { siteDir, maxLinksPerTerm: 1 };
+
+    expect(
+      getRemarkConfigurations([
+        contentPlugin('default', {
+          remarkPlugins: [() => {}, [remarkGlossaryTerms, remarkOptions]],
+        }),
+        contentPlugin('api', { beforeDefaultRemarkPlugins: [remarkGlossaryTerms] }),
+        contentPlugin('changelog', { remarkPlugins: [] }),
+        contentPlugin('legal', {}),
+      ])
+    ).toEqual([
+      { name: 'docusaurus-plugin-content-docs', id: 'default', remarkOptions },
+      { name: 'docusaurus-plugin-content-docs', id: 'api', remarkOptions: {} },
+    ]);
+  });
+
+  it('should only give the remark plugins of the glossary instance', () => {
+    const contentPlugins = [
+      contentPlugin('default', {
+        remarkPlugins: [[remarkGlossaryTerms, { routePath: '/glossary' }]],
+      }),
+      contentPlugin('product', {
+        remarkPlugins: [[remarkGlossaryTerms, { glossaryId: 'product', routePath: '/terms' }]],
+      }),
+    ];
+
+    expect(getRemarkConfigurations(contentPlugins).map(({ id }) => id)).toEqual(['default']);
+    expect(getRemarkConfigurations(contentPlugins, 'product').map(({ id }) => id)).toEqual([
+      'product',
+    ]);
+  });
+});
+
+describe('collectContentPages', () => {
+  const remarkOptions = { siteDir: '/site' };
+  const configure = (...names) => names.map(name => ({ name, id: 'default', remarkOptions }));
+
+  it('should find the markdown pages of the content plugins using the remark plugin', () => {
+    const allContent = {
+      'docusaurus-plugin-content-docs': {
+        default: {
+          loadedVersions: [
+            {
+              docs: [
+                { source: '@site/docs/intro.md', permalink: '/docs/intro', title: 'Intro' },
+                { source: '@site/docs/api.mdx', permalink: '/docs/api', title: 'API' },
+              ],
+            },
+          ],
+        },
+      },
+      'docusaurus-plugin-content-blog': {
+        default: {
+          blogPosts: [
+            {
+              metadata: {
+                source: '@site/blog/2024-01-01-launch.md',
+                permalink: '/blog/launch',
+                title: 'Launch',
+              },
+            },
+          ],
+        },
+      },
+      'docusaurus-plugin-content-pages': {
+        default: [
+          { type: 'jsx', source: '@site/src/pages/index.js', permalink: '/' },
+          {
+            type: 'mdx',
+            source: '@site/src/pages/about.md',
+            permalink: '/about',
+            frontMatter: { title: 'About us' },
+          },
+        ],
+      },
+      'docusaurus-plugin-glossary': {
+        default: { terms: [{ source: '@site/glossary/api.md', permalink: '/glossary/api' }] },
+      },
+    };
+
+    const pages = collectContentPages(
+      allContent,
+      '/site',
+      configure(
+        'docusaurus-plugin-content-docs',
+        'docusaurus-plugin-content-blog',
+        'docusaurus-plugin-content-pages'
+      )
+    );
+
+    expect(pages).toEqual([
+      {
+        source: 'src/pages/about.md',
+        filePath: path.resolve('/site', 'src/pages/about.md'),
+        permalink: '/about',
+        title: 'About us',
+        frontMatter: { title: 'About us' },
+
+        remarkOptions,
+      },
+      {
+        source: 'blog/2024-01-01-launch.md',
+        filePath: path.resolve('/site', 'blog/2024-01-01-launch.md'),
+        permalink: '/blog/launch',
+        title: 'Launch',
+
+        remarkOptions,
+      },
+      {
+        source: 'docs/api.mdx',
+        filePath: path.resolve('/site', 'docs/api.mdx'),
+        permalink: '/docs/api',
+        title: 'API',
+
+        remarkOptions,
+      },
+      {
+        source: 'docs/intro.md',
+        filePath: path.resolve('/site', 'docs/intro.md'),
+        permalink: '/docs/intro',
+        title: 'Intro',
+
+        remarkOptions,
+      },
+    ]);
+  });
+
+  it('should handle content referencing the same object twice', () => {
+    const doc = { source: '@site/docs/intro.md', permalink: '/docs/intro' };
+    const content = { docs: [doc], sidebar: { items: [doc] } };
+    content.self = content;
+
+    expect(
+      collectContentPages({ docs: { default: content } }, '/site', configure('docs'))
+    ).toHaveLength(1);
+  });
+
+  it('should skip the content plugins not using the remark plugin', () => {
+    const allContent = {
+      'docusaurus-plugin-content-docs': {
+        default: { docs: [{ source: '@site/docs/intro.md', permalink: '/docs/intro' }] },
+      },
+      'docusaurus-plugin-content-blog': {
+        default: { blogPosts: [{ source: '@site/blog/launch.md', permalink: '/blog/launch' }] },
+      },
+    };
+
+    expect(
+      collectContentPages(allContent, '/site', configure('docusaurus-plugin-content-docs')).map(
+        page => page.permalink
+      )
+    ).toEqual(['/docs/intro']);
+  });
+});
+
+describe('scanContentPages', () => {
+  it('should count linked terms, hand-written GlossaryTerm elements and words', async () => {
+    await fs.outputFile(
+      path.join(siteDir, 'docs/intro.md'),
+      'Call the API over REST.\n<GlossaryTerm term="sdk" />\n<GlossaryTerm term="Unknown" />\n'
+    );
+
+    const scans = await scanContentPages({
+      pages: [page('docs/intro.md', '/docs/intro', 'Intro')],
+      terms: [
+        { term: 'API', definition: 'Application Programming Interface' },
+        { term: 'REST', definition: 'Representational State Transfer' },
+        { term: 'SDK', definition: 'Software Development Kit', autoLink: false },
+      ],
+      parse,
+    });
+
+    expect(scans).toEqual([
+      {
+        ...page('docs/intro.md', '/docs/intro', 'Intro'),
+        linkedTerms: { API: 1, REST: 1 },
+        manualTerms: { SDK: 1 },
+        wordCount: 5,
+      },
+    ]);
+  });
+
+  it('should only count what the remark options and front matter let the build link', async () => {
+    await fs.outputFile(path.join(siteDir, 'docs/intro.md'), 'The API calls the API over REST.\n');
+    await fs.outputFile(path.join(siteDir, 'docs/legal.md'), 'The API.\n');
+    await fs.outputFile(path.join(siteDir, 'docs/changelog.md'), 'The API.\n');
+
+    const remarkOptions = { siteDir, excludePaths: ['docs/changelog.md'], maxLinksPerTerm: 1 };
+
+    const scans = await scanContentPages({
+      pages: [
+        {
+          ...page('docs/intro.md', '/docs/intro'),
+          frontMatter: { glossary: { exclude: ['REST'] } },
+          remarkOptions,
+        },
+        {
+          ...page('docs/legal.md', '/docs/legal'),
+          frontMatter: { glossary: false },
+          remarkOptions,
+        },
+        { ...page('docs/changelog.md', '/docs/changelog'), remarkOptions },
+        page('docs/intro.md', '/docs/intro-copy'),
+      ],
+      terms: [
+        { term: 'API', definition: 'Application Programming Interface' },
+        { term: 'REST', definition: 'Representational State Transfer' },
+      ],
+      parse,
+    });
+
+    expect(scans.map(scan => scan.linkedTerms)).toEqual([{ API: 1 }, {}, {}, { API: 2, REST: 1 }]);
+    expect(scans[0]).not.toHaveProperty('remarkOptions');
+  });
+
+  it('should not repeat the warnings of the build about unknown terms', async () => {
+    await fs.outputFile(path.join(siteDir, 'docs/intro.md'), 'The [[SDK]] and the API.\n');
+    const warn = jest.spyOn(console, 'warn').mockImplementation();
+
+    const scans = await scanContentPages({
+      pages: [
+        {
+          ...page('docs/intro.md', '/docs/intro'),
+          frontMatter: { glossary: { exclude: ['CLI'] } },
+        },
+      ],
+      terms: [{ term: 'API', definition: 'Application Programming Interface' }],
+      parse,
+    });
+
+    expect(scans[0].linkedTerms).toEqual({ API: 1 });
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('should pass the front matter to the parser, which picks the format from it', async () => {
+    await fs.outputFile(
+      path.join(siteDir, 'docs/intro.md'),
+      '---\nmdx:\n  format: md\n---\nThe API.\n'
+    );
+    const frontMatter = { mdx: { format: 'md' } };
+    const parseSpy = jest.fn(parse);
+
+    await scanContentPages({
+      pages: [{ ...page('docs/intro.md', '/docs/intro'), frontMatter }],
+      terms: [{ term: 'API', definition: 'Application Programming Interface' }],
+      parse: parseSpy,
+    });
+
+    expect(parseSpy).toHaveBeenCalledWith(
+      'The API.\n',
+      path.join(siteDir, 'docs/intro.md'),
+      frontMatter
+    );
+  });
+});
+
+describe('getTermUsage', () => {
+  it('should count the linked occurrences of each term per page, most first', async () => {
+    await fs.outputFile(
+      path.join(siteDir, 'docs/intro.md'),
+      '---\ntitle: API\n---\n# API\nCall the API.\n'
+    );
+    await fs.outputFile(path.join(siteDir, 'docs/rest.md'), 'REST APIs use an API key.\nREST!\n');
+
+    const usage = getTermUsage(
+      await scanContentPages({
+        pages: [page('docs/intro.md', '/docs/intro', 'Intro'), page('docs/rest.md', '/docs/rest')],
+        terms: [
+          { term: 'API', definition: 'Application Programming Interface' },
+          { term: 'REST', definition: 'Representational State Transfer' },
+          { term: 'SDK', definition: 'Software Development Kit' },
+        ],
+        parse,
+      })
+    );
+
+    expect(usage).toEqual({
+      API: [
+        { source: 'docs/rest.md', permalink: '/docs/rest', count: 2 },
+        { source: 'docs/intro.md', permalink: '/docs/intro', title: 'Intro', count: 1 },
+      ],
+      REST: [{ source: 'docs/rest.md', permalink: '/docs/rest', count: 2 }],
+    });
+  });
+
+  it('should skip pages that cannot be read or parsed', async () => {
+    await fs.outputFile(path.join(siteDir, 'docs/broken.mdx'), 'The API <');
+    await fs.outputFile(path.join(siteDir, 'docs/ok.md'), 'The API.');
+
+    const usage = getTermUsage(
+      await scanContentPages({
+        pages: [
+          page('docs/missing.md', '/docs/missing'),
+          page('docs/broken.mdx', '/docs/broken'),
+          page('docs/ok.md', '/docs/ok'),
+        ],
+        terms: [{ term: 'API', definition: 'Application Programming Interface' }],
+        parse: (content, filePath) => {
+          if (filePath.endsWith('.mdx')) throw new Error('Unexpected character');
+          return parse(content);
+        },
+      })
+    );
+
+    expect(usage).toEqual({ API: [{ source: 'docs/ok.md', permalink: '/docs/ok', count: 1 }] });
+  });
+});
@@ -1,5 +1,7 @@
 import {
   validateGlossaryData,
+  validateMergedGlossary,
+  reportValidationErrors,
   GlossaryValidationError,
   formatValidationErrors,
 } from '../src/validation.js';
@@ -31,6 +33,8 @@ describe('validateGlossaryData', () => {
             relatedTerms: ['SDK', 'REST'],
             id: 'api-term',
           },
+          { term: 'SDK', definition: 'Software Development Kit' },
+          { term: 'REST', definition: 'Representational State Transfer' },
         ],
       };
 
@@ -252,6 +256,77 @@ describe('validateGlossaryData', () => {
       expect(result.errors[0].field).toBe('terms[0].caseSensitive');
       expect(result.errors[0].message).toContain('must be a boolean');
     });
+
+    it('should accept string tags', () => {
+      const data = {
+        terms: [{ term: 'Invoice', definition: 'Test', tags: ['billing', 'compliance'] }],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    it('should reject non-array tags', () => {
+      const data = {
+        terms: [{ term: 'Invoice', definition: 'Test', tags: 'billing' }],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].field).toBe('terms[0].tags');
+      expect(result.errors[0].message).toContain('must be an array');
+    });
+
+    it('should reject non-string and empty tags', () => {
+      const data = {
+        terms: [{ term: 'Invoice', definition: 'Test', tags: ['billing', 42, ' '] }],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(error => error.field)).toEqual([
+        'terms[0].tags[1]',
+        'terms[0].tags[2]',
+      ]);
+      expect(result.errors[1].message).toBe('Tag cannot be empty');
+    });
+
+    it('should accept string forms, including none', () => {
+      const data = {
+        terms: [
+          { term: 'Index', definition: 'Test', forms: ['indices', 'indexes'] },
+          { term: 'Deploy', definition: 'Test', forms: [] },
+        ],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject non-array, non-string and empty forms', () => {
+      const data = {
+        terms: [
+          { term: 'Index', definition: 'Test', forms: 'indices' },
+          { term: 'Proxy', definition: 'Test', forms: ['proxies', 1, ''] },
+        ],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(error => error.field)).toEqual([
+        'terms[0].forms',
+        'terms[1].forms[1]',
+        'terms[1].forms[2]',
+      ]);
+      expect(result.errors[0].message).toContain('must be an array');
+      expect(result.errors[2].message).toBe('Form cannot be empty');
+    });
   });
 
   describe('duplicate detection', () => {
@@ -270,6 +345,185 @@ describe('validateGlossaryData', () => {
     });
   });
 
+  describe('cross-references', () => {
+    it('should report related terms that match no term', () => {
+      const data = {
+        terms: [
+          { term: 'API', definition: 'Interface', relatedTerms: ['rest', 'GraphQL'] },
+          { term: 'REST', definition: 'Representational State Transfer' },
+        ],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.errors).toEqual([
+        {
+          field: 'terms[0].relatedTerms[1]',
+          message: 'Related term "GraphQL" does not match any term in the glossary',
+          value: 'GraphQL',
+        },
+      ]);
+    });
+
+    it('should resolve related terms by id', () => {
+      const data = {
+        terms: [
+          { term: 'API', definition: 'Interface', relatedTerms: ['rest-style'] },
+          { term: 'REST', definition: 'Representational State Transfer', id: 'rest-style' },
+        ],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should report aliases that collide with another term', () => {
+      const data = {
+        terms: [
+          { term: 'Cache', definition: 'A store', aliases: ['Caches', 'CDN'] },
+          { term: 'CDN', definition: 'Content Delivery Network' },
+        ],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.errors).toEqual([
+        {
+          field: 'terms[0].aliases[1]',
+          message: 'Alias "CDN" collides with the term "CDN" (terms[1])',
+          value: 'CDN',
+        },
+      ]);
+    });
+
+    it('should report aliases shared by different terms', () => {
+      const data = {
+        terms: [
+          { term: 'Clean', definition: 'Tidy', aliases: ['cleaning'] },
+          { term: 'Cleanse', definition: 'Purify', aliases: ['Cleaning'] },
+        ],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.errors).toEqual([
+        {
+          field: 'terms[1].aliases[0]',
+          message: 'Alias "Cleaning" is also an alias of "Clean" (terms[0])',
+          value: 'Cleaning',
+        },
+      ]);
+    });
+
+    it('should report the aliases of terms that are only linked by hand', () => {
+      const data = {
+        terms: [
+          { term: 'Clean', definition: 'Tidy', aliases: ['cleaning'] },
+          {
+            term: 'Cleanse',
+            definition: 'Purify',
+            aliases: ['cleaning', 'Clean'],
+            autoLink: false,
+          },
+        ],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.errors.map(error => error.message)).toEqual([
+        'Alias "cleaning" is also an alias of "Clean" (terms[0])',
+        'Alias "Clean" collides with the term "Clean" (terms[0])',
+      ]);
+    });
+
+    it('should report duplicate ids', () => {
+      const data = {
+        terms: [
+          { term: 'API', definition: 'Interface', id: 'api' },
+          { term: 'Application Programming Interface', definition: 'Long form', id: 'api' },
+        ],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.errors).toEqual([
+        {
+          field: 'terms[1].id',
+          message: 'Duplicate id "api" (also used by terms[0])',
+          value: 'api',
+        },
+      ]);
+    });
+
+    it('should report terms whose anchors collide', () => {
+      const data = {
+        terms: [
+          { term: 'Pull Request', definition: 'A change proposal' },
+          { term: 'pull-request', definition: 'Same anchor' },
+        ],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.errors).toEqual([
+        {
+          field: 'terms[1].term',
+          message:
+            'Term "pull-request" has the same anchor "pull-request" as "Pull Request" (terms[0])',
+          value: 'pull-request',
+        },
+      ]);
+    });
+
+    it('should accept names that only differ by punctuation', () => {
+      const data = {
+        terms: [
+          { term: 'C', definition: 'A programming language' },
+          { term: 'C++', definition: 'Another programming language' },
+          { term: 'C#', definition: 'Yet another programming language' },
+        ],
+      };
+
+      expect(validateGlossaryData(data, { throwOnError: false }).errors).toEqual([]);
+    });
+
+    it('should not repeat duplicate term errors as anchor collisions', () => {
+      const data = {
+        terms: [
+          { term: 'API', definition: 'First' },
+          { term: 'api', definition: 'Second' },
+        ],
+      };
+
+      const result = validateGlossaryData(data, { throwOnError: false });
+
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].message).toContain('Duplicate term');
+    });
+
+    it('should use original term positions and files', () => {
+      const data = {
+        terms: [
+          { term: 'Broken' },
+          { term: 'API', definition: 'Interface', relatedTerms: ['Missing'] },
+        ],
+      };
+
+      const result = validateGlossaryData(data, {
+        throwOnError: false,
+        termFiles: ['terms/broken.md', 'terms/api.md'],
+      });
+
+      expect(result.errors[1]).toEqual({
+        field: 'terms[1].relatedTerms[0]',
+        message: 'Related term "Missing" does not match any term in the glossary',
+        value: 'Missing',
+        file: 'terms/api.md',
+      });
+    });
+  });
+
   describe('throwOnError option', () => {
     it('should throw GlossaryValidationError when throwOnError is true', () => {
       const data = { terms: 'invalid' };
@@ -310,6 +564,188 @@ describe('validateGlossaryData', () => {
       expect(result.data.terms[1].term).toBe('SDK');
     });
   });
+
+  describe('term files', () => {
+    it('should attach the source file to term-level errors', () => {
+      const data = {
+        terms: [
+          { term: 'API', definition: 'Valid' },
+          { term: 'SDK' },
+          { term: 'api', definition: 'Duplicate' },
+        ],
+      };
+
+      const result = validateGlossaryData(data, {
+        throwOnError: false,
+        termFiles: ['terms/api.md', 'terms/sdk.md', 'terms/api-2.md'],
+      });
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({ field: 'terms[1].definition', file: 'terms/sdk.md' }),
+        expect.objectContaining({
+          field: 'terms[2].term',
+          file: 'terms/api-2.md',
+          message: 'Duplicate term "api" (first occurrence at terms/api.md)',
+        }),
+      ]);
+    });
+  });
+
+  describe('source positions', () => {
+    const data = {
+      terms: [{ term: 'SDK' }, { term: 'API', definition: 'Interface', abbreviation: 3 }],
+    };
+    const locate = field =>
+      ({
+        'terms[0].definition': { file: 'glossary.json', line: 3, column: 5 },
+        'terms[1].abbreviation': { file: 'glossary.json', line: 7, column: 23 },
+      })[field];
+
+    it('should attach the file, line and column returned by locate', () => {
+      const result = validateGlossaryData(data, { throwOnError: false, locate });
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          field: 'terms[0].definition',
+          file: 'glossary.json',
+          line: 3,
+          column: 5,
+        }),
+        expect.objectContaining({
+          field: 'terms[1].abbreviation',
+          file: 'glossary.json',
+          line: 7,
+          column: 23,
+        }),
+      ]);
+    });
+
+    it('should keep errors the locator does not know unchanged', () => {
+      const result = validateGlossaryData({ title: 3, terms: [] }, { throwOnError: false, locate });
+
+      expect(result.errors).toEqual([
+        { field: 'title', message: 'The title property in the GlossaryData must be a string.' },
+      ]);
+    });
+
+    it('should locate every error listed in the thrown error', () => {
+      expect(() => validateGlossaryData(data, { locate })).toThrow(
+        expect.objectContaining({
+          message: expect.stringContaining(
+            '2. glossary.json:7:23: [terms[1].abbreviation] Field "abbreviation" must be a string'
+          ),
+        })
+      );
+    });
+  });
+});
+
+describe('validateMergedGlossary', () => {
+  const validate = (data, options) =>
+    validateGlossaryData(data, { throwOnError: false, crossReferences: false, ...options });
+
+  it('should leave references to the merge when crossReferences is false', () => {
+    const result = validate({
+      terms: [{ term: 'API', definition: 'Interface', relatedTerms: ['REST'] }],
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.origins).toEqual([{ index: 0 }]);
+  });
+
+  it('should resolve references across the merged sources', () => {
+    const base = validate({
+      terms: [
+        { term: 'API', definition: 'Application Programming Interface' },
+        { term: 'REST', definition: 'Representational State Transfer' },
+      ],
+    });
+    const localized = validate({
+      terms: [{ term: 'API', definition: 'Interface', relatedTerms: ['REST'] }],
+    });
+    const terms = [localized.data.terms[0], base.data.terms[1]];
+
+    expect(
+      validateMergedGlossary(terms, [
+        { path: 'glossary.json', result: base },
+        { path: 'fr/glossary.json', result: localized },
+      ])
+    ).toEqual([]);
+  });
+
+  it('should list the errors of each source, then those of the merged references', () => {
+    const base = validate({
+      terms: [{ term: 'REST', definition: 'Representational State Transfer' }, { term: 'Broken' }],
+    });
+    const localized = validate({
+      terms: [{ term: 'Interface', definition: 'Interface', aliases: ['rest'] }],
+    });
+    const terms = [...base.data.terms, ...localized.data.terms];
+
+    expect(
+      validateMergedGlossary(terms, [
+        { path: 'glossary.json', result: base },
+        { path: 'fr/glossary.json', result: localized },
+      ])
+    ).toEqual([
+      expect.objectContaining({ field: 'terms[1].definition', file: 'glossary.json' }),
+      expect.objectContaining({
+        field: 'terms[0].aliases[0]',
+        file: 'fr/glossary.json',
+        message: 'Alias "rest" collides with the term "REST" (glossary.json)',
+      }),
+    ]);
+  });
+});
+
+describe('reportValidationErrors', () => {
+  const errors = [
+    { field: 'terms[0].definition', message: 'Missing required field "definition"' },
+    { field: 'terms[1].id', message: 'Duplicate id "api"', file: 'terms/api.md' },
+  ];
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  it('should warn about every error by default', () => {
+    reportValidationErrors(errors, 'glossary.json');
+
+    expect(warnSpy.mock.calls.map(call => call[0])).toEqual([
+      '[glossary-plugin] Glossary file has validation errors at glossary.json:',
+      '  - [terms[0].definition] Missing required field "definition"',
+      '  - terms/api.md: [terms[1].id] Duplicate id "api"',
+      '[glossary-plugin] Proceeding with valid terms only.',
+    ]);
+  });
+
+  it('should throw every error, attributed to its file, when set to "throw"', () => {
+    expect(() => reportValidationErrors(errors, 'glossary.json', 'throw')).toThrow(
+      expect.objectContaining({
+        errors: [
+          { ...errors[0], file: 'glossary.json' },
+          { ...errors[1], file: 'terms/api.md' },
+        ],
+      })
+    );
+    expect(warnSpy).not.toHaveBeenCalled();
+  });
+
+  it('should stay silent when set to "ignore"', () => {
+    reportValidationErrors(errors, 'glossary.json', 'ignore');
+
+    expect(warnSpy).not.toHaveBeenCalled();
+  });
+
+  it('should do nothing without errors', () => {
+    expect(() => reportValidationErrors([], 'glossary.json', 'throw')).not.toThrow();
+    expect(warnSpy).not.toHaveBeenCalled();
+  });
 });
 
 describe('GlossaryValidationError', () => {
@@ -373,4 +809,26 @@ describe('formatValidationErrors', () => {
     expect(result).toContain('...');
     expect(result.length).toBeLessThan(longValue.length + 100);
   });
+
+  it('should prefix errors with their source file when present', () => {
+    const errors = [{ field: 'terms[0].definition', message: 'Missing', file: 'terms/api.md' }];
+    const result = formatValidationErrors(errors);
+
+    expect(result).toContain('1. terms/api.md: [terms[0].definition] Missing');
+  });
+
+  it('should print source positions as path:line:col', () => {
+    const errors = [
+      {
+        field: 'terms[3].definition',
+        message: 'Missing',
+        file: 'glossary.yml',
+        line: 12,
+        column: 5,
+      },
+    ];
+    const result = formatValidationErrors(errors);
+
+    expect(result).toContain('1. glossary.yml:12:5: [terms[3].definition] Missing');
+  });
 });
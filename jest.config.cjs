@@ -10,7 +10,9 @@ module.exports = {
   moduleNameMapper: {
     '^@theme/Layout$': '<rootDir>/jest/mocks/Layout',
     '^@theme/(.*)$': '<rootDir>/src/theme/$1',
-    '^@docusaurus/(.*)$': '<rootDir>/jest/mocks/$1',
+    // Client modules of the site; packages such as @docusaurus/utils load as they are
+    '^@docusaurus/(Head|Link|Translate|router|useDocusaurusContext|useGlobalData)$':
+      '<rootDir>/jest/mocks/$1',
     '\\.module\\.css$': 'identity-obj-proxy',
     '\\.css$': require.resolve('./jest/cssMapper.js'),
     '^unist-util-visit$': '<rootDir>/jest/mocks/unist-util-visit.js',
@@ -19,7 +21,6 @@ module.exports = {
   },
   testMatch: ['**/__tests__/**/*.js', '**/*.test.js'],
   collectCoverageFrom: [
-    'src/components/**/*.{js,jsx,ts,tsx}',
     'src/theme/**/*.{js,jsx,ts,tsx}',
     'src/index.{js,ts}',
     '!**/node_modules/**',
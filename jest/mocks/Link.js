@@ -0,0 +1,9 @@
+import React from 'react';
+
+export default function Link({ to, href, children, ...props }) {
+  return (
+    <a href={to ?? href} {...props}>
+      {children}
+    </a>
+  );
+}
@@ -0,0 +1,16 @@
+import React from 'react';
+
+function interpolate(message, values) {
+  if (!values) return message;
+  return message.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined ? String(values[key]) : match
+  );
+}
+
+export function translate({ message }, values) {
+  return interpolate(message, values);
+}
+
+export default function Translate({ children, values }) {
+  return <>{interpolate(children, values)}</>;
+}
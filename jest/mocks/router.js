@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+
+// Minimal stand-in for react-router, backed by the jsdom location so tests can set
+// the initial URL with `window.history.replaceState` and assert on `window.location`
+const listeners = new Set();
+
+function getLocation() {
+  const { pathname, search, hash } = window.location;
+  return { pathname, search, hash };
+}
+
+function navigate(method, to) {
+  const url =
+    typeof to === 'string' ? to : `${to.pathname ?? ''}${to.search ?? ''}${to.hash ?? ''}`;
+  window.history[method]({}, '', url);
+  listeners.forEach(listener => listener(getLocation()));
+}
+
+const history = {
+  push: to => navigate('pushState', to),
+  replace: to => navigate('replaceState', to),
+};
+
+export function useLocation() {
+  const [location, setLocation] = useState(getLocation);
+  useEffect(() => {
+    listeners.add(setLocation);
+    return () => listeners.delete(setLocation);
+  }, []);
+  return location;
+}
+
+export function useHistory() {
+  return history;
+}
@@ -14,7 +14,9 @@ function visit(tree, test, visitor) {
     const matches =
       !test ||
       (typeof test === 'string' && test === node.type) ||
-      (typeof test === 'object' && test.type === node.type);
+      (Array.isArray(test) && test.includes(node.type)) ||
+      (typeof test === 'function' && test(node, index, parent)) ||
+      (typeof test === 'object' && !Array.isArray(test) && test.type === node.type);
     if (matches) {
       const result = visitor(node, index, parent);
       if (result === false) return; // Stop traversal
@@ -0,0 +1,11 @@
+import type { DefinitionNode, GlossaryData, CompiledGlossaryTerm } from './types.js';
+
+export function isSafeUrl(url: string): boolean;
+
+export function parseInlineMarkdown(source: string): DefinitionNode[];
+
+export function toPlainText(nodes: DefinitionNode[]): string;
+
+export function compileGlossaryDefinitions<T extends GlossaryData>(
+  data: T
+): Omit<T, 'terms'> & { terms: CompiledGlossaryTerm[] };
@@ -0,0 +1,389 @@
+/**
+ * Inline markdown support for term definitions.
+ *
+ * Definitions are compiled at build time (in the plugin's `contentLoaded`) into a
+ * small mdast-like tree of phrasing nodes, which the theme components render with
+ * React: the client ships no markdown parser and never injects raw HTML. Supported
+ * syntax is `code`, *emphasis* / _emphasis_, **strong** / __strong__, ***both***,
+ * [links](https://example.com), <https://autolinks>, backslash escapes and HTML entities
+ * (`&amp;`, `&#169;`). Images render as their alt text; anything else (including raw
+ * HTML) stays plain text.
+ */
+import { decodeHTMLStrict } from 'entities/lib/decode.js';
+
+/** Characters that can be escaped with a backslash. */
+const ESCAPABLE_CHARACTERS = '\\`*_[](){}<>#+-.!|~&';
+
+/** Link protocols allowed in definitions; others (e.g. `javascript:`) render as text. */
+const SAFE_PROTOCOLS = ['http', 'https', 'mailto', 'tel'];
+
+const AUTOLINK_REGEX = /^<((?:https?|mailto):[^\s<>]+)>/i;
+
+/** Named, decimal and hexadecimal character references, as in CommonMark */
+const ENTITY_REGEX = /&(?:#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/g;
+const LEADING_ENTITY_REGEX = new RegExp(`^${ENTITY_REGEX.source}`);
+
+/**
+ * Decodes the HTML entities of a text. Unknown named entities stay as written.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(ENTITY_REGEX, decodeHTMLStrict);
+}
+
+/**
+ * Whether a link URL is safe to render: relative URLs, anchors, and absolute URLs
+ * using one of {@link SAFE_PROTOCOLS}
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isSafeUrl(url) {
+  // Browsers ignore whitespace and control characters inside a scheme ("java\tscript:")
+  const normalized = Array.from(url)
+    .filter(char => char.charCodeAt(0) > 0x20 && char.charCodeAt(0) !== 0x7f)
+    .join('');
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_PROTOCOLS.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Whether a character is a letter or digit (used for `_` intraword rules)
+ *
+ * @param {string | undefined} char
+ * @returns {boolean}
+ */
+function isWordCharacter(char) {
+  return char !== undefined && /[\p{L}\p{N}]/u.test(char);
+}
+
+/**
+ * Matches a code span opening at `start`. The closing backtick run must have the
+ * same length as the opening one.
+ *
+ * @param {string} source
+ * @param {number} start - Index of the opening backtick
+ * @returns {{ value: string, end: number } | null}
+ */
+function matchCodeSpan(source, start) {
+  const run = source.slice(start).match(/^`+/)[0];
+  const match = source.slice(start).match(new RegExp(`^${run}(?!\`)([\\s\\S]*?[^\`])${run}(?!\`)`));
+  if (!match) {
+    return null;
+  }
+
+  let value = match[1];
+  if (value.length > 2 && value.startsWith(' ') && value.endsWith(' ') && value.trim()) {
+    value = value.slice(1, -1);
+  }
+  return { value, end: start + match[0].length };
+}
+
+/**
+ * Matches a link destination, `(url)`, `(<url>)` or `(url "title")`, opening at
+ * `start`. Parentheses inside the URL must be balanced, as in CommonMark.
+ *
+ * @param {string} source
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {{ url: string, end: number } | null}
+ */
+function matchLinkDestination(source, start) {
+  if (source[start] !== '(') {
+    return null;
+  }
+
+  let index = start + 1;
+  const skipWhitespace = () => {
+    while (/[ \t]/.test(source[index] ?? '')) index++;
+  };
+  skipWhitespace();
+
+  let url;
+  if (source[index] === '<') {
+    const close = source.indexOf('>', index);
+    if (close === -1 || /[<\n]/.test(source.slice(index + 1, close))) {
+      return null;
+    }
+    url = source.slice(index + 1, close);
+    index = close + 1;
+  } else {
+    const urlStart = index;
+    let depth = 0;
+    while (index < source.length && !/\s/.test(source[index])) {
+      if (source[index] === '\\') {
+        index++;
+      } else if (source[index] === '(') {
+        depth++;
+      } else if (source[index] === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+      index++;
+    }
+    url = source.slice(urlStart, index);
+  }
+
+  skipWhitespace();
+  const title = source.slice(index).match(/^"[^"]*"/);
+  if (title) {
+    index += title[0].length;
+    skipWhitespace();
+  }
+  return source[index] === ')' ? { url, end: index + 1 } : null;
+}
+
+/**
+ * Matches a `[text](url)` link opening at `start`
+ *
+ * @param {string} source
+ * @param {number} start - Index of the opening bracket
+ * @returns {{ text: string, url: string, end: number } | null}
+ */
+function matchLink(source, start) {
+  let depth = 0;
+  for (let index = start; index < source.length; index++) {
+    const char = source[index];
+    if (char === '\\') {
+      index++;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      const destination = matchLinkDestination(source, index + 1);
+      return destination && { text: source.slice(start + 1, index), ...destination };
+    }
+  }
+  return null;
+}
+
+/**
+ * Matches emphasis (`*a*`, `_a_`) or strong emphasis (`**a**`, `__a__`) opening at
+ * `start`. Delimiters must hug the content, and `_` does not work inside words so
+ * identifiers like `snake_case_name` stay intact. A run of three delimiters opens
+ * whichever of the two closes last, so `***a***` is strong emphasis inside emphasis.
+ *
+ * @param {string} source
+ * @param {number} start - Index of the opening delimiter
+ * @returns {{ type: 'emphasis' | 'strong', content: string, end: number } | null}
+ */
+function matchEmphasis(source, start) {
+  const char = source[start];
+  if (source[start + 1] !== char) {
+    return matchDelimited(source, start, false);
+  }
+  const strong = matchDelimited(source, start, true);
+  const emphasis = source[start + 2] === char ? matchDelimited(source, start, false) : null;
+  return emphasis && (!strong || emphasis.end > strong.end) ? emphasis : strong;
+}
+
+/**
+ * Matches emphasis or strong emphasis, as chosen, opening at `start`
+ *
+ * @param {string} source
+ * @param {number} start - Index of the opening delimiter
+ * @param {boolean} strong - Whether to match strong emphasis
+ * @returns {{ type: 'emphasis' | 'strong', content: string, end: number } | null}
+ */
+function matchDelimited(source, start, strong) {
+  const char = source[start];
+  const delimiter = strong ? char + char : char;
+  const contentStart = start + delimiter.length;
+
+  if (!source[contentStart] || /\s/.test(source[contentStart])) {
+    return null;
+  }
+  if (char === '_' && isWordCharacter(source[start - 1])) {
+    return null;
+  }
+
+  let index = contentStart;
+  while (index < source.length) {
+    if (source[index] === '\\') {
+      index += 2;
+      continue;
+    }
+    if (source[index] === '`') {
+      const codeSpan = matchCodeSpan(source, index);
+      if (codeSpan) {
+        index = codeSpan.end;
+        continue;
+      }
+    }
+    // Nested strong emphasis inside emphasis: skip its delimiters as a pair
+    if (!strong && source.startsWith(char + char, index)) {
+      index += 2;
+      continue;
+    }
+    if (
+      source.startsWith(delimiter, index) &&
+      index > contentStart &&
+      !/\s/.test(source[index - 1]) &&
+      !(char === '_' && isWordCharacter(source[index + delimiter.length]))
+    ) {
+      return {
+        type: strong ? 'strong' : 'emphasis',
+        content: source.slice(contentStart, index),
+        end: index + delimiter.length,
+      };
+    }
+    index++;
+  }
+  return null;
+}
+
+/**
+ * Parses inline markdown into phrasing nodes
+ *
+ * @param {string} source - Markdown source of a definition
+ * @returns {Array<object>} Nodes of type `text`, `inlineCode`, `emphasis`, `strong` and `link`
+ */
+export function parseInlineMarkdown(source) {
+  const nodes = [];
+  let text = '';
+  const pushNode = node => {
+    if (text) {
+      nodes.push({ type: 'text', value: text });
+      text = '';
+    }
+    nodes.push(node);
+  };
+
+  let index = 0;
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === '\\' && ESCAPABLE_CHARACTERS.includes(source[index + 1])) {
+      text += source[index + 1];
+      index += 2;
+      continue;
+    }
+
+    if (char === '`') {
+      const codeSpan = matchCodeSpan(source, index);
+      if (codeSpan) {
+        pushNode({ type: 'inlineCode', value: codeSpan.value });
+        index = codeSpan.end;
+      } else {
+        // An unmatched backtick run is literal text
+        const run = source.slice(index).match(/^`+/)[0];
+        text += run;
+        index += run.length;
+      }
+      continue;
+    }
+
+    // Images are not rendered: their alt text stays
+    if (char === '!' && source[index + 1] === '[') {
+      const image = matchLink(source, index + 1);
+      if (image) {
+        parseInlineMarkdown(image.text).forEach(pushNode);
+        index = image.end;
+        continue;
+      }
+    }
+
+    if (char === '[') {
+      const link = matchLink(source, index);
+      if (link) {
+        const children = parseInlineMarkdown(link.text);
+        const url = decodeEntities(link.url);
+        if (isSafeUrl(url)) {
+          pushNode({ type: 'link', url, children });
+        } else {
+          children.forEach(pushNode);
+        }
+        index = link.end;
+        continue;
+      }
+    }
+
+    if (char === '<') {
+      const autolink = source.slice(index).match(AUTOLINK_REGEX);
+      if (autolink) {
+        pushNode({
+          type: 'link',
+          url: autolink[1],
+          children: [{ type: 'text', value: autolink[1] }],
+        });
+        index += autolink[0].length;
+        continue;
+      }
+    }
+
+    if (char === '&') {
+      const entity = source.slice(index).match(LEADING_ENTITY_REGEX)?.[0];
+      if (entity) {
+        text += decodeEntities(entity);
+        index += entity.length;
+        continue;
+      }
+    }
+
+    if (char === '*' || char === '_') {
+      const emphasis = matchEmphasis(source, index);
+      if (emphasis) {
+        pushNode({ type: emphasis.type, children: parseInlineMarkdown(emphasis.content) });
+        index = emphasis.end;
+        continue;
+      }
+      // A delimiter run that opens nothing is literal text
+      const run = source.slice(index).match(char === '*' ? /^\*+/ : /^_+/)[0];
+      text += run;
+      index += run.length;
+      continue;
+    }
+
+    text += char;
+    index++;
+  }
+
+  if (text) {
+    nodes.push({ type: 'text', value: text });
+  }
+  return mergeTextNodes(nodes);
+}
+
+/**
+ * Joins adjacent text nodes (left behind by unsafe links)
+ *
+ * @param {Array<object>} nodes
+ * @returns {Array<object>}
+ */
+function mergeTextNodes(nodes) {
+  return nodes.reduce((merged, node) => {
+    const previous = merged[merged.length - 1];
+    if (node.type === 'text' && previous && previous.type === 'text') {
+      merged[merged.length - 1] = { type: 'text', value: previous.value + node.value };
+    } else {
+      merged.push(node);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Flattens phrasing nodes to their text content (e.g. for search or metadata)
+ *
+ * @param {Array<object>} nodes
+ * @returns {string}
+ */
+export function toPlainText(nodes) {
+  return nodes.map(node => (node.children ? toPlainText(node.children) : node.value)).join('');
+}
+
+/**
+ * Compiles the definition of every term of a glossary, adding `definitionAst`
+ *
+ * @param {{ terms: Array<{ definition: string }> }} data - Validated glossary data
+ * @returns {object} The glossary with compiled definitions
+ */
+export function compileGlossaryDefinitions(data) {
+  return {
+    ...data,
+    terms: data.terms.map(term => ({
+      ...term,
+      definitionAst: parseInlineMarkdown(term.definition),
+    })),
+  };
+}
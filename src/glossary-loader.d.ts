@@ -0,0 +1,65 @@
+export type GlossaryFileFormat = 'json' | 'yaml';
+
+/** Raw (unvalidated) contents of a glossary source. */
+export interface GlossarySource {
+  /** Parsed data, with any `extends` already merged in. */
+  data: unknown;
+  /** `termFiles[i]` is the file that defined `terms[i]`, when it is not the source itself. */
+  termFiles: Array<string | undefined>;
+  /** Every glossary file pulled in through `extends`. */
+  extendedFiles: string[];
+  /** Source position of a validation error field such as `terms[3].definition`. */
+  locate: (field: string) => SourceLocation | undefined;
+}
+
+/** A 1-based position in a glossary file. */
+export interface SourceLocation {
+  file: string;
+  line: number;
+  column: number;
+}
+
+export interface ReadGlossarySourceOptions {
+  /** Site directory package `extends` are resolved from (default: the source's directory). */
+  siteDir?: string;
+}
+
+/** Matches the YAML front matter block at the start of a markdown file. */
+export const FRONTMATTER_REGEX: RegExp;
+
+export function getGlossaryFormat(filePath: string): GlossaryFileFormat;
+
+export function parseGlossaryFile(content: string, filePath: string): unknown;
+
+export function parseTermFile(content: string, filePath: string): unknown;
+
+export function readGlossarySource(
+  sourcePath: string,
+  options?: ReadGlossarySourceOptions
+): Promise<GlossarySource>;
+
+export function readGlossarySourceSync(
+  sourcePath: string,
+  options?: ReadGlossarySourceOptions
+): GlossarySource;
+
+export function getGlossaryWatchPaths(sourcePath: string): string[];
+
+export interface LocalizedGlossaryPathOptions {
+  siteDir: string;
+  glossaryPath: string;
+  locale: string;
+  localizationDir?: string | null;
+  localizedGlossaryPath?: string | null;
+  pluginId?: string | null;
+}
+
+export function getLocalizedPluginDir(
+  options: Omit<LocalizedGlossaryPathOptions, 'glossaryPath' | 'localizedGlossaryPath'>
+): string;
+
+export function getLocalizedGlossaryPath(options: LocalizedGlossaryPathOptions): string;
+
+export function mergeLocalizedGlossary<
+  T extends { title?: string; description?: string; terms: Array<{ term: string; id?: string }> },
+>(base: T, localized: T): T;
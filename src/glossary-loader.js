@@ -0,0 +1,579 @@
+import path from 'path';
+import fs from 'fs';
+import { createRequire } from 'module';
+import { parse as parseYaml, parseDocument, LineCounter } from 'yaml';
+
+/**
+ * Shared glossary source loading used by both the plugin (`loadContent`) and the
+ * remark plugin factory, so the two loaders always agree on what a glossary
+ * contains. The plugin uses the async reader, the remark plugin the sync one;
+ * both go through the same parsing helpers.
+ *
+ * A glossary source is either:
+ * - a single `.json`, `.yml` or `.yaml` file, which may `extends` other glossary
+ *   files or packages, or
+ * - a directory where each `*.md`/`*.mdx` file is one term (frontmatter carries
+ *   the term fields, the body is the definition).
+ */
+
+/** File extensions recognised as YAML glossaries. Anything else is parsed as JSON. */
+const YAML_EXTENSIONS = ['.yml', '.yaml'];
+
+/** File extensions treated as one-term-per-file entries in a glossary directory. */
+const TERM_FILE_EXTENSIONS = ['.md', '.mdx'];
+
+export const FRONTMATTER_REGEX = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Detects the glossary file format from its extension
+ *
+ * @param {string} filePath - Path to the glossary file
+ * @returns {'json' | 'yaml'} The detected format
+ */
+export function getGlossaryFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return YAML_EXTENSIONS.includes(ext) ? 'yaml' : 'json';
+}
+
+/**
+ * Parses the raw contents of a glossary file
+ *
+ * @param {string} content - Raw file contents
+ * @param {string} filePath - Path to the file (used to detect the format)
+ * @returns {unknown} The parsed (unvalidated) glossary data
+ * @throws Error if the content is not valid JSON/YAML
+ */
+export function parseGlossaryFile(content, filePath) {
+  if (getGlossaryFormat(filePath) === 'yaml') {
+    return parseYaml(content);
+  }
+  return JSON.parse(content);
+}
+
+/**
+ * Parses a single markdown term file. Frontmatter fields (`term`, `abbreviation`,
+ * `aliases`, `relatedTerms`, `autoLink`, ...) are copied onto the term and the
+ * trimmed body becomes the `definition`. Fields are not validated here.
+ *
+ * @param {string} content - Raw markdown contents
+ * @param {string} filePath - Path to the file (for error messages)
+ * @returns {unknown} The parsed (unvalidated) term object
+ * @throws Error if the frontmatter is not valid YAML
+ */
+export function parseTermFile(content, filePath) {
+  const match = content.match(FRONTMATTER_REGEX);
+  let frontmatter = {};
+  let body = content;
+
+  if (match) {
+    try {
+      frontmatter = parseYaml(match[1]) ?? {};
+    } catch (error) {
+      throw new Error(`Invalid frontmatter in ${filePath}: ${error.message}`);
+    }
+    body = content.slice(match[0].length);
+  }
+
+  if (typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+    return frontmatter;
+  }
+
+  const definition = body.trim();
+  return definition ? { ...frontmatter, definition } : { ...frontmatter };
+}
+
+/**
+ * Creates a function returning the 1-based line and column of the value at a key path
+ * (e.g. `['terms', 3, 'definition']`) in a JSON/YAML document, or of its closest
+ * existing ancestor when the path is missing. The document is only re-parsed with
+ * positions on first use, since positions are only needed to report validation errors.
+ *
+ * @param {string} content - Raw document contents
+ * @param {number} [lineOffset] - Lines preceding the document in its file (frontmatter)
+ * @returns {(keyPath: Array<string | number>) => { line: number, column: number } | undefined}
+ */
+function createDocumentLocator(content, lineOffset = 0) {
+  let document;
+  const lineCounter = new LineCounter();
+
+  return keyPath => {
+    if (!document) {
+      document = parseDocument(content, { lineCounter });
+    }
+    for (let depth = keyPath.length; depth >= 0; depth--) {
+      const node = depth === 0 ? document.contents : document.getIn(keyPath.slice(0, depth), true);
+      if (node && node.range) {
+        const { line, col } = lineCounter.linePos(node.range[0]);
+        return { line: line + lineOffset, column: col };
+      }
+    }
+    return undefined;
+  };
+}
+
+/**
+ * Returns the 1-based line and column of a character offset
+ *
+ * @param {string} content
+ * @param {number} offset
+ * @returns {{ line: number, column: number }}
+ */
+function getOffsetPosition(content, offset) {
+  const lines = content.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Creates the locator of a markdown term file (see {@link createDocumentLocator}):
+ * `definition` points at the body, other fields into the frontmatter.
+ *
+ * @param {string} content - Raw markdown contents
+ * @returns {(keyPath: Array<string | number>) => { line: number, column: number } | undefined}
+ */
+function createTermFileLocator(content) {
+  const match = content.match(FRONTMATTER_REGEX);
+  const bodyStart = match ? match[0].length : 0;
+  const body = content.slice(bodyStart);
+  const definitionPosition = getOffsetPosition(
+    content,
+    bodyStart + body.length - body.trimStart().length
+  );
+  const locateFrontmatter = match ? createDocumentLocator(match[1], 1) : null;
+
+  return keyPath => {
+    if (keyPath[0] === 'definition') {
+      return definitionPosition;
+    }
+    return (locateFrontmatter && locateFrontmatter(keyPath)) || { line: 1, column: 1 };
+  };
+}
+
+/**
+ * Turns a validation error field (`terms[3].relatedTerms[1]`, `title`, `root`) into a
+ * key path
+ *
+ * @param {string} field
+ * @returns {Array<string | number>}
+ */
+function parseFieldPath(field) {
+  if (field === 'root') {
+    return [];
+  }
+  return (field.match(/[^.[\]]+/g) || []).map(key => (/^\d+$/.test(key) ? Number(key) : key));
+}
+
+/**
+ * Whether a directory entry should be read as a term file. Files starting with
+ * `_` are ignored, matching Docusaurus's convention for partials.
+ *
+ * @param {string} fileName - Directory entry name
+ * @returns {boolean}
+ */
+function isTermFile(fileName) {
+  return (
+    !fileName.startsWith('_') && TERM_FILE_EXTENSIONS.includes(path.extname(fileName).toLowerCase())
+  );
+}
+
+/**
+ * Parses one term file of a directory source
+ *
+ * @param {string} content - Raw markdown contents
+ * @param {string} filePath - Path to the file
+ * @returns {{ filePath: string, term: unknown, locate: Function }}
+ */
+function readTermFileEntry(content, filePath) {
+  return {
+    filePath,
+    term: parseTermFile(content, filePath),
+    locate: createTermFileLocator(content),
+  };
+}
+
+/**
+ * Builds glossary data from the parsed term files of a directory source
+ *
+ * @param {Array<{ filePath: string, term: unknown, locate: Function }>} entries - Parsed term files
+ * @returns {object} The loaded source (see {@link readGlossaryFile})
+ */
+function buildDirectoryGlossary(entries) {
+  return {
+    data: { terms: entries.map(entry => entry.term) },
+    termFiles: entries.map(entry => entry.filePath),
+    termLocations: entries.map(entry => ({ file: entry.filePath, locate: entry.locate })),
+    rootLocation: null,
+    extendedFiles: [],
+  };
+}
+
+/**
+ * Resolves the `extends` entries of a parsed glossary file. Relative paths are
+ * resolved from the declaring file; anything else is resolved as a package
+ * specifier from `siteDir` (e.g. `@company/glossary` or `@company/glossary/terms.yml`).
+ *
+ * @param {unknown} data - Parsed glossary file
+ * @param {string} filePath - Path to the declaring file
+ * @param {string} siteDir - Docusaurus site directory
+ * @param {string[]} chain - Files currently being extended (for cycle detection)
+ * @returns {string[]} Absolute paths of the extended glossary files
+ * @throws Error if `extends` is malformed, cannot be resolved or is circular
+ */
+function resolveExtendedPaths(data, filePath, siteDir, chain) {
+  if (data === null || typeof data !== 'object' || !('extends' in data)) {
+    return [];
+  }
+
+  const specifiers = typeof data.extends === 'string' ? [data.extends] : data.extends;
+  if (!Array.isArray(specifiers) || specifiers.some(spec => typeof spec !== 'string')) {
+    throw new Error(`Field "extends" in ${filePath} must be a string or an array of strings`);
+  }
+
+  const requireFromSite = createRequire(path.join(siteDir, 'package.json'));
+  return specifiers.map(specifier => {
+    let extendedPath;
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+      extendedPath = path.resolve(path.dirname(filePath), specifier);
+    } else {
+      try {
+        extendedPath = requireFromSite.resolve(specifier);
+      } catch {
+        throw new Error(`Cannot resolve glossary "${specifier}" extended by ${filePath}`);
+      }
+    }
+
+    if (extendedPath === filePath || chain.includes(extendedPath)) {
+      const cycle = [...chain, filePath, extendedPath].join(' -> ');
+      throw new Error(`Circular glossary "extends" chain: ${cycle}`);
+    }
+    return extendedPath;
+  });
+}
+
+/**
+ * Whether a (possibly invalid) local term overrides an inherited one: same `id`,
+ * or same term name ignoring case
+ *
+ * @param {unknown} local
+ * @param {unknown} inherited
+ * @returns {boolean}
+ */
+function isTermOverride(local, inherited) {
+  if (!local || !inherited || typeof local !== 'object' || typeof inherited !== 'object') {
+    return false;
+  }
+  if (typeof local.id === 'string' && local.id === inherited.id) {
+    return true;
+  }
+  return (
+    typeof local.term === 'string' &&
+    typeof inherited.term === 'string' &&
+    local.term.toLowerCase() === inherited.term.toLowerCase()
+  );
+}
+
+/**
+ * Merges a glossary file with the glossaries it extends. Extended glossaries are
+ * applied in order and the file's own definitions are applied last: a term from a
+ * later source replaces the matching term of an earlier source (see
+ * {@link isTermOverride}). Duplicates within a single source are kept so validation
+ * still reports them.
+ *
+ * @param {unknown} data - Parsed glossary file
+ * @param {{ file: string, locate: Function }} rootLocation - Locates fields of the file
+ * @param {Array<object>} parents - Loaded extended glossaries (see {@link readGlossaryFile}),
+ *   with their `filePath`
+ * @returns {object} The loaded source (see {@link readGlossaryFile})
+ */
+function composeGlossary(data, rootLocation, parents) {
+  const getLocalTermLocations = terms =>
+    Array.isArray(terms)
+      ? terms.map((_, index) => ({
+          file: rootLocation.file,
+          locate: keyPath => rootLocation.locate(['terms', index, ...keyPath]),
+        }))
+      : [];
+
+  if (parents.length === 0) {
+    return {
+      data,
+      termFiles: [],
+      termLocations: getLocalTermLocations(data?.terms),
+      rootLocation,
+      extendedFiles: [],
+    };
+  }
+
+  // Entries of { term, file, location, source }; `source` identifies the glossary a term came from
+  let entries = [];
+  const applySource = (terms, files, locations, source) => {
+    const sourceEntries = terms.map((term, index) => ({
+      term,
+      file: files[index],
+      location: locations[index],
+      source,
+    }));
+    entries = entries.filter(
+      entry => !sourceEntries.some(sourceEntry => isTermOverride(sourceEntry.term, entry.term))
+    );
+    entries.push(...sourceEntries);
+  };
+
+  const inherited = {};
+  parents.forEach(parent => {
+    const parentData = parent.data && typeof parent.data === 'object' ? parent.data : {};
+    const parentTerms = Array.isArray(parentData.terms) ? parentData.terms : [];
+    applySource(
+      parentTerms,
+      parentTerms.map((_, index) => parent.termFiles[index] || parent.filePath),
+      parent.termLocations,
+      parent.filePath
+    );
+    if (typeof parentData.title === 'string') inherited.title = parentData.title;
+    if (typeof parentData.description === 'string') inherited.description = parentData.description;
+  });
+
+  const { extends: _extends, ...localData } = data;
+  if (localData.terms === undefined) {
+    localData.terms = [];
+  }
+  if (!Array.isArray(localData.terms)) {
+    // Let validation report the malformed terms field
+    return { data: localData, termFiles: [], termLocations: [], rootLocation, extendedFiles: [] };
+  }
+  applySource(localData.terms, [], getLocalTermLocations(localData.terms), null);
+
+  return {
+    data: { ...inherited, ...localData, terms: entries.map(entry => entry.term) },
+    termFiles: entries.map(entry => entry.file),
+    termLocations: entries.map(entry => entry.location),
+    rootLocation,
+    extendedFiles: parents.flatMap(parent => [parent.filePath, ...parent.extendedFiles]),
+  };
+}
+
+/**
+ * Exposes a loaded source: its data, term files, extended files and a `locate`
+ * function mapping a validation error field to its file, line and column
+ *
+ * @param {object} source - The loaded source (see {@link readGlossaryFile})
+ * @returns {{ data: unknown, termFiles: Array<string | undefined>, extendedFiles: string[], locate: Function }}
+ */
+function toGlossarySource({ data, termFiles, termLocations, rootLocation, extendedFiles }) {
+  const locate = field => {
+    const keyPath = parseFieldPath(field);
+    const termLocation =
+      keyPath[0] === 'terms' && typeof keyPath[1] === 'number' ? termLocations[keyPath[1]] : null;
+    const location = termLocation
+      ? { file: termLocation.file, position: termLocation.locate(keyPath.slice(2)) }
+      : rootLocation && { file: rootLocation.file, position: rootLocation.locate(keyPath) };
+    if (!location || !location.position) {
+      return undefined;
+    }
+    return { file: location.file, ...location.position };
+  };
+
+  return { data, termFiles, extendedFiles, locate };
+}
+
+/**
+ * Reads a glossary file and, recursively, the glossaries it extends
+ *
+ * The result holds the composed `data`, `termFiles`, the `extendedFiles`, and the
+ * locations used to point validation errors at source positions: `termLocations[i]`
+ * locates the fields of `data.terms[i]` in the file that defined it, `rootLocation`
+ * the top-level fields.
+ *
+ * @param {string} filePath - Absolute path to the glossary file
+ * @param {string} siteDir - Docusaurus site directory
+ * @param {string[]} chain - Files currently being extended (for cycle detection)
+ * @returns {Promise<object>} The loaded source
+ */
+async function readGlossaryFile(filePath, siteDir, chain) {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const data = parseGlossaryFile(content, filePath);
+  const parents = await Promise.all(
+    resolveExtendedPaths(data, filePath, siteDir, chain).map(async extendedPath => ({
+      filePath: extendedPath,
+      ...(await readGlossaryFile(extendedPath, siteDir, [...chain, filePath])),
+    }))
+  );
+  return composeGlossary(data, { file: filePath, locate: createDocumentLocator(content) }, parents);
+}
+
+/**
+ * Synchronous counterpart of {@link readGlossaryFile}
+ *
+ * @param {string} filePath - Absolute path to the glossary file
+ * @param {string} siteDir - Docusaurus site directory
+ * @param {string[]} chain - Files currently being extended (for cycle detection)
+ * @returns {object} The loaded source
+ */
+function readGlossaryFileSync(filePath, siteDir, chain) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const data = parseGlossaryFile(content, filePath);
+  const parents = resolveExtendedPaths(data, filePath, siteDir, chain).map(extendedPath => ({
+    filePath: extendedPath,
+    ...readGlossaryFileSync(extendedPath, siteDir, [...chain, filePath]),
+  }));
+  return composeGlossary(data, { file: filePath, locate: createDocumentLocator(content) }, parents);
+}
+
+/**
+ * Reads a glossary source (file or directory) asynchronously
+ *
+ * `termFiles[i]` is the file that defined `data.terms[i]` when it differs from
+ * `sourcePath` (directory sources and extended glossaries). `extendedFiles` lists
+ * every glossary pulled in through `extends`. `locate(field)` returns the file, line
+ * and column of a validation error field such as `terms[3].definition`.
+ *
+ * @param {string} sourcePath - Absolute path to the glossary file or directory
+ * @param {object} [options]
+ * @param {string} [options.siteDir] - Site directory package `extends` are resolved from
+ *   (default: the source's directory)
+ * @returns {Promise<{ data: unknown, termFiles: Array<string | undefined>, extendedFiles: string[], locate: Function }>}
+ * @throws Error if a file cannot be parsed or an `extends` entry cannot be resolved
+ */
+export async function readGlossarySource(sourcePath, { siteDir = path.dirname(sourcePath) } = {}) {
+  const stats = await fs.promises.stat(sourcePath);
+
+  if (!stats.isDirectory()) {
+    return toGlossarySource(await readGlossaryFile(sourcePath, siteDir, []));
+  }
+
+  const fileNames = (await fs.promises.readdir(sourcePath)).filter(isTermFile).sort();
+  const entries = await Promise.all(
+    fileNames.map(async fileName => {
+      const filePath = path.join(sourcePath, fileName);
+      return readTermFileEntry(await fs.promises.readFile(filePath, 'utf8'), filePath);
+    })
+  );
+  return toGlossarySource(buildDirectoryGlossary(entries));
+}
+
+/**
+ * Synchronous counterpart of {@link readGlossarySource}, used by the remark plugin
+ * factory which cannot await.
+ *
+ * @param {string} sourcePath - Absolute path to the glossary file or directory
+ * @param {object} [options]
+ * @param {string} [options.siteDir] - Site directory package `extends` are resolved from
+ * @returns {{ data: unknown, termFiles: Array<string | undefined>, extendedFiles: string[], locate: Function }}
+ * @throws Error if a file cannot be parsed or an `extends` entry cannot be resolved
+ */
+export function readGlossarySourceSync(sourcePath, { siteDir = path.dirname(sourcePath) } = {}) {
+  if (!fs.statSync(sourcePath).isDirectory()) {
+    return toGlossarySource(readGlossaryFileSync(sourcePath, siteDir, []));
+  }
+
+  const fileNames = fs.readdirSync(sourcePath).filter(isTermFile).sort();
+  const entries = fileNames.map(fileName => {
+    const filePath = path.join(sourcePath, fileName);
+    return readTermFileEntry(fs.readFileSync(filePath, 'utf8'), filePath);
+  });
+  return toGlossarySource(buildDirectoryGlossary(entries));
+}
+
+/**
+ * Returns the paths Docusaurus should watch for a glossary source: the file
+ * itself, or a glob over the term files of a directory source.
+ *
+ * @param {string} sourcePath - Absolute path to the glossary file or directory
+ * @returns {string[]}
+ */
+export function getGlossaryWatchPaths(sourcePath) {
+  if (fs.existsSync(sourcePath) && fs.statSync(sourcePath).isDirectory()) {
+    return [path.join(sourcePath, '*.{md,mdx}')];
+  }
+  return [sourcePath];
+}
+
+/**
+ * Resolves the plugin's i18n directory for a locale, following the Docusaurus
+ * convention `<localizationDir>/docusaurus-plugin-glossary[-<id>]`
+ *
+ * @param {object} options
+ * @param {string} options.siteDir - Docusaurus site directory
+ * @param {string} options.locale - Locale being built
+ * @param {string} [options.localizationDir] - Docusaurus localization dir for the locale
+ *   (default: `<siteDir>/i18n/<locale>`)
+ * @param {string} [options.pluginId] - Plugin instance id
+ * @returns {string} Absolute path to the plugin's i18n directory
+ */
+export function getLocalizedPluginDir({ siteDir, locale, localizationDir, pluginId }) {
+  const pluginDirName =
+    !pluginId || pluginId === 'default'
+      ? 'docusaurus-plugin-glossary'
+      : `docusaurus-plugin-glossary-${pluginId}`;
+  return path.join(localizationDir || path.join(siteDir, 'i18n', locale), pluginDirName);
+}
+
+/**
+ * Resolves the locale-specific glossary source for a non-default locale
+ *
+ * By default this is `<basename of glossaryPath>` inside the plugin's i18n directory
+ * (see {@link getLocalizedPluginDir}). A `localizedGlossaryPath` pattern (relative
+ * to `siteDir`, with a `{locale}` placeholder) overrides the convention.
+ *
+ * @param {object} options
+ * @param {string} options.siteDir - Docusaurus site directory
+ * @param {string} options.glossaryPath - Default-locale glossary path
+ * @param {string} options.locale - Locale being built
+ * @param {string} [options.localizationDir] - Docusaurus localization dir for the locale
+ * @param {string} [options.localizedGlossaryPath] - Custom path pattern with `{locale}`
+ * @param {string} [options.pluginId] - Plugin instance id
+ * @returns {string} Absolute path to the localized glossary source
+ */
+export function getLocalizedGlossaryPath({
+  siteDir,
+  glossaryPath,
+  locale,
+  localizationDir,
+  localizedGlossaryPath,
+  pluginId,
+}) {
+  if (localizedGlossaryPath) {
+    return path.resolve(siteDir, localizedGlossaryPath.replace(/\{locale\}/g, locale));
+  }
+  return path.join(
+    getLocalizedPluginDir({ siteDir, locale, localizationDir, pluginId }),
+    path.basename(glossaryPath)
+  );
+}
+
+/**
+ * Key used to match a translated term to its default-locale entry: the `id` when
+ * present (translated terms usually have a different name), else the term name.
+ *
+ * @param {{ term: string, id?: string }} term
+ * @returns {string}
+ */
+function getTermKey(term) {
+  return term.id || term.term.toLowerCase();
+}
+
+/**
+ * Overlays a localized glossary onto the default-locale one. Localized terms
+ * replace the fields of their default-locale counterpart; untranslated terms keep
+ * their default-locale content, and localized-only terms are appended.
+ *
+ * @param {{ title?: string, description?: string, terms: Array<object> }} base - Default-locale data
+ * @param {{ title?: string, description?: string, terms: Array<object> }} localized - Localized data
+ * @returns {{ title?: string, description?: string, terms: Array<object> }} Merged data
+ */
+export function mergeLocalizedGlossary(base, localized) {
+  const localizedByKey = new Map(localized.terms.map(term => [getTermKey(term), term]));
+  const terms = base.terms.map(term => {
+    const key = getTermKey(term);
+    const translation = localizedByKey.get(key);
+    if (!translation) return term;
+    localizedByKey.delete(key);
+    return { ...term, ...translation };
+  });
+
+  return {
+    ...base,
+    ...(localized.title !== undefined ? { title: localized.title } : {}),
+    ...(localized.description !== undefined ? { description: localized.description } : {}),
+    terms: [...terms, ...localizedByKey.values()],
+  };
+}
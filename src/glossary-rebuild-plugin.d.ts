@@ -0,0 +1,3 @@
+export class GlossaryRebuildPlugin {
+  apply(compiler: unknown): void;
+}
@@ -0,0 +1,39 @@
+import { isCompiledWithStaleGlossary, startGlossaryGeneration } from './remark/glossary-terms.js';
+
+const PLUGIN_NAME = 'docusaurus-plugin-glossary';
+
+/**
+ * Webpack plugin rebuilding the markdown pages compiled with a glossary that has changed
+ * since. Webpack only tracks a page's own file, so after a glossary edit in
+ * `docusaurus start` the pages it did not rebuild would keep linking the old terms.
+ *
+ * Each compilation also starts a new generation of glossary freshness checks, so the
+ * glossary files are checked once per compilation rather than for every page compiled and
+ * every module webpack considers rebuilding.
+ *
+ * Bundlers without webpack's `needBuild` hook (e.g. Rspack) are left alone.
+ */
+export class GlossaryRebuildPlugin {
+  /**
+   * @param {object} compiler - Webpack compiler
+   */
+  apply(compiler) {
+    const NormalModule = compiler.webpack?.NormalModule;
+    if (!NormalModule?.getCompilationHooks) {
+      return;
+    }
+
+    compiler.hooks.compilation.tap(PLUGIN_NAME, compilation => {
+      startGlossaryGeneration();
+      const { needBuild } = NormalModule.getCompilationHooks(compilation);
+      if (!needBuild) {
+        return;
+      }
+      needBuild.tap(PLUGIN_NAME, module => {
+        const filePath = module.resourceResolveData?.path ?? module.resource?.split('?')[0];
+        // Returning undefined lets webpack decide as usual
+        return filePath && isCompiledWithStaleGlossary(filePath) ? true : undefined;
+      });
+    });
+  }
+}
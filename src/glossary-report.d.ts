@@ -0,0 +1,11 @@
+import type { GlossaryReport, GlossaryTerm } from './types.js';
+import type { ScannedPage } from './term-usage.js';
+
+export function getReportFileName(id?: string): string;
+
+export function createGlossaryReport(options: {
+  terms: GlossaryTerm[];
+  scans: ScannedPage[];
+}): GlossaryReport;
+
+export function formatReportSummary(report: GlossaryReport, reportPath: string): string;
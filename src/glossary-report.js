@@ -0,0 +1,132 @@
+/**
+ * Build-time usage report of the glossary, written by the plugin's `postBuild`: terms
+ * nothing uses, the most used terms, the pages densest in terms, and `autoLink: false`
+ * terms that no page writes as `<GlossaryTerm>`.
+ */
+
+/** Number of entries kept in the ranked lists of the report. */
+const REPORT_LIST_SIZE = 10;
+
+/** Number of entries of each list shown in the console summary. */
+const SUMMARY_LIST_SIZE = 5;
+
+/**
+ * File name of the report of a plugin instance, written to the build directory
+ *
+ * @param {string} [id] - Plugin instance id
+ * @returns {string}
+ */
+export function getReportFileName(id) {
+  return !id || id === 'default' ? 'glossary-report.json' : `glossary-report-${id}.json`;
+}
+
+/**
+ * Builds the usage report of a glossary
+ *
+ * @param {object} options
+ * @param {Array<object>} options.terms - Glossary terms
+ * @param {Array<object>} options.scans - Pages scanned by `scanContentPages`
+ * @returns {object} The report, see `GlossaryReport`
+ */
+export function createGlossaryReport({ terms, scans }) {
+  const totals = new Map(terms.map(term => [term.term, { linked: 0, manual: 0, pages: 0 }]));
+  scans.forEach(page => {
+    const pageTerms = new Set([...Object.keys(page.linkedTerms), ...Object.keys(page.manualTerms)]);
+    pageTerms.forEach(term => {
+      const total = totals.get(term);
+      if (!total) return;
+      total.linked += page.linkedTerms[term] || 0;
+      total.manual += page.manualTerms[term] || 0;
+      total.pages++;
+    });
+  });
+
+  const usedTerms = terms
+    .map(term => {
+      const { linked, manual, pages } = totals.get(term.term);
+      return { term: term.term, count: linked + manual, linked, manual, pages };
+    })
+    .filter(term => term.count > 0)
+    .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term));
+
+  // Density: linked and hand-written terms per 100 words of prose
+  const densestPages = scans
+    .map(page => {
+      const termCount = [
+        ...Object.values(page.linkedTerms),
+        ...Object.values(page.manualTerms),
+      ].reduce((sum, count) => sum + count, 0);
+      return {
+        source: page.source,
+        permalink: page.permalink,
+        ...(page.title ? { title: page.title } : {}),
+        wordCount: page.wordCount,
+        termCount,
+        density: page.wordCount > 0 ? Math.round((termCount / page.wordCount) * 10000) / 100 : 0,
+      };
+    })
+    .filter(page => page.termCount > 0)
+    .sort((a, b) => b.density - a.density || a.permalink.localeCompare(b.permalink));
+
+  const isUnused = term => totals.get(term.term).linked + totals.get(term.term).manual === 0;
+
+  return {
+    pagesScanned: scans.length,
+    termCount: terms.length,
+    unusedTerms: terms
+      .filter(term => term.autoLink !== false && isUnused(term))
+      .map(term => term.term),
+    mostUsedTerms: usedTerms.slice(0, REPORT_LIST_SIZE),
+    densestPages: densestPages.slice(0, REPORT_LIST_SIZE),
+    unusedManualTerms: terms
+      .filter(term => term.autoLink === false && isUnused(term))
+      .map(term => term.term),
+  };
+}
+
+/**
+ * Formats the console summary of a report
+ *
+ * @param {object} report - Report built by {@link createGlossaryReport}
+ * @param {string} reportPath - Path the full report was written to
+ * @returns {string}
+ */
+export function formatReportSummary(report, reportPath) {
+  const list = (items, format) => {
+    const shown = items.slice(0, SUMMARY_LIST_SIZE).map(format).join(', ');
+    return items.length > SUMMARY_LIST_SIZE
+      ? `${shown}, and ${items.length - SUMMARY_LIST_SIZE} more`
+      : shown;
+  };
+
+  const lines = [
+    `[glossary-plugin] Glossary report: ${report.termCount} terms, ${report.pagesScanned} pages scanned`,
+  ];
+  if (report.unusedTerms.length > 0) {
+    lines.push(
+      `  Unused terms (${report.unusedTerms.length}): ${list(report.unusedTerms, term => term)}`
+    );
+  }
+  if (report.mostUsedTerms.length > 0) {
+    lines.push(
+      `  Most used terms: ${list(report.mostUsedTerms, ({ term, count }) => `${term} (${count})`)}`
+    );
+  }
+  if (report.densestPages.length > 0) {
+    lines.push(
+      `  Densest pages: ${list(
+        report.densestPages,
+        ({ permalink, density }) => `${permalink} (${density} per 100 words)`
+      )}`
+    );
+  }
+  if (report.unusedManualTerms.length > 0) {
+    lines.push(
+      `  Terms with autoLink: false never written as <GlossaryTerm> (${
+        report.unusedManualTerms.length
+      }): ${list(report.unusedManualTerms, term => term)}`
+    );
+  }
+  lines.push(`  Full report: ${reportPath}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,14 @@
+import type { GlossaryData, GlossaryTerm } from './types.js';
+
+export type GlossaryTranslationMessages = Record<string, { message: string; description?: string }>;
+
+export const TRANSLATION_FILE_NAME: string;
+
+export function getTermTranslationId(term: Pick<GlossaryTerm, 'term' | 'id'>): string;
+
+export function getGlossaryTranslationMessages(data: GlossaryData): GlossaryTranslationMessages;
+
+export function translateGlossary(
+  data: GlossaryData,
+  messages: GlossaryTranslationMessages
+): GlossaryData;
@@ -0,0 +1,105 @@
+import { getTermSlug } from './term-slug.js';
+
+/**
+ * Glossary content translation through the Docusaurus `write-translations` flow.
+ *
+ * `getGlossaryTranslationMessages` builds the translation file content exported by
+ * the plugin's `getTranslationFiles`; `translateGlossary` applies a (possibly
+ * translated) file back onto the glossary. Both the plugin's `translateContent` and
+ * the remark plugin use these, so pages, global data and tooltips agree.
+ */
+
+/**
+ * Name of the translation file, written by Docusaurus to
+ * `i18n/<locale>/docusaurus-plugin-glossary[-<id>]/translations.json`
+ */
+export const TRANSLATION_FILE_NAME = 'translations';
+
+/**
+ * Stable id of a term inside translation keys: its slug, which is also its anchor on the
+ * glossary page
+ *
+ * @param {{ term: string, id?: string }} term
+ * @returns {string}
+ */
+export function getTermTranslationId(term) {
+  return getTermSlug(term);
+}
+
+/**
+ * Builds the translatable messages of a glossary
+ *
+ * @param {{ title?: string, description?: string, terms: Array<object> }} data - Glossary data
+ * @returns {Record<string, { message: string, description: string }>} Translation file content
+ */
+export function getGlossaryTranslationMessages(data) {
+  const messages = {};
+
+  if (data.title) {
+    messages.title = { message: data.title, description: 'The title of the glossary page' };
+  }
+  if (data.description) {
+    messages.description = {
+      message: data.description,
+      description: 'The description of the glossary page',
+    };
+  }
+
+  data.terms.forEach(term => {
+    const key = `term.${getTermTranslationId(term)}`;
+    messages[`${key}.name`] = {
+      message: term.term,
+      description: `The display name of the glossary term "${term.term}"`,
+    };
+    messages[`${key}.definition`] = {
+      message: term.definition,
+      description: `The definition of the glossary term "${term.term}"`,
+    };
+    if (term.abbreviation) {
+      messages[`${key}.abbreviation`] = {
+        message: term.abbreviation,
+        description: `The abbreviation expansion of the glossary term "${term.term}"`,
+      };
+    }
+  });
+
+  return messages;
+}
+
+/**
+ * Applies translated messages to a glossary. Missing messages keep the original
+ * value. When a term's name is translated, its original translation id is kept as
+ * `id` so anchors and `relatedTerms` links stay stable across locales.
+ *
+ * @param {{ title?: string, description?: string, terms: Array<object> }} data - Glossary data
+ * @param {Record<string, { message: string }>} messages - Translation file content
+ * @returns {{ title?: string, description?: string, terms: Array<object> }} Translated data
+ */
+export function translateGlossary(data, messages) {
+  const translate = (key, fallback) => messages[key]?.message ?? fallback;
+
+  const terms = data.terms.map(term => {
+    const translationId = getTermTranslationId(term);
+    const key = `term.${translationId}`;
+    const name = translate(`${key}.name`, term.term);
+    const translated = {
+      ...term,
+      term: name,
+      definition: translate(`${key}.definition`, term.definition),
+    };
+    if (term.abbreviation) {
+      translated.abbreviation = translate(`${key}.abbreviation`, term.abbreviation);
+    }
+    if (name !== term.term && !term.id) {
+      translated.id = translationId;
+    }
+    return translated;
+  });
+
+  return {
+    ...data,
+    ...(data.title ? { title: translate('title', data.title) } : {}),
+    ...(data.description ? { description: translate('description', data.description) } : {}),
+    terms,
+  };
+}
@@ -4,14 +4,168 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
 import type { LoadContext, Plugin } from '@docusaurus/types';
+import { normalizeUrl } from '@docusaurus/utils';
 import validatePeerDependencies from 'validate-peer-dependencies';
 import remarkGlossaryTerms from './remark/glossary-terms.js';
-import { validateGlossaryData, GlossaryValidationError } from './validation.js';
-import type { GlossaryPluginOptions, GlossaryData } from './types.js';
+import {
+  readGlossarySource,
+  getGlossaryWatchPaths,
+  getLocalizedGlossaryPath,
+  mergeLocalizedGlossary,
+} from './glossary-loader.js';
+import { compileGlossaryDefinitions, toPlainText } from './definition-markdown.js';
+import {
+  collectContentPages,
+  getConfiguredContentPlugins,
+  getRemarkConfigurations,
+  scanContentPages,
+  getTermUsage,
+  loadMarkdownParser,
+  type ConfiguredContentPlugin,
+  type ContentPage,
+  type MarkdownParser,
+  type ScannedPage,
+} from './term-usage.js';
+import { getTermPageSlug, getTermSlug } from './term-slug.js';
+import { GlossaryRebuildPlugin } from './glossary-rebuild-plugin.js';
+import { createGlossaryReport, formatReportSummary, getReportFileName } from './glossary-report.js';
+import {
+  TRANSLATION_FILE_NAME,
+  getGlossaryTranslationMessages,
+  translateGlossary,
+} from './glossary-translations.js';
+import {
+  validateGlossaryData,
+  validateMergedGlossary,
+  reportValidationErrors,
+  type OnValidationError,
+  type ValidatedGlossarySource,
+  type ValidationResult,
+} from './validation.js';
+import type {
+  GlossaryPluginOptions,
+  GlossaryData,
+  CompiledGlossaryTerm,
+  GlossaryTermPageData,
+  UndefinedAcronymsOptions,
+  LinkLimitScope,
+  Inflector,
+  WordBoundaries,
+} from './types.js';
 
 // Re-export the shared public types so existing
 // `import type { GlossaryTerm } from 'docusaurus-plugin-glossary'` imports keep working.
-export type { GlossaryPluginOptions, GlossaryTerm, GlossaryData } from './types.js';
+export type {
+  GlossaryPluginOptions,
+  GlossaryTerm,
+  GlossaryData,
+  GlossaryFile,
+  CompiledGlossaryTerm,
+  DefinitionNode,
+  GlossaryTermPageData,
+  TermUsage,
+  GlossaryReport,
+  UndefinedAcronymsOptions,
+  LinkLimitScope,
+  GlossaryFrontMatter,
+  Inflector,
+  WordBoundaries,
+} from './types.js';
+
+/** Name of the generated data module holding the pages that use each term */
+const TERM_USAGE_FILE_NAME = 'glossary-term-usage.json';
+
+/**
+ * Reads and validates a glossary source, keeping only the valid terms. Its errors are
+ * reported by the caller with those of the references between terms, which are checked
+ * once the localized glossary is merged in (see `validateMergedGlossary`).
+ *
+ * @param glossaryFilePath - Absolute path to the glossary file or directory
+ * @param siteDir - Site directory package `extends` are resolved from
+ * @param extendedFiles - Collects the glossary files pulled in through `extends`
+ * @returns Validation result, with the valid terms
+ * @throws Error if the source cannot be parsed
+ */
+async function loadGlossarySource(
+  glossaryFilePath: string,
+  siteDir: string,
+  extendedFiles: Set<string>
+): Promise<ValidationResult> {
+  try {
+    const source = await readGlossarySource(glossaryFilePath, { siteDir });
+    const { data: rawData, termFiles, locate } = source;
+    source.extendedFiles.forEach(file => extendedFiles.add(file));
+
+    // Validate glossary data structure
+    return validateGlossaryData(rawData, {
+      throwOnError: false,
+      termFiles,
+      locate,
+      crossReferences: false,
+    });
+  } catch (error) {
+    // JSON/YAML parsing error
+    throw new Error(
+      `Failed to parse glossary file at ${glossaryFilePath}: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
+/**
+ * Adds the path of its own page to every term. When two terms share a slug (reported by
+ * validation), only the first one gets a page.
+ *
+ * @param terms - Compiled glossary terms
+ * @param glossaryUrl - URL of the glossary page, with the site's baseUrl
+ * @returns The terms, with `permalink` set on those that get a page
+ */
+function addTermPermalinks(
+  terms: CompiledGlossaryTerm[],
+  glossaryUrl: string
+): CompiledGlossaryTerm[] {
+  const permalinks = new Set<string>();
+  return terms.map(term => {
+    const permalink = normalizeUrl([glossaryUrl, getTermPageSlug(term)]);
+    if (permalinks.has(permalink)) {
+      return term;
+    }
+    permalinks.add(permalink);
+    return { ...term, permalink };
+  });
+}
+
+/**
+ * Builds the props data of a term page
+ *
+ * @param term - The term, with its permalink
+ * @param terms - All glossary terms, to resolve related terms by name or id
+ * @param glossary - Title and route path of the glossary page
+ * @returns The term page data
+ */
+function getTermPageData(
+  term: CompiledGlossaryTerm,
+  terms: CompiledGlossaryTerm[],
+  glossary: GlossaryTermPageData['glossary']
+): GlossaryTermPageData {
+  const relatedTerms = (term.relatedTerms || []).map(related => {
+    const relatedTerm = terms.find(
+      candidate =>
+        candidate.term.toLowerCase() === related.toLowerCase() ||
+        candidate.id === related ||
+        getTermSlug(candidate) === related
+    );
+    return relatedTerm?.permalink
+      ? { term: related, permalink: relatedTerm.permalink }
+      : { term: related };
+  });
+
+  return {
+    term,
+    description: toPlainText(term.definitionAst),
+    relatedTerms,
+    glossary,
+  };
+}
 
 // Standard ES module directory resolution
 const currentFilePath = fileURLToPath(import.meta.url);
@@ -24,7 +178,7 @@ validatePeerDependencies(currentDir);
  * Docusaurus Glossary Plugin
  *
  * A plugin that provides glossary functionality with:
- * - Glossary terms defined in a JSON file
+ * - Glossary terms defined in a JSON or YAML file, or a directory of markdown term files
  * - Auto-generated glossary page with term definitions
  * - GlossaryTerm component for inline definitions with interactive tooltips
  * - Automatic client-side initialization via getClientModules() (no manual imports needed)
@@ -79,16 +233,107 @@ validatePeerDependencies(currentDir);
  *
  * @param context - Docusaurus context
  * @param options - Plugin options
- * @param options.glossaryPath - Path to glossary JSON file (default: 'glossary/glossary.json')
+ * @param options.glossaryPath - Path to glossary JSON/YAML file or term directory (default: 'glossary/glossary.json')
  * @param options.routePath - Route path for glossary page (default: '/glossary')
+ * @param options.title - Glossary page title, overriding the glossary file's `title`
+ * @param options.description - Glossary page description, overriding the glossary file's `description`
+ * @param options.id - Plugin instance id, for running several glossaries on one site (default: 'default')
+ * @param options.onValidationError - 'warn' (default), 'throw' to fail the build, or 'ignore'
+ * @param options.termPages - Also generate a page per term at `<routePath>/<slug>` (default: false)
+ * @param options.termUsage - List the pages that link each term, "Used in" (default: false)
+ * @param options.report - Write a usage report of the glossary after the build (default: false)
+ * @param options.undefinedAcronyms - Report acronyms missing from the glossary, read by getRemarkPlugin (default: false)
+ * @param options.linkFirstOccurrenceOnly - Link only the first occurrence of each term, read by getRemarkPlugin (default: false)
+ * @param options.maxLinksPerTerm - Occurrences of each term linked, read by getRemarkPlugin (default: no limit)
+ * @param options.linkLimitScope - 'page' (default) or 'section', what the link limit counts over, read by getRemarkPlugin
+ * @param options.includePaths - Globs of the files to auto-link, read by getRemarkPlugin (default: every file)
+ * @param options.excludePaths - Globs of the files not to auto-link, read by getRemarkPlugin (default: none)
+ * @param options.inflector - 'english' (default), false or a function, the inflected forms linked, read by getRemarkPlugin
+ * @param options.wordBoundaries - 'unicode' (default) or 'segmenter' for languages without spaces, read by getRemarkPlugin
  * @param options.autoLinkTerms - Legacy option, kept for compatibility but no longer used (configure remark plugin manually instead)
+ * @param presetContentPlugins - Content plugins set up by the glossary preset, which the site
+ *   config doesn't list, so their pages are scanned for `termUsage` and `report` too
  * @returns Plugin object
  */
 export default function glossaryPlugin(
   context: LoadContext,
-  options: GlossaryPluginOptions = {}
+  options: GlossaryPluginOptions = {},
+  presetContentPlugins: ConfiguredContentPlugin[] = []
 ): Plugin {
-  const { glossaryPath = 'glossary/glossary.json', routePath = '/glossary' } = options;
+  const {
+    id,
+    glossaryPath = 'glossary/glossary.json',
+    routePath = '/glossary',
+    localizedGlossaryPath,
+    onValidationError = 'warn',
+    termPages = false,
+    termUsage = false,
+    report = false,
+    title,
+    description,
+  } = options;
+
+  // Glossary files pulled in through `extends` by the last loadContent, so they are watched too
+  const extendedFiles = new Set<string>();
+
+  // Pages scanned for term usage by allContentLoaded, reused by the report of postBuild
+  let scannedPages: ScannedPage[] | null = null;
+
+  /**
+   * Loads the site's MDX parser, warning when it can't be loaded
+   *
+   * @param skipped - What is skipped without the parser, for the warning
+   * @returns The parser, or null when it can't be loaded
+   */
+  async function loadParser(skipped: string): Promise<MarkdownParser | null> {
+    try {
+      return await loadMarkdownParser(context.siteConfig?.markdown);
+    } catch (error) {
+      console.warn(
+        `[glossary-plugin] Could not load the site's MDX parser, ${skipped}: ${error instanceof Error ? error.message : String(error)}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Finds the markdown pages of the content plugins configured with this glossary's remark
+   * plugin, warning when there are none
+   *
+   * @param allContent - Content of every plugin instance, by plugin name and id
+   * @param contentPlugins - Content plugin instances and their options
+   * @returns The pages, with the options of the remark plugin compiling them
+   */
+  function collectLinkedPages(
+    allContent: Record<string, Record<string, unknown>>,
+    contentPlugins: ConfiguredContentPlugin[]
+  ): ContentPage[] {
+    const remarkConfigurations = getRemarkConfigurations(contentPlugins, id ?? 'default');
+    if (remarkConfigurations.length === 0) {
+      console.warn(
+        '[glossary-plugin] No docs, blog or pages plugin is configured with the glossary remark plugin, so no page is scanned for terms'
+      );
+    }
+    return collectContentPages(allContent, context.siteDir, remarkConfigurations);
+  }
+
+  /**
+   * Path of the current locale's glossary, or null when building the default locale
+   */
+  function resolveLocalizedFilePath(): string | null {
+    const currentLocale = context.i18n?.currentLocale;
+    if (!currentLocale || currentLocale === context.i18n.defaultLocale) {
+      return null;
+    }
+    return getLocalizedGlossaryPath({
+      siteDir: context.siteDir,
+      glossaryPath,
+      locale: currentLocale,
+      localizationDir: context.localizationDir,
+      localizedGlossaryPath,
+      pluginId: id,
+    });
+  }
 
   return {
     name: 'docusaurus-plugin-glossary',
@@ -98,45 +343,73 @@ export default function glossaryPlugin(
     },
 
     async loadContent() {
-      // Load glossary terms from JSON file
+      // Load glossary terms from a JSON/YAML file (format detected from extension)
+      // or from a directory of markdown term files
       const glossaryFilePath = path.resolve(context.siteDir, glossaryPath);
+      let glossaryContent: GlossaryData = { terms: [] };
+      const sources: ValidatedGlossarySource[] = [];
+      extendedFiles.clear();
 
       if (await fs.pathExists(glossaryFilePath)) {
-        try {
-          const rawData = await fs.readJson(glossaryFilePath);
-
-          // Validate glossary data structure
-          const validationResult = validateGlossaryData(rawData, { throwOnError: false });
+        const result = await loadGlossarySource(glossaryFilePath, context.siteDir, extendedFiles);
+        glossaryContent = result.data;
+        sources.push({ path: glossaryFilePath, result });
+      } else {
+        console.warn(`Glossary file not found at ${glossaryFilePath}. Using empty glossary.`);
+      }
 
-          if (!validationResult.valid) {
-            console.warn(
-              `[glossary-plugin] Glossary file has validation errors at ${glossaryFilePath}:`
-            );
-            validationResult.errors.forEach(err => {
-              console.warn(`  - [${err.field}] ${err.message}`);
-            });
-            console.warn('[glossary-plugin] Proceeding with valid terms only.');
-          }
-
-          return validationResult.data;
-        } catch (error) {
-          if (error instanceof GlossaryValidationError) {
-            throw error;
-          }
-          // JSON parsing error
-          throw new Error(
-            `Failed to parse glossary file at ${glossaryFilePath}: ${error instanceof Error ? error.message : String(error)}`
-          );
-        }
+      // Overlay the current locale's glossary; untranslated terms fall back to the default locale
+      const localizedFilePath = resolveLocalizedFilePath();
+      if (localizedFilePath && (await fs.pathExists(localizedFilePath))) {
+        const result = await loadGlossarySource(localizedFilePath, context.siteDir, extendedFiles);
+        glossaryContent = mergeLocalizedGlossary(glossaryContent, result.data);
+        sources.push({ path: localizedFilePath, result });
       }
 
-      console.warn(`Glossary file not found at ${glossaryFilePath}. Using empty glossary.`);
-      return { terms: [] };
+      // Report the errors of both sources together with those of the references between the
+      // merged terms: a localized term may relate to a term that is only in the default locale
+      reportValidationErrors(
+        validateMergedGlossary(glossaryContent.terms, sources),
+        glossaryFilePath,
+        onValidationError
+      );
+
+      // The configured title and description win over the file's (and are still translatable)
+      return {
+        ...glossaryContent,
+        ...(title !== undefined ? { title } : {}),
+        ...(description !== undefined ? { description } : {}),
+      };
+    },
+
+    async getTranslationFiles({ content }) {
+      // Export every title, definition, abbreviation and term name for `write-translations`
+      return [
+        {
+          path: TRANSLATION_FILE_NAME,
+          content: getGlossaryTranslationMessages(content as GlossaryData),
+        },
+      ];
+    },
+
+    translateContent({ content, translationFiles }) {
+      const translationFile = translationFiles.find(file => file.path === TRANSLATION_FILE_NAME);
+      if (!translationFile) {
+        return content;
+      }
+      return translateGlossary(content as GlossaryData, translationFile.content);
     },
 
     async contentLoaded({ content, actions }) {
       const { createData, addRoute, setGlobalData } = actions;
-      const glossaryContent = content as GlossaryData;
+      // Compile the inline markdown of definitions now, so the client only renders it
+      const compiledContent = compileGlossaryDefinitions(content as GlossaryData);
+      // Routes include the site's baseUrl; `routePath` is given to components without it,
+      // for `Link` to add
+      const glossaryUrl = normalizeUrl([context.baseUrl || '/', routePath]);
+      const glossaryContent = termPages
+        ? { ...compiledContent, terms: addTermPermalinks(compiledContent.terms, glossaryUrl) }
+        : compiledContent;
 
       // Create data file that can be imported by components
       const glossaryDataPath = await createData(
@@ -153,16 +426,51 @@ export default function glossaryPlugin(
         })
       );
 
+      // Pages using each term are only known once every plugin has loaded its content, so
+      // the routes import a placeholder module that allContentLoaded fills in
+      const usageModules: Record<string, string> = termUsage
+        ? { termUsage: await createData(TERM_USAGE_FILE_NAME, JSON.stringify({})) }
+        : {};
+
       // Add glossary page route
       addRoute({
-        path: routePath,
-        component: path.join(currentDir, 'components/GlossaryPage.js'),
+        path: glossaryUrl,
+        component: '@theme/GlossaryPage',
         exact: true,
         modules: {
           glossaryData: glossaryDataPath,
+          ...usageModules,
         },
       });
 
+      // Add a page per term, so each term has its own URL, title and meta description
+      if (termPages) {
+        const glossary = {
+          ...(glossaryContent.title ? { title: glossaryContent.title } : {}),
+          routePath,
+        };
+        await Promise.all(
+          glossaryContent.terms.map(async (term, index) => {
+            if (!term.permalink) {
+              return;
+            }
+            const termDataPath = await createData(
+              `glossary-term-${index}.json`,
+              JSON.stringify(getTermPageData(term, glossaryContent.terms, glossary))
+            );
+            addRoute({
+              path: term.permalink,
+              component: '@theme/GlossaryTermPage',
+              exact: true,
+              modules: {
+                termData: termDataPath,
+                ...usageModules,
+              },
+            });
+          })
+        );
+      }
+
       // Expose global data for runtime lookups (used by GlossaryTerm)
       setGlobalData({
         terms: glossaryContent.terms || [],
@@ -170,17 +478,80 @@ export default function glossaryPlugin(
       });
     },
 
+    async allContentLoaded({ allContent, actions }) {
+      if (!termUsage) {
+        return;
+      }
+
+      const parse = await loadParser('term usage is not collected');
+      if (!parse) {
+        return;
+      }
+
+      const { terms } = allContent['docusaurus-plugin-glossary'][id ?? 'default'] as GlossaryData;
+      // Content plugins are only known from the site config here, with their options as given
+      const contentPlugins = [
+        ...getConfiguredContentPlugins(context.siteConfig ?? {}),
+        ...presetContentPlugins,
+      ];
+      scannedPages = await scanContentPages({
+        pages: collectLinkedPages(allContent, contentPlugins),
+        terms,
+        parse,
+      });
+      const usage = getTermUsage(scannedPages);
+      await actions.createData(TERM_USAGE_FILE_NAME, JSON.stringify(usage));
+    },
+
+    configureWebpack() {
+      // Rebuild the pages linking terms when the glossary changes during development
+      return { plugins: [new GlossaryRebuildPlugin()] };
+    },
+
     getThemePath() {
       return path.resolve(currentDir, './theme');
     },
 
     getPathsToWatch() {
-      return [path.resolve(context.siteDir, glossaryPath)];
+      const localizedFilePath = resolveLocalizedFilePath();
+      return [
+        ...getGlossaryWatchPaths(path.resolve(context.siteDir, glossaryPath)),
+        ...(localizedFilePath ? getGlossaryWatchPaths(localizedFilePath) : []),
+        ...extendedFiles,
+      ];
     },
 
-    async postBuild() {
-      // You can add any post-build steps here if needed
-      console.log('Glossary plugin: Build completed');
+    async postBuild({ outDir, content, plugins = [] }) {
+      if (!report) {
+        return;
+      }
+
+      const terms = (content as GlossaryData | undefined)?.terms || [];
+      let scans = scannedPages;
+      if (!scans) {
+        const parse = await loadParser('the glossary report is not written');
+        if (!parse) {
+          return;
+        }
+        // Same shape as the allContent of allContentLoaded, which older Docusaurus versions lack
+        const allContent: Record<string, Record<string, unknown>> = {};
+        const contentPlugins = plugins.map(plugin => {
+          const pluginId = plugin.options.id ?? 'default';
+          allContent[plugin.name] = allContent[plugin.name] || {};
+          allContent[plugin.name][pluginId] = plugin.content;
+          return { name: plugin.name, id: pluginId, options: plugin.options };
+        });
+        scans = await scanContentPages({
+          pages: collectLinkedPages(allContent, contentPlugins),
+          terms,
+          parse,
+        });
+      }
+
+      const glossaryReport = createGlossaryReport({ terms, scans });
+      const reportPath = path.join(outDir, getReportFileName(id));
+      await fs.outputFile(reportPath, JSON.stringify(glossaryReport, null, 2));
+      console.log(formatReportSummary(glossaryReport, path.relative(context.siteDir, reportPath)));
     },
   };
 }
@@ -191,26 +562,44 @@ export const remarkPlugin = remarkGlossaryTerms;
 // Export cache clearing utility
 export { clearGlossaryCache } from './remark/glossary-terms.js';
 
+// Export the error raised for undefined acronyms in strict mode
+export { UndefinedAcronymError } from './remark/glossary-terms.js';
+
+// Export the built-in inflector, for custom inflectors extending it
+export { englishInflector } from './remark/glossary-terms.js';
+
 // Export validation utilities
 export {
   validateGlossaryData,
+  validateMergedGlossary,
   GlossaryValidationError,
   formatValidationErrors,
+  formatErrorLocation,
+  type OnValidationError,
   type ValidationError,
+  type ValidationErrorLocator,
   type ValidationResult,
+  type TermOrigin,
+  type ValidatedGlossarySource,
 } from './validation.js';
 
 /**
  * Helper function to get the configured remark plugin
  * This can be used in docusaurus.config.js markdown configuration
  *
- * @param pluginOptions - Plugin options from docusaurus.config.js
- * @param context - Context with siteDir
+ * @param pluginOptions - Plugin options from docusaurus.config.js (pass the same `id` as the
+ *   plugin instance so generated GlossaryTerm elements read that instance's data)
+ * @param context - Context with siteDir, and optionally the Docusaurus i18n info used to pick
+ *   the localized glossary (defaults to the `DOCUSAURUS_CURRENT_LOCALE` environment variable)
  * @returns Configured remark plugin
  */
 export function getRemarkPlugin(
   pluginOptions: GlossaryPluginOptions,
-  context?: { siteDir?: string }
+  context?: {
+    siteDir?: string;
+    i18n?: { currentLocale: string; defaultLocale: string };
+    localizationDir?: string;
+  }
 ): [
   typeof remarkGlossaryTerms,
   {
@@ -218,15 +607,43 @@ export function getRemarkPlugin(
     routePath: string;
     siteDir?: string;
     expandAcronymsOnFirstUse: boolean;
+    glossaryId?: string;
+    locale?: string;
+    defaultLocale?: string;
+    localizationDir?: string;
+    localizedGlossaryPath?: string;
+    onValidationError?: OnValidationError;
+    undefinedAcronyms?: boolean | UndefinedAcronymsOptions;
+    linkFirstOccurrenceOnly?: boolean;
+    maxLinksPerTerm?: number;
+    linkLimitScope?: LinkLimitScope;
+    includePaths?: string[];
+    excludePaths?: string[];
+    inflector?: 'english' | false | Inflector;
+    wordBoundaries?: WordBoundaries;
   },
 ] {
   const {
+    id,
     glossaryPath = 'glossary/glossary.json',
     routePath = '/glossary',
     expandAcronymsOnFirstUse = false,
+    localizedGlossaryPath,
+    onValidationError,
+    undefinedAcronyms,
+    linkFirstOccurrenceOnly,
+    maxLinksPerTerm,
+    linkLimitScope,
+    includePaths,
+    excludePaths,
+    inflector,
+    wordBoundaries,
   } = pluginOptions;
 
   const siteDir = context?.siteDir;
+  const locale = context?.i18n?.currentLocale ?? process.env.DOCUSAURUS_CURRENT_LOCALE;
+  const defaultLocale = context?.i18n?.defaultLocale;
+  const localizationDir = context?.localizationDir;
 
   return [
     remarkGlossaryTerms,
@@ -235,6 +652,20 @@ export function getRemarkPlugin(
       routePath,
       siteDir,
       expandAcronymsOnFirstUse,
+      ...(id ? { glossaryId: id } : {}),
+      ...(locale ? { locale } : {}),
+      ...(defaultLocale ? { defaultLocale } : {}),
+      ...(localizationDir ? { localizationDir } : {}),
+      ...(localizedGlossaryPath ? { localizedGlossaryPath } : {}),
+      ...(onValidationError ? { onValidationError } : {}),
+      ...(undefinedAcronyms ? { undefinedAcronyms } : {}),
+      ...(linkFirstOccurrenceOnly ? { linkFirstOccurrenceOnly } : {}),
+      ...(maxLinksPerTerm !== undefined ? { maxLinksPerTerm } : {}),
+      ...(linkLimitScope ? { linkLimitScope } : {}),
+      ...(includePaths?.length ? { includePaths } : {}),
+      ...(excludePaths?.length ? { excludePaths } : {}),
+      ...(inflector !== undefined ? { inflector } : {}),
+      ...(wordBoundaries ? { wordBoundaries } : {}),
     },
   ];
 }
@@ -1,6 +1,7 @@
-import type { Preset, LoadContext } from '@docusaurus/types';
+import type { Preset, LoadContext, PluginModule, PluginOptions } from '@docusaurus/types';
 import glossaryPlugin, { getRemarkPlugin } from './index.js';
 import type { GlossaryPluginOptions } from './index.js';
+import { getConfiguredContentPlugins } from './term-usage.js';
 
 /**
  * Configuration for @docusaurus/plugin-content-docs
@@ -127,15 +128,41 @@ export default function preset(context: LoadContext, options: GlossaryPresetOpti
   if (debug !== undefined) classicOptions.debug = debug;
 
   const {
+    id: glossaryId,
     glossaryPath = 'glossary/glossary.json',
     routePath = '/glossary',
     expandAcronymsOnFirstUse = false,
+    localizedGlossaryPath,
+    onValidationError,
+    undefinedAcronyms,
+    linkFirstOccurrenceOnly,
+    maxLinksPerTerm,
+    linkLimitScope,
+    includePaths,
+    excludePaths,
+    inflector,
+    wordBoundaries,
   } = glossary;
 
   // Get the remark plugin configuration
   const remarkPlugin = getRemarkPlugin(
-    { glossaryPath, routePath, expandAcronymsOnFirstUse },
-    { siteDir: context.siteDir }
+    {
+      id: glossaryId,
+      glossaryPath,
+      routePath,
+      expandAcronymsOnFirstUse,
+      localizedGlossaryPath,
+      onValidationError,
+      undefinedAcronyms,
+      linkFirstOccurrenceOnly,
+      maxLinksPerTerm,
+      linkLimitScope,
+      includePaths,
+      excludePaths,
+      inflector,
+      wordBoundaries,
+    },
+    { siteDir: context.siteDir, i18n: context.i18n, localizationDir: context.localizationDir }
   );
 
   // Extend docs configuration with glossary remark plugin
@@ -177,23 +204,31 @@ export default function preset(context: LoadContext, options: GlossaryPresetOpti
   if (sitemap !== undefined) finalClassicOptions.sitemap = sitemap;
   if (debug !== undefined) finalClassicOptions.debug = debug;
 
-  // Plugin tuple type: [plugin-name, options] or plugin function
-  type PluginEntry =
-    | [string, Record<string, unknown>]
-    | ((ctx: LoadContext) => ReturnType<typeof glossaryPlugin>);
+  // Plugin tuple type: [plugin-name, options] or [plugin function, options]
+  type PluginEntry = [string, Record<string, unknown>] | [PluginModule, PluginOptions];
+
+  // Add classic preset content plugins individually
+  const contentPlugins: PluginEntry[] = [];
+  if (extendedDocsConfig)
+    contentPlugins.push(['@docusaurus/plugin-content-docs', extendedDocsConfig]);
+  if (typeof extendedBlogConfig === 'object' && extendedBlogConfig !== null)
+    contentPlugins.push(['@docusaurus/plugin-content-blog', extendedBlogConfig]);
+  if (extendedPagesConfig)
+    contentPlugins.push(['@docusaurus/plugin-content-pages', extendedPagesConfig]);
+  // The site config doesn't list these, so tell the glossary plugin which pages it links
+  const presetContentPlugins = getConfiguredContentPlugins({ plugins: contentPlugins });
 
   const plugins: PluginEntry[] = [
-    // Add the glossary plugin first
-    function glossaryPluginWrapper(ctx: LoadContext) {
-      return glossaryPlugin(ctx, glossary);
-    },
+    // Add the glossary plugin first. Passed as a [function, options] tuple so Docusaurus
+    // picks up `glossary.id` as the plugin instance id.
+    [
+      function glossaryPluginWrapper(ctx: LoadContext, pluginOptions: unknown) {
+        return glossaryPlugin(ctx, pluginOptions as GlossaryPluginOptions, presetContentPlugins);
+      },
+      { ...glossary },
+    ],
+    ...contentPlugins,
   ];
-
-  // Add classic preset plugins individually
-  if (extendedDocsConfig) plugins.push(['@docusaurus/plugin-content-docs', extendedDocsConfig]);
-  if (typeof extendedBlogConfig === 'object' && extendedBlogConfig !== null)
-    plugins.push(['@docusaurus/plugin-content-blog', extendedBlogConfig]);
-  if (extendedPagesConfig) plugins.push(['@docusaurus/plugin-content-pages', extendedPagesConfig]);
   if (gtag) plugins.push(['@docusaurus/plugin-google-gtag', gtag]);
   if (googleAnalytics) plugins.push(['@docusaurus/plugin-google-analytics', googleAnalytics]);
   if (googleTagManager) plugins.push(['@docusaurus/plugin-google-tag-manager', googleTagManager]);
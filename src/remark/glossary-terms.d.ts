@@ -2,12 +2,42 @@ import type {
   GlossaryTerm,
   RemarkGlossaryTermsOptions,
   RemarkGlossaryTermsTransformer,
+  UndefinedAcronymsOptions,
+  LinkLimitScope,
+  Inflector,
+  WordBoundaries,
 } from '../types.js';
 
-export type { GlossaryTerm, RemarkGlossaryTermsOptions, RemarkGlossaryTermsTransformer };
+export type {
+  GlossaryTerm,
+  RemarkGlossaryTermsOptions,
+  RemarkGlossaryTermsTransformer,
+  UndefinedAcronymsOptions,
+  LinkLimitScope,
+  Inflector,
+  WordBoundaries,
+};
 
 export default function remarkGlossaryTerms(
   options?: RemarkGlossaryTermsOptions
 ): RemarkGlossaryTermsTransformer;
 
 export function clearGlossaryCache(filePath?: string): void;
+
+/** Thrown when a file uses acronyms missing from the glossary in strict mode. */
+export class UndefinedAcronymError extends Error {
+  readonly source: string;
+  readonly acronyms: { acronym: string; line?: number; column?: number }[];
+  constructor(source: string, acronyms: { acronym: string; line?: number; column?: number }[]);
+}
+
+export function isCompiledWithStaleGlossary(filePath: string): boolean;
+
+/** Whether a remark plugin is the glossary remark plugin, from any bundle of the package. */
+export function isGlossaryRemarkPlugin(plugin: unknown): boolean;
+
+/** Starts a new generation of glossary freshness checks, once per compilation. */
+export function startGlossaryGeneration(): void;
+
+/** The built-in English inflector: plurals, irregular plurals and possessives. */
+export const englishInflector: Inflector;
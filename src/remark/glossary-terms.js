@@ -1,81 +1,351 @@
 import { visit } from 'unist-util-visit';
 import path from 'path';
 import fs from 'fs';
+import {
+  readGlossarySourceSync,
+  getLocalizedPluginDir,
+  getLocalizedGlossaryPath,
+  mergeLocalizedGlossary,
+} from '../glossary-loader.js';
+import { TRANSLATION_FILE_NAME, translateGlossary } from '../glossary-translations.js';
+import {
+  validateGlossaryData,
+  validateMergedGlossary,
+  reportValidationErrors,
+} from '../validation.js';
+import { createUndefinedAcronymCheck } from './undefined-acronyms.js';
+import { getTextPosition } from './text-position.js';
+import { createPathFilter } from './path-filter.js';
+import { resolveInflector } from './inflection.js';
+
+export { UndefinedAcronymError } from './undefined-acronyms.js';
+export { englishInflector } from './inflection.js';
+
+// Manual links: `[[API]]` or `[[API|the interface]]`
+const WIKI_LINK_REGEX = /\[\[([^[\]|]+)(?:\|([^[\]]+))?\]\]/g;
+
+// Name of the `:term[API]` text directive
+const TERM_DIRECTIVE_NAME = 'term';
+
+// Ignore comments: `<!-- glossary-ignore-start -->` in CommonMark, `{/* glossary-ignore-start */}`
+// in MDX, and the same with `glossary-ignore-end` and `glossary-ignore-next-line`
+const IGNORE_COMMENT_REGEX =
+  /^(?:<!--|\/\*)\s*glossary-ignore-(start|end|next-line)\s*(?:-->|\*\/)$/;
+
+// Nodes that can hold an ignore comment
+const COMMENT_NODE_TYPES = ['html', 'mdxFlowExpression', 'mdxTextExpression'];
+
+// Marks the remark plugin, which the package ships in several bundles (plugin, preset,
+// remark entry point), so the glossary plugin can find it in the content plugins' options
+const REMARK_PLUGIN_MARKER = Symbol.for('docusaurus-plugin-glossary.remarkPlugin');
+
+// Word characters of any script (letters, combining marks, digits and connectors like `_`),
+// which can't sit right before or after a linked term
+const WORD_CHAR_BEFORE_REGEX = /[\p{L}\p{M}\p{N}\p{Pc}]$/u;
+const WORD_CHAR_AFTER_REGEX = /^[\p{L}\p{M}\p{N}\p{Pc}]/u;
 
 /**
- * Simple validation for glossary terms loaded from file
- * Returns only valid terms with required fields
+ * Lowercases a string without changing its length, so that indexes in the result apply to
+ * the original. The few characters whose lowercase form is longer, like "İ", are kept.
  *
- * @param {unknown} data - The parsed JSON data
- * @param {string} filePath - Path to the file (for error messages)
- * @returns {{ terms: Array<{term: string, definition: string}>, errors: string[] }}
+ * @param {string} value
+ * @returns {string}
  */
-function validateGlossaryTerms(data, _filePath) {
-  const errors = [];
-  const validTerms = [];
-
-  if (data === null || data === undefined) {
-    errors.push(`Glossary data is null or undefined`);
-    return { terms: [], errors };
+function toLowerCaseSameLength(value) {
+  const lower = value.toLowerCase();
+  if (lower.length === value.length) {
+    return lower;
   }
+  return Array.from(value, char => {
+    const lowerChar = char.toLowerCase();
+    return lowerChar.length === char.length ? lowerChar : char;
+  }).join('');
+}
 
-  if (typeof data !== 'object') {
-    errors.push(`Glossary data must be an object, got ${typeof data}`);
-    return { terms: [], errors };
-  }
+// Cache for glossary data to avoid repeated synchronous file reads
+// Key: absolute file path, Value: { source, files, signature, checkedGeneration } where
+// `source` is the validated glossary, `files` the files it was read from, `signature` their
+// state when read (see getFilesSignature) and `checkedGeneration` the freshness generation
+// they were last checked in
+const glossaryCache = new Map();
+
+// Cache for `write-translations` files, same shape with `messages` instead of `source`
+const translationCache = new Map();
+
+// Merged sources whose errors were reported: default-locale source -> localized sources
+// (null when there is none)
+const reportedSources = new WeakMap();
+
+// Pages compiled by the remark plugin, by absolute path. Each glossary that compiled a page
+// adds a check telling whether it has changed since, keyed by its file and locale so the
+// remark plugin instances created again for the same glossary replace their check. Shared through `globalThis` because the package ships this module in several
+// bundles (plugin, preset, remark entry point).
+const compiledPages = (globalThis[Symbol.for('docusaurus-plugin-glossary.compiledPages')] ??=
+  new Map());
+
+// Generation of the freshness checks, started by each webpack compilation (see
+// startGlossaryGeneration). Within a generation, a cache entry checks its files once rather
+// than on every use; before the first one (outside webpack), it checks them on every use.
+// Shared through `globalThis` like compiledPages.
+const freshness = (globalThis[Symbol.for('docusaurus-plugin-glossary.freshness')] ??= {
+  generation: null,
+});
 
-  if (!('terms' in data)) {
-    errors.push(`Glossary data must contain a "terms" array`);
-    return { terms: [], errors };
+/**
+ * State of files on disk, from their modification time and size, so an edit (or a file
+ * appearing or disappearing) changes the signature
+ *
+ * @param {string[]} filePaths - Absolute paths of files or directories
+ * @returns {string}
+ */
+function getFilesSignature(filePaths) {
+  return filePaths
+    .map(filePath => {
+      try {
+        const stat = fs.statSync(filePath);
+        return `${filePath}:${stat.mtimeMs}:${stat.size}`;
+      } catch {
+        return `${filePath}:missing`;
+      }
+    })
+    .join('\n');
+}
+
+/**
+ * Cached value of an entry, unless the files it was read from changed since. The files are
+ * checked once per freshness generation, so a compilation does not stat them for every page.
+ *
+ * @param {Map<string, object>} cache
+ * @param {string} key - Absolute path of the entry
+ * @returns {object | undefined} The cache entry, when still fresh
+ */
+function getFreshEntry(cache, key) {
+  const cached = cache.get(key);
+  if (!cached) {
+    return undefined;
+  }
+  if (freshness.generation !== null && cached.checkedGeneration === freshness.generation) {
+    return cached;
   }
+  if (getFilesSignature(cached.files) !== cached.signature) {
+    return undefined;
+  }
+  cached.checkedGeneration = freshness.generation;
+  return cached;
+}
 
-  if (!Array.isArray(data.terms)) {
-    errors.push(`Field "terms" must be an array, got ${typeof data.terms}`);
-    return { terms: [], errors };
+/**
+ * Starts a new generation of freshness checks: the next use of each cached glossary or
+ * translation file checks whether its files changed, and later uses in the same generation
+ * reuse that answer. Called at the start of each webpack compilation.
+ */
+export function startGlossaryGeneration() {
+  freshness.generation = (freshness.generation ?? 0) + 1;
+}
+
+/**
+ * Loads and validates the terms of a glossary source, caching the result per path. Its
+ * errors are reported with those of the references between terms, which are checked once
+ * the sources are merged (see reportGlossaryErrors).
+ *
+ * @param {string} glossaryFilePath - Absolute path to the glossary file or directory
+ * @param {string} displayPath - Path shown in log messages
+ * @param {object} [options]
+ * @param {string} [options.siteDir] - Site directory package `extends` are resolved from
+ * @param {boolean} [options.optional] - When true, a missing source is not reported
+ * @returns {{path: string, result: {errors: Array<object>, data: {terms: Array<object>}}}}
+ *   The validated source, with its valid terms (none if the source is missing or cannot be
+ *   parsed)
+ */
+function loadGlossarySource(glossaryFilePath, displayPath, { siteDir, optional = false } = {}) {
+  // Check cache first to avoid repeated file reads
+  const cached = glossaryCache.get(glossaryFilePath);
+  if (getFreshEntry(glossaryCache, glossaryFilePath)) {
+    return cached.source;
   }
 
-  data.terms.forEach((term, index) => {
-    if (term === null || term === undefined || typeof term !== 'object') {
-      errors.push(`terms[${index}]: Term must be an object`);
-      return;
-    }
+  // Cache miss or stale - load from file synchronously
+  // Note: This is synchronous I/O which can block the build process
+  // Consider passing terms directly to avoid this
+  let result = { valid: true, errors: [], data: { terms: [] }, origins: [] };
+  // The source itself, then the term files and `extends` it pulled in once read
+  let files = [glossaryFilePath];
+  try {
+    if (fs.existsSync(glossaryFilePath)) {
+      let glossaryData;
+      let termFiles;
+      let locate;
+      let extendedFiles;
+      try {
+        ({
+          data: glossaryData,
+          termFiles,
+          locate,
+          extendedFiles,
+        } = readGlossarySourceSync(glossaryFilePath, { siteDir }));
+      } catch (parseError) {
+        console.error(
+          `[glossary-plugin] Failed to parse glossary file at ${displayPath}:`,
+          parseError.message
+        );
+        const source = { path: displayPath, result };
+        glossaryCache.set(glossaryFilePath, {
+          source,
+          files,
+          signature: getFilesSignature(files),
+          checkedGeneration: freshness.generation,
+        });
+        return source;
+      }
+      files = [...new Set([glossaryFilePath, ...termFiles.filter(Boolean), ...extendedFiles])];
 
-    if (typeof term.term !== 'string' || term.term.trim() === '') {
-      errors.push(`terms[${index}]: Missing or invalid "term" field`);
-      return;
-    }
+      // Validate glossary data with the same rules as the plugin's loadContent
+      result = validateGlossaryData(glossaryData, {
+        throwOnError: false,
+        termFiles,
+        locate,
+        crossReferences: false,
+      });
 
-    if (typeof term.definition !== 'string') {
-      errors.push(`terms[${index}]: Missing or invalid "definition" field`);
-      return;
+      if (process.env.NODE_ENV !== 'production') {
+        console.log(
+          `[glossary-plugin] ${cached ? 'Reloaded' : 'Loaded'} ${result.data.terms.length} terms from ${displayPath}`
+        );
+      }
+    } else if (!optional && process.env.NODE_ENV !== 'production') {
+      // File doesn't exist - the empty result is cached below to avoid repeated checks
+      console.warn(`[glossary-plugin] Glossary file not found: ${displayPath}`);
     }
+  } catch (error) {
+    console.warn(`[glossary-plugin] Failed to load glossary from ${displayPath}:`, error.message);
+  }
 
-    validTerms.push(term);
+  // Update cache (errors are cached too, until the files change)
+  const source = { path: displayPath, result };
+  glossaryCache.set(glossaryFilePath, {
+    source,
+    files,
+    signature: getFilesSignature(files),
+    checkedGeneration: freshness.generation,
   });
+  return source;
+}
 
-  return { terms: validTerms, errors };
+/**
+ * Reports the validation errors of merged glossary sources, with the same rules as the
+ * plugin's loadContent. Each combination of loaded sources is reported once: the remark
+ * plugin instances of a site share the cached sources.
+ *
+ * @param {Array<object>} mergedTerms - Terms of the merged glossary
+ * @param {Array<object>} sources - Sources returned by loadGlossarySource, in merge order
+ * @param {string} displayPath - Path shown in log messages
+ * @param {'warn' | 'throw' | 'ignore'} onValidationError - How validation errors are surfaced
+ * @throws {GlossaryValidationError} If the glossary is invalid and onValidationError is 'throw'
+ */
+function reportGlossaryErrors(mergedTerms, sources, displayPath, onValidationError) {
+  const [baseSource, localizedSource = null] = sources;
+  const reported = reportedSources.get(baseSource) ?? new Set();
+  reportedSources.set(baseSource, reported);
+  if (reported.has(localizedSource)) {
+    return;
+  }
+  reportValidationErrors(
+    validateMergedGlossary(mergedTerms, sources),
+    displayPath,
+    onValidationError
+  );
+  reported.add(localizedSource);
 }
 
-// Cache for glossary data to avoid repeated synchronous file reads
-// Key: absolute file path, Value: { terms, loadedAt }
-const glossaryCache = new Map();
-const CACHE_TTL = 5000; // 5 seconds TTL to allow for file changes during dev
+/**
+ * Reads a Docusaurus translation file (`{ [id]: { message, description } }`), caching the
+ * result until the file changes
+ *
+ * @param {string} filePath - Absolute path to the translation file
+ * @returns {Record<string, {message: string}> | null} The messages, or null if the file
+ *   is missing or invalid
+ */
+function loadTranslationMessages(filePath) {
+  const cached = getFreshEntry(translationCache, filePath);
+  if (cached) {
+    return cached.messages;
+  }
+
+  let messages = null;
+  if (fs.existsSync(filePath)) {
+    try {
+      messages = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.warn(
+        `[glossary-plugin] Failed to read glossary translations at ${filePath}:`,
+        error.message
+      );
+    }
+  }
+  translationCache.set(filePath, {
+    messages,
+    files: [filePath],
+    signature: getFilesSignature([filePath]),
+    checkedGeneration: freshness.generation,
+  });
+  return messages;
+}
 
 /**
  * Creates a remark plugin that automatically detects and replaces glossary terms in markdown
  *
- * This plugin transforms plain text terms into <GlossaryTerm> JSX elements.
+ * This plugin transforms plain text terms into <GlossaryTerm> JSX elements. Terms can also be
+ * linked by hand, in .md files too, with `[[API]]`, `[[API|the interface]]` or `:term[API]`
+ * (any term, including `autoLink: false` ones); unknown terms are reported as warnings.
  * The GlossaryTerm component is globally available via the MDXComponents theme wrapper,
  * so no import injection is needed - MDX files can use it without explicit imports.
  *
  * @param {object} options - Plugin options
  * @param {Array} options.terms - Array of glossary term objects with {term, definition}
- * @param {string} options.glossaryPath - Path to glossary JSON file (optional, if terms not provided)
+ * @param {string} options.glossaryPath - Path to glossary JSON/YAML file or term directory (optional, if terms not provided)
  * @param {string} options.routePath - Route path to glossary page (default: '/glossary')
  * @param {string} options.siteDir - Docusaurus site directory (required if using glossaryPath)
  * @param {boolean} options.expandAcronymsOnFirstUse - When true, the first canonical occurrence of a
  *   term with an `abbreviation` is rendered as "Long Form (Term)" instead of just "Term".
  *   Subsequent occurrences in the same file render unchanged. Default: false.
+ * @param {string} options.glossaryId - Plugin instance `id` the terms belong to. When set, it is
+ *   passed to each generated GlossaryTerm so it reads the matching instance's global data.
+ * @param {string} options.locale - Locale being built. For non-default locales the localized
+ *   glossary is merged over the one at glossaryPath; the locale's `write-translations` file
+ *   (if any) is applied on top.
+ * @param {string} options.defaultLocale - The site's default locale
+ * @param {string} options.localizationDir - Docusaurus localization dir for the current locale
+ *   (default: `<siteDir>/i18n/<locale>`)
+ * @param {string} options.localizedGlossaryPath - Custom localized glossary path pattern,
+ *   relative to siteDir, with a `{locale}` placeholder
+ * @param {'warn' | 'throw' | 'ignore'} options.onValidationError - What to do when a loaded
+ *   glossary has validation errors: log them and keep the valid terms (default), throw a
+ *   GlossaryValidationError listing every problem, or silently keep the valid terms
+ * @param {boolean | object} options.undefinedAcronyms - When set, acronym-like tokens that are
+ *   neither a term, an alias nor an abbreviation of the glossary are reported per file. Either
+ *   `true` or `{ pattern, allowlist, onUndefinedAcronym }`, where `onUndefinedAcronym: 'throw'`
+ *   fails the build with an UndefinedAcronymError. Default: false.
+ * @param {boolean} options.linkFirstOccurrenceOnly - When true, only the first occurrence of
+ *   each term is linked, per `linkLimitScope`; shorthand for `maxLinksPerTerm: 1`. Default: false.
+ * @param {number} options.maxLinksPerTerm - Number of occurrences of each term that are linked,
+ *   per `linkLimitScope`. Later occurrences stay plain text. Default: no limit.
+ * @param {'page' | 'section'} options.linkLimitScope - Whether the link limit applies to the
+ *   whole file, or restarts at each heading. Default: 'page'.
+ * @param {string[]} options.includePaths - Globs, relative to siteDir, of the files to
+ *   auto-link. Default: every file.
+ * @param {string[]} options.excludePaths - Globs, relative to siteDir, of the files not to
+ *   auto-link. Files can also opt out with `glossary: false` in their front matter, or
+ *   exclude some terms with `glossary: { exclude: ['Deploy'] }`.
+ * @param {'english' | false | ((phrase: string) => string[])} options.inflector - Inflected
+ *   forms of each term and alias that are linked too: the built-in English rules (plurals,
+ *   irregular plurals and possessives), none, or a function returning the forms of a phrase.
+ *   Terms listing `forms` use those instead. Default: 'english'.
+ * @param {'unicode' | 'segmenter'} options.wordBoundaries - How whole words are told apart:
+ *   no letter or digit of any script next to a match, or the word boundaries found by
+ *   `Intl.Segmenter` for `locale`, for languages written without spaces such as Japanese
+ *   or Chinese. Default: 'unicode'.
+ * @param {boolean} options.warnUnknownTerms - Whether manual links and front matter `exclude`
+ *   entries naming no glossary term are reported. Default: true.
  * @returns {function} Remark plugin function
  */
 export default function remarkGlossaryTerms({
@@ -84,123 +354,265 @@ export default function remarkGlossaryTerms({
   routePath = '/glossary',
   siteDir = null,
   expandAcronymsOnFirstUse = false,
+  glossaryId = null,
+  locale = null,
+  defaultLocale = null,
+  localizationDir = null,
+  localizedGlossaryPath = null,
+  onValidationError = 'warn',
+  undefinedAcronyms = false,
+  linkFirstOccurrenceOnly = false,
+  maxLinksPerTerm = null,
+  linkLimitScope = 'page',
+  includePaths = [],
+  excludePaths = [],
+  inflector = 'english',
+  wordBoundaries = 'unicode',
+  warnUnknownTerms = true,
 } = {}) {
-  let glossaryTerms = terms;
+  if (maxLinksPerTerm != null && !(Number.isInteger(maxLinksPerTerm) && maxLinksPerTerm > 0)) {
+    throw new Error(`Option "maxLinksPerTerm" must be a positive integer, got ${maxLinksPerTerm}`);
+  }
+  if (linkLimitScope !== 'page' && linkLimitScope !== 'section') {
+    throw new Error(`Option "linkLimitScope" must be 'page' or 'section', got "${linkLimitScope}"`);
+  }
+  const linkLimit = linkFirstOccurrenceOnly ? 1 : maxLinksPerTerm;
+  const isAutoLinkedPath = createPathFilter({ includePaths, excludePaths, siteDir });
+  const inflect = resolveInflector(inflector);
+  if (wordBoundaries !== 'unicode' && wordBoundaries !== 'segmenter') {
+    throw new Error(
+      `Option "wordBoundaries" must be 'unicode' or 'segmenter', got "${wordBoundaries}"`
+    );
+  }
+  const segmenter =
+    wordBoundaries === 'segmenter'
+      ? new Intl.Segmenter(locale || undefined, { granularity: 'word' })
+      : null;
+  const loadsGlossaryFile = !terms.length && glossaryPath && siteDir;
+  const localizedFilePath =
+    loadsGlossaryFile && locale && locale !== defaultLocale
+      ? getLocalizedGlossaryPath({
+          siteDir,
+          glossaryPath,
+          locale,
+          localizationDir,
+          localizedGlossaryPath,
+          pluginId: glossaryId,
+        })
+      : null;
+  const translationFilePath =
+    loadsGlossaryFile && locale
+      ? path.join(
+          getLocalizedPluginDir({ siteDir, locale, localizationDir, pluginId: glossaryId }),
+          `${TRANSLATION_FILE_NAME}.json`
+        )
+      : null;
+  // Key of the compiledPages checks: the glossary file and the locale it is resolved for
+  const glossarySourceKey = loadsGlossaryFile
+    ? `${path.resolve(siteDir, glossaryPath)}\0${locale || ''}`
+    : null;
+  // Sources of the last resolved terms, so unchanged sources resolve to the same array
+  let lastResolved = null;
 
-  // If terms not provided, try to load from glossaryPath with caching
-  if (!glossaryTerms.length && glossaryPath && siteDir) {
-    try {
-      const glossaryFilePath = path.resolve(siteDir, glossaryPath);
-      const now = Date.now();
+  /**
+   * Resolves the terms to link: the `terms` option, or the glossary at glossaryPath with the
+   * current locale's glossary and translations applied. Sources are cached until their
+   * files change, so this is cheap to call for every file.
+   */
+  function resolveGlossaryTerms() {
+    if (!loadsGlossaryFile) {
+      return terms;
+    }
 
-      // Check cache first to avoid repeated file reads
-      const cached = glossaryCache.get(glossaryFilePath);
-      if (cached && now - cached.loadedAt < CACHE_TTL) {
-        glossaryTerms = cached.terms;
-      } else {
-        // Cache miss or expired - load from file synchronously
-        // Note: This is synchronous I/O which can block the build process
-        // Consider passing terms directly to avoid this
-        if (fs.existsSync(glossaryFilePath)) {
-          const fileContent = fs.readFileSync(glossaryFilePath, 'utf8');
-          let glossaryData;
-          try {
-            glossaryData = JSON.parse(fileContent);
-          } catch (parseError) {
-            console.error(
-              `[glossary-plugin] Failed to parse glossary JSON at ${glossaryPath}:`,
-              parseError.message
-            );
-            glossaryCache.set(glossaryFilePath, {
-              terms: [],
-              loadedAt: now,
-            });
-            return tree => tree;
-          }
+    const baseSource = loadGlossarySource(path.resolve(siteDir, glossaryPath), glossaryPath, {
+      siteDir,
+    });
+    // Overlay the current locale's glossary so localized term names and aliases are
+    // matched too; untranslated terms keep their default-locale entry
+    const localizedSource = localizedFilePath
+      ? loadGlossarySource(localizedFilePath, path.relative(siteDir, localizedFilePath), {
+          siteDir,
+          optional: true,
+        })
+      : null;
+    // Apply the `write-translations` file, as the plugin's translateContent does
+    const messages = translationFilePath ? loadTranslationMessages(translationFilePath) : null;
 
-          // Validate glossary data
-          const { terms: validTerms, errors } = validateGlossaryTerms(glossaryData, glossaryPath);
+    if (
+      lastResolved &&
+      lastResolved.baseSource === baseSource &&
+      lastResolved.localizedSource === localizedSource &&
+      lastResolved.messages === messages
+    ) {
+      return lastResolved.terms;
+    }
 
-          if (errors.length > 0) {
-            console.warn(`[glossary-plugin] Glossary validation errors in ${glossaryPath}:`);
-            errors.forEach(err => console.warn(`  - ${err}`));
-            if (validTerms.length > 0) {
-              console.warn(`[glossary-plugin] Proceeding with ${validTerms.length} valid term(s).`);
-            }
-          }
+    let mergedTerms = baseSource.result.data.terms;
+    if (localizedSource && localizedSource.result.data.terms.length > 0) {
+      mergedTerms = mergeLocalizedGlossary(
+        { terms: mergedTerms },
+        { terms: localizedSource.result.data.terms }
+      ).terms;
+    }
+    const sources = localizedSource ? [baseSource, localizedSource] : [baseSource];
+    // Related terms, aliases and anchors are checked across the merged glossary, before
+    // translation like in the plugin's loadContent
+    reportGlossaryErrors(mergedTerms, sources, glossaryPath, onValidationError);
 
-          glossaryTerms = validTerms;
+    const resolvedTerms = messages
+      ? translateGlossary({ terms: mergedTerms }, messages).terms
+      : mergedTerms;
+    lastResolved = { baseSource, localizedSource, messages, terms: resolvedTerms };
+    return resolvedTerms;
+  }
 
-          // Update cache
-          glossaryCache.set(glossaryFilePath, {
-            terms: glossaryTerms,
-            loadedAt: now,
-          });
+  // Lookups derived from the current terms, rebuilt by applyGlossaryTerms when they change
+  let glossaryTerms = null;
+  let sortedTerms = [];
+  let manualTermMap = new Map();
+  let checkUndefinedAcronyms = null;
 
-          // Log only once per file (when cache is first populated)
-          if (!cached && process.env.NODE_ENV !== 'production') {
-            console.log(
-              `[glossary-plugin] Loaded ${glossaryTerms.length} terms from ${glossaryPath}`
-            );
-          }
-        } else {
-          // File doesn't exist - cache empty result to avoid repeated checks
-          glossaryCache.set(glossaryFilePath, {
-            terms: [],
-            loadedAt: now,
-          });
-          if (process.env.NODE_ENV !== 'production') {
-            console.warn(`[glossary-plugin] Glossary file not found: ${glossaryPath}`);
-          }
-        }
-      }
-    } catch (error) {
-      console.warn(
-        `[glossary-plugin] Failed to load glossary from ${glossaryPath}:`,
-        error.message
-      );
-      // Cache the error to avoid repeated attempts
-      if (glossaryPath && siteDir) {
-        const glossaryFilePath = path.resolve(siteDir, glossaryPath);
-        glossaryCache.set(glossaryFilePath, {
-          terms: [],
-          loadedAt: Date.now(),
-        });
-      }
+  /**
+   * Builds the lookups of a set of terms, unless they are the current ones
+   *
+   * @param {Array<object>} nextTerms - Resolved glossary terms
+   */
+  function applyGlossaryTerms(nextTerms) {
+    if (nextTerms === glossaryTerms) {
+      return;
     }
-  }
+    glossaryTerms = nextTerms;
 
-  // Build a map of terms for efficient lookup, skipping terms with autoLink: false.
-  // Each entry represents a matchable phrase (canonical term or alias) and points
-  // back to the canonical term object so tooltip/href always use the canonical form.
-  // Key: lowercase phrase, Value: { termObj, phrase, caseSensitive } where
-  // `phrase` preserves the original case (used for case-sensitive matching).
-  const termMap = new Map();
-  glossaryTerms.forEach(termObj => {
-    if (!termObj.term || termObj.autoLink === false) return;
-    const caseSensitive = termObj.caseSensitive === true;
-
-    const register = phrase => {
+    // Build a map of terms for efficient lookup, skipping terms with autoLink: false.
+    // Each entry represents a searched phrase (canonical term, alias or one of their
+    // inflected forms) and points back to the canonical term object so tooltip/href always
+    // use the canonical form. Forms that only add an ending to a phrase of the same term
+    // ("APIs", "API's") are not searched on their own: they are its `suffixes`, checked
+    // where the phrase is found.
+    // Key: lowercase phrase, Value: { termObj, phrase, caseSensitive, suffixes } where
+    // `phrase` preserves the original case (used for case-sensitive matching).
+    const termMap = new Map();
+    // Lowercase phrases and forms registered so far
+    const registered = new Set();
+    // Entries of the phrases of each term, that its forms can extend
+    const termEntries = new Map();
+    const register = (termObj, phrase, asForm = false) => {
       if (typeof phrase !== 'string' || phrase.trim() === '') return;
-      const key = phrase.toLowerCase();
-      if (!termMap.has(key)) {
-        termMap.set(key, { termObj, phrase, caseSensitive });
+      const key = toLowerCaseSameLength(phrase);
+      if (registered.has(key)) return;
+      registered.add(key);
+
+      const caseSensitive = termObj.caseSensitive === true;
+      const entries = termEntries.get(termObj) || [];
+      termEntries.set(termObj, entries);
+      // The longest phrase of the term that the form extends
+      let base = null;
+      for (const entry of asForm ? entries : []) {
+        const extendsEntry = caseSensitive
+          ? phrase.startsWith(entry.phrase)
+          : key.startsWith(toLowerCaseSameLength(entry.phrase));
+        if (extendsEntry && (!base || entry.phrase.length > base.phrase.length)) {
+          base = entry;
+        }
+      }
+      if (base) {
+        const suffix = phrase.slice(base.phrase.length);
+        base.suffixes.push({ suffix, lowerSuffix: toLowerCaseSameLength(suffix) });
+        base.suffixes.sort((a, b) => b.suffix.length - a.suffix.length);
+      } else {
+        const entry = { termObj, phrase, caseSensitive, suffixes: [] };
+        termMap.set(key, entry);
+        entries.push(entry);
       }
     };
+    const autoLinkedTerms = glossaryTerms.filter(
+      termObj => termObj.term && termObj.autoLink !== false
+    );
+    const getPhrases = termObj => [
+      termObj.term,
+      ...(Array.isArray(termObj.aliases) ? termObj.aliases : []),
+    ];
 
-    register(termObj.term);
-    if (Array.isArray(termObj.aliases)) {
-      termObj.aliases.forEach(register);
-    }
-  });
+    // Terms and aliases first, so that they win over another term's inflected forms
+    autoLinkedTerms.forEach(termObj => {
+      getPhrases(termObj).forEach(phrase => register(termObj, phrase));
+    });
+    autoLinkedTerms.forEach(termObj => {
+      const forms = Array.isArray(termObj.forms)
+        ? termObj.forms
+        : getPhrases(termObj).flatMap(phrase =>
+            typeof phrase === 'string' ? inflect(phrase) : []
+          );
+      // Shortest first, so "proxies'" is found as an ending of "proxies"
+      forms
+        .filter(form => typeof form === 'string')
+        .sort((a, b) => a.length - b.length)
+        .forEach(form => register(termObj, form, true));
+    });
 
-  // Sort terms by length (longest first) to avoid partial matches
-  // e.g., "Application Programming Interface" should match before "API"
-  const sortedTerms = Array.from(termMap.entries()).sort((a, b) => b[0].length - a[0].length);
+    // Sort terms by length (longest first) to avoid partial matches
+    // e.g., "Application Programming Interface" should match before "API"
+    sortedTerms = Array.from(termMap.entries()).sort((a, b) => b[0].length - a[0].length);
 
-  // If no terms, return a no-op transformer
-  if (sortedTerms.length === 0) {
-    return tree => tree;
+    checkUndefinedAcronyms = undefinedAcronyms
+      ? createUndefinedAcronymCheck(
+          glossaryTerms,
+          typeof undefinedAcronyms === 'object' ? undefinedAcronyms : {}
+        )
+      : null;
+
+    // Every term, including `autoLink: false` ones, can be linked by hand by name or alias.
+    // Key: lowercase phrase, Value: term object
+    manualTermMap = new Map();
+    glossaryTerms.forEach(termObj => {
+      if (!termObj.term) return;
+      [termObj.term, ...(Array.isArray(termObj.aliases) ? termObj.aliases : [])].forEach(phrase => {
+        if (typeof phrase === 'string' && !manualTermMap.has(phrase.toLowerCase())) {
+          manualTermMap.set(phrase.toLowerCase(), termObj);
+        }
+      });
+    });
+  }
+
+  // Load the glossary now, so its problems are reported when the plugin is set up
+  applyGlossaryTerms(resolveGlossaryTerms());
+
+  /**
+   * Creates the GlossaryTerm element of a term
+   *
+   * @param {object} termObj - Canonical term object
+   * @param {string} displayText - Text rendered inside the element
+   * @param {string} [type] - 'mdxJsxFlowElement' or 'mdxJsxTextElement'
+   */
+  function createGlossaryTermNode(termObj, displayText, type = 'mdxJsxFlowElement') {
+    return {
+      type,
+      name: 'GlossaryTerm',
+      attributes: [
+        {
+          type: 'mdxJsxAttribute',
+          name: 'term',
+          value: termObj.term,
+        },
+        {
+          type: 'mdxJsxAttribute',
+          name: 'definition',
+          value: termObj.definition || '',
+        },
+        {
+          type: 'mdxJsxAttribute',
+          name: 'routePath',
+          value: routePath,
+        },
+        ...(glossaryId ? [{ type: 'mdxJsxAttribute', name: 'glossaryId', value: glossaryId }] : []),
+      ],
+      children: [
+        {
+          type: 'text',
+          value: displayText,
+        },
+      ],
+    };
   }
 
   /**
@@ -210,19 +622,33 @@ export default function remarkGlossaryTerms({
    * @param {string} text - Source text to scan
    * @param {Set<string>} seenTerms - Per-file set tracking which canonical terms have already been
    *   rendered (used by expandAcronymsOnFirstUse to expand only on first occurrence).
+   * @param {Map<string, number>} termCounts - Per-file count of linked occurrences, by canonical term
+   * @param {Map<string, number>} linkCounts - Count of auto-linked occurrences in the current
+   *   page or section, by canonical term (used to enforce the link limit)
+   * @param {Set<string>} excludedTerms - Canonical terms the file's front matter excludes
    */
-  function replaceTermsInText(text, seenTerms) {
+  function replaceTermsInText(text, seenTerms, termCounts, linkCounts, excludedTerms) {
     if (!text || !sortedTerms.length) {
       return [{ type: 'text', value: text }];
     }
 
     const result = [];
     let lastIndex = 0;
-    const textLower = text.toLowerCase();
+    const textLower = toLowerCaseSameLength(text);
+
+    // Whether text[start, end) is a whole word, or whole words
+    const segmentEdges = segmenter ? getSegmentEdges(text) : null;
+    const isWholeWord = (start, end) =>
+      segmentEdges
+        ? segmentEdges.has(start) && segmentEdges.has(end)
+        : !WORD_CHAR_BEFORE_REGEX.test(text.slice(Math.max(0, start - 2), start)) &&
+          !WORD_CHAR_AFTER_REGEX.test(text.slice(end, end + 2));
 
     // Find all matches
     const matches = [];
-    for (const [lowerPhrase, { termObj, phrase, caseSensitive }] of sortedTerms) {
+    for (const [lowerPhrase, { termObj, phrase, caseSensitive, suffixes }] of sortedTerms) {
+      if (excludedTerms.has(termObj.term)) continue;
+
       // Case-sensitive terms search the original text for the exact casing;
       // case-insensitive terms search the lowercased text for the lowercased phrase.
       const haystack = caseSensitive ? text : textLower;
@@ -233,46 +659,22 @@ export default function remarkGlossaryTerms({
         const index = haystack.indexOf(needle, searchIndex);
         if (index === -1) break;
 
-        // Check if it's a whole word match, with simple plural tolerance ('s' or 'es').
-        // Word-boundary detection uses the lowercased text so letter-class checks
-        // behave consistently regardless of the term's case-sensitivity setting.
-        const beforeChar = index > 0 ? textLower[index - 1] : ' ';
-        const afterIndex = index + needle.length;
-        const afterChar = afterIndex < textLower.length ? textLower[afterIndex] : ' ';
-
-        let matchLength = needle.length;
-        let isWordBoundary = !/\w/.test(beforeChar) && !/\w/.test(afterChar);
-
-        // Allow trailing 's' plural (e.g., webhook -> webhooks)
-        if (!isWordBoundary && afterChar === 's') {
-          const nextChar = afterIndex + 1 < textLower.length ? textLower[afterIndex + 1] : ' ';
-          if (!/\w/.test(nextChar)) {
-            isWordBoundary = true;
-            matchLength = needle.length + 1;
-          }
-        }
-
-        // Allow trailing 'es' plural (e.g., API -> APIs, box -> boxes)
-        if (
-          !isWordBoundary &&
-          afterChar === 'e' &&
-          afterIndex + 1 < textLower.length &&
-          textLower[afterIndex + 1] === 's'
-        ) {
-          const nextChar = afterIndex + 2 < textLower.length ? textLower[afterIndex + 2] : ' ';
-          if (!/\w/.test(nextChar)) {
-            isWordBoundary = true;
-            matchLength = needle.length + 2;
-          }
-        }
-
-        if (isWordBoundary) {
+        // Check for a whole word match of the longest form ending here, or the phrase itself
+        const phraseEnd = index + needle.length;
+        const ending = suffixes.find(({ suffix, lowerSuffix }) => {
+          const value = caseSensitive ? suffix : lowerSuffix;
+          return (
+            haystack.startsWith(value, phraseEnd) && isWholeWord(index, phraseEnd + value.length)
+          );
+        });
+        const afterIndex = phraseEnd + (ending ? ending.suffix.length : 0);
+        if (ending || isWholeWord(index, afterIndex)) {
           matches.push({
             index,
-            length: matchLength,
+            length: afterIndex - index,
             termObj: termObj,
             // Store original case from the text (what the reader actually wrote)
-            originalText: text.substring(index, index + matchLength),
+            originalText: text.substring(index, afterIndex),
           });
         }
 
@@ -280,8 +682,8 @@ export default function remarkGlossaryTerms({
       }
     }
 
-    // Sort matches by index
-    matches.sort((a, b) => a.index - b.index);
+    // Sort matches by index, longest first where they start at the same place
+    matches.sort((a, b) => a.index - b.index || b.length - a.length);
 
     // Remove overlapping matches (keep the first one)
     const nonOverlappingMatches = [];
@@ -295,6 +697,13 @@ export default function remarkGlossaryTerms({
 
     // Build result array
     for (const match of nonOverlappingMatches) {
+      // Occurrences past the link limit stay in the surrounding text
+      const linkCount = linkCounts.get(match.termObj.term) || 0;
+      if (linkLimit && linkCount >= linkLimit) {
+        continue;
+      }
+      linkCounts.set(match.termObj.term, linkCount + 1);
+
       // Add text before match
       if (match.index > lastIndex) {
         result.push({
@@ -308,35 +717,10 @@ export default function remarkGlossaryTerms({
       // has encountered any occurrence (canonical or otherwise), the introduction
       // window has closed.
       seenTerms.add(match.termObj.term);
+      termCounts.set(match.termObj.term, (termCounts.get(match.termObj.term) || 0) + 1);
 
       // Add MDX component for glossary term
-      result.push({
-        type: 'mdxJsxFlowElement',
-        name: 'GlossaryTerm',
-        attributes: [
-          {
-            type: 'mdxJsxAttribute',
-            name: 'term',
-            value: match.termObj.term,
-          },
-          {
-            type: 'mdxJsxAttribute',
-            name: 'definition',
-            value: match.termObj.definition || '',
-          },
-          {
-            type: 'mdxJsxAttribute',
-            name: 'routePath',
-            value: routePath,
-          },
-        ],
-        children: [
-          {
-            type: 'text',
-            value: displayText,
-          },
-        ],
-      });
+      result.push(createGlossaryTermNode(match.termObj, displayText));
 
       lastIndex = match.index + match.length;
     }
@@ -352,6 +736,15 @@ export default function remarkGlossaryTerms({
     return result.length > 0 ? result : [{ type: 'text', value: text }];
   }
 
+  // Offsets where the words found by the segmenter start and end
+  function getSegmentEdges(text) {
+    const edges = new Set([text.length]);
+    for (const { index } of segmenter.segment(text)) {
+      edges.add(index);
+    }
+    return edges;
+  }
+
   // Decide what text to render inside the GlossaryTerm element.
   // Default: the text as written. When expandAcronymsOnFirstUse is enabled and this is the
   // first canonical occurrence of a term that has an `abbreviation`, expand to
@@ -380,6 +773,120 @@ export default function remarkGlossaryTerms({
     return `${longForm} (${match.originalText})`;
   }
 
+  /**
+   * Path of a file as shown in log messages
+   *
+   * @param {{ path?: string }} [file]
+   */
+  function getDisplayPath(file) {
+    if (!file?.path) return 'markdown content';
+    return siteDir ? path.relative(siteDir, file.path) : file.path;
+  }
+
+  /**
+   * Auto-linking settings of a file, from its path and the `glossary` field of its front
+   * matter: `false` opts the file out, `{ exclude: [...] }` names terms not to link in it
+   *
+   * @param {{ path?: string, data?: { frontMatter?: object } }} [file]
+   * @returns {{ autoLink: boolean, excludedTerms: Set<string> }}
+   */
+  function getFileSettings(file) {
+    const settings = file?.data?.frontMatter?.glossary;
+    const excludedTerms = new Set();
+    if (settings === false || (file?.path && !isAutoLinkedPath(file.path))) {
+      return { autoLink: false, excludedTerms };
+    }
+
+    const exclude = settings?.exclude;
+    (Array.isArray(exclude) ? exclude : []).forEach(name => {
+      const termObj = manualTermMap.get(String(name).toLowerCase());
+      if (termObj) {
+        excludedTerms.add(termObj.term);
+      } else if (warnUnknownTerms) {
+        console.warn(
+          `[glossary-plugin] Unknown glossary term "${name}" in the front matter of ${getDisplayPath(file)}`
+        );
+      }
+    });
+    return { autoLink: true, excludedTerms };
+  }
+
+  // Replace manual links (`[[API]]`, `[[API|text]]` and `:term[API]`) with GlossaryTerm
+  // elements, warning about the ones naming no glossary term. Unknown wiki links are left
+  // as written; unknown directives are replaced with their text. The added elements are
+  // recorded in `manualLinks` with their term, so auto-linking sees them in document order.
+  // Returns whether any GlossaryTerm element was added.
+  function replaceManualLinks(tree, file, manualLinks, termCounts) {
+    let replaced = false;
+    const link = (termObj, displayText) => {
+      replaced = true;
+      termCounts.set(termObj.term, (termCounts.get(termObj.term) || 0) + 1);
+      const node = createGlossaryTermNode(termObj, displayText, 'mdxJsxTextElement');
+      manualLinks.set(node, termObj.term);
+      return node;
+    };
+    const warnUnknown = (name, position = {}) => {
+      if (!warnUnknownTerms) return;
+      const location = position.line ? `:${position.line}:${position.column}` : '';
+      console.warn(
+        `[glossary-plugin] Unknown glossary term "${name}" in ${getDisplayPath(file)}${location}`
+      );
+    };
+
+    visit(tree, 'textDirective', (node, index, parent) => {
+      if (node.name !== TERM_DIRECTIVE_NAME || !parent) return;
+      const text = node.children
+        .map(child => (child.type === 'text' || child.type === 'inlineCode' ? child.value : ''))
+        .join('');
+      const name = (node.attributes?.term || text).trim();
+      const termObj = manualTermMap.get(name.toLowerCase());
+      if (!termObj) {
+        warnUnknown(name, node.position?.start);
+      }
+      parent.children.splice(
+        index,
+        1,
+        ...(termObj ? [link(termObj, text || termObj.term)] : node.children)
+      );
+      return index;
+    });
+
+    // Text left around replaced links, which holds no known link
+    const remainders = new WeakSet();
+    visit(tree, 'text', (node, index, parent) => {
+      if (!parent || parent.type === 'link' || parent.type.startsWith('mdxJsx')) return;
+      if (remainders.has(node) || !node.value.includes('[[')) return;
+
+      const nodes = [];
+      let lastIndex = 0;
+      for (const match of node.value.matchAll(WIKI_LINK_REGEX)) {
+        const name = match[1].trim();
+        const termObj = manualTermMap.get(name.toLowerCase());
+        if (!termObj) {
+          warnUnknown(name, getTextPosition(node, match.index));
+          continue;
+        }
+        if (match.index > lastIndex) {
+          const remainder = { type: 'text', value: node.value.slice(lastIndex, match.index) };
+          remainders.add(remainder);
+          nodes.push(remainder);
+        }
+        nodes.push(link(termObj, (match[2] ?? match[1]).trim()));
+        lastIndex = match.index + match[0].length;
+      }
+      if (nodes.length === 0) return;
+      if (lastIndex < node.value.length) {
+        const remainder = { type: 'text', value: node.value.slice(lastIndex) };
+        remainders.add(remainder);
+        nodes.push(remainder);
+      }
+      parent.children.splice(index, 1, ...nodes);
+      return index + nodes.length;
+    });
+
+    return replaced;
+  }
+
   // Collect text nodes that live inside a heading (h1-h6) so we can skip them.
   // Headings are excluded from auto-linking because glossary anchors inside
   // headings clash with the heading's own link/anchor behavior and are noisy.
@@ -393,61 +900,150 @@ export default function remarkGlossaryTerms({
     return skip;
   }
 
+  // Collect text nodes that auto-linking must leave alone: the ones between
+  // `glossary-ignore-start` and `glossary-ignore-end` comments, block or inline, and the
+  // ones in the node following a `glossary-ignore-next-line` comment. A region left open
+  // runs to the end of the file.
+  function collectIgnoredTextNodes(tree) {
+    const skip = new WeakSet();
+    let ignoring = false;
+    visit(tree, ['text', ...COMMENT_NODE_TYPES], (node, index, parent) => {
+      if (node.type === 'text') {
+        if (ignoring) skip.add(node);
+        return;
+      }
+
+      const marker = node.value?.trim().match(IGNORE_COMMENT_REGEX)?.[1];
+      if (marker === 'start') {
+        ignoring = true;
+      } else if (marker === 'end') {
+        ignoring = false;
+      } else if (marker === 'next-line' && parent?.children[index + 1]) {
+        visit(parent.children[index + 1], 'text', textNode => {
+          skip.add(textNode);
+        });
+      }
+    });
+    return skip;
+  }
+
   // Return the transformer function
-  const transformer = tree => {
-    let usedGlossaryTerm = false;
-    const textNodesInHeadings = collectHeadingTextNodes(tree);
+  const transformer = (tree, file) => {
+    // Pick up glossary edits made since the previous file
+    const fileTerms = resolveGlossaryTerms();
+    applyGlossaryTerms(fileTerms);
+    if (file?.path && loadsGlossaryFile) {
+      if (!compiledPages.has(file.path)) {
+        compiledPages.set(file.path, new Map());
+      }
+      compiledPages
+        .get(file.path)
+        .set(glossarySourceKey, () => resolveGlossaryTerms() !== fileTerms);
+    }
+    if (manualTermMap.size === 0 && !checkUndefinedAcronyms) {
+      return;
+    }
+
+    // Files opted out of auto-linking still get their manual links
+    const { autoLink, excludedTerms } = getFileSettings(file);
+
+    // Check the source as written, before terms are replaced
+    if (checkUndefinedAcronyms && autoLink) {
+      checkUndefinedAcronyms(tree, getDisplayPath(file));
+    }
+
     // Per-file tracking: each transformer invocation gets a fresh Set so acronym
     // expansion fires at most once per term per file.
     const seenTerms = new Set();
-    visit(tree, 'text', (node, index, parent) => {
-      // Skip text nodes inside code blocks, links, or existing MDX components
-      if (
-        parent.type === 'code' ||
-        parent.type === 'inlineCode' ||
-        parent.type === 'link' ||
-        parent.type === 'mdxJsxFlowElement' ||
-        parent.type === 'mdxJsxTextElement'
-      ) {
-        return;
-      }
+    const termCounts = new Map();
+    // Auto-links so far in the current page or section; manual links are not limited
+    const linkCounts = new Map();
+    const manualLinks = new WeakMap();
+    let usedGlossaryTerm = replaceManualLinks(tree, file, manualLinks, termCounts);
+    if (autoLink) {
+      const textNodesInHeadings = collectHeadingTextNodes(tree);
+      const ignoredTextNodes = collectIgnoredTextNodes(tree);
+      visit(tree, ['heading', 'mdxJsxTextElement', 'text'], (node, index, parent) => {
+        // Each heading starts a new section for the link limit
+        if (node.type === 'heading') {
+          if (linkLimitScope === 'section') {
+            linkCounts.clear();
+          }
+          return;
+        }
 
-      // Skip text nodes that are descendants of a heading (h1-h6)
-      if (textNodesInHeadings.has(node)) {
-        return;
-      }
+        // A manual link is the first use of its term when it comes before any auto-link
+        if (node.type === 'mdxJsxTextElement') {
+          if (manualLinks.has(node)) {
+            seenTerms.add(manualLinks.get(node));
+          }
+          return;
+        }
+
+        // Skip text nodes inside code blocks, links, or existing MDX components
+        if (
+          parent.type === 'code' ||
+          parent.type === 'inlineCode' ||
+          parent.type === 'link' ||
+          parent.type === 'mdxJsxFlowElement' ||
+          parent.type === 'mdxJsxTextElement'
+        ) {
+          return;
+        }
+
+        // Skip text nodes that are descendants of a heading (h1-h6)
+        if (textNodesInHeadings.has(node)) {
+          return;
+        }
+
+        // Skip text nodes in ignore regions
+        if (ignoredTextNodes.has(node)) {
+          return;
+        }
+
+        // Replace terms in text node
+        const replacements = replaceTermsInText(
+          node.value,
+          seenTerms,
+          termCounts,
+          linkCounts,
+          excludedTerms
+        );
 
-      // Replace terms in text node
-      const replacements = replaceTermsInText(node.value, seenTerms);
-
-      // If we have replacements, replace the single text node with multiple nodes
-      if (
-        replacements.length > 1 ||
-        (replacements.length === 1 && replacements[0].type !== 'text')
-      ) {
-        // Convert to text elements for paragraph context if needed
-        const newNodes = replacements.map(replacement => {
-          if (replacement.type === 'mdxJsxFlowElement') {
-            // In paragraph context, we need mdxJsxTextElement instead
-            if (parent.type === 'paragraph') {
+        // If we have replacements, replace the single text node with multiple nodes
+        if (
+          replacements.length > 1 ||
+          (replacements.length === 1 && replacements[0].type !== 'text')
+        ) {
+          // Convert to text elements for paragraph context if needed
+          const newNodes = replacements.map(replacement => {
+            if (replacement.type === 'mdxJsxFlowElement') {
+              // In paragraph context, we need mdxJsxTextElement instead
+              if (parent.type === 'paragraph') {
+                usedGlossaryTerm = true;
+                return {
+                  type: 'mdxJsxTextElement',
+                  name: replacement.name,
+                  attributes: replacement.attributes,
+                  children: replacement.children,
+                };
+              }
               usedGlossaryTerm = true;
-              return {
-                type: 'mdxJsxTextElement',
-                name: replacement.name,
-                attributes: replacement.attributes,
-                children: replacement.children,
-              };
             }
-            usedGlossaryTerm = true;
-          }
-          return replacement;
-        });
+            return replacement;
+          });
 
-        // Replace the single node with multiple nodes
-        parent.children.splice(index, 1, ...newNodes);
-        return index + newNodes.length - 1; // Return new index to continue
-      }
-    });
+          // Replace the single node with multiple nodes
+          parent.children.splice(index, 1, ...newNodes);
+          return index + newNodes.length - 1; // Return new index to continue
+        }
+      });
+    }
+
+    // Expose how often each term was linked in this file (used to index term usage)
+    if (file && file.data) {
+      file.data.glossaryTermUsage = Object.fromEntries(termCounts);
+    }
 
     // Inject MDX import for GlossaryTerm if we used it
     // The component is available via theme path, so we just need to import it
@@ -508,6 +1104,30 @@ export default function remarkGlossaryTerms({
   return transformer;
 }
 
+remarkGlossaryTerms[REMARK_PLUGIN_MARKER] = true;
+
+/**
+ * Whether a remark plugin is this one, from any bundle of the package
+ *
+ * @param {unknown} plugin - An entry of a `remarkPlugins` option, without its options
+ * @returns {boolean}
+ */
+export function isGlossaryRemarkPlugin(plugin) {
+  return typeof plugin === 'function' && plugin[REMARK_PLUGIN_MARKER] === true;
+}
+
+/**
+ * Whether a page was compiled by the remark plugin with a glossary that has changed since,
+ * e.g. so the bundler rebuilds it after a glossary edit
+ *
+ * @param {string} filePath - Absolute path of the page
+ * @returns {boolean}
+ */
+export function isCompiledWithStaleGlossary(filePath) {
+  const checks = compiledPages.get(filePath);
+  return checks ? [...checks.values()].some(isStale => isStale()) : false;
+}
+
 /**
  * Clears the glossary cache
  * Useful for testing or when you want to force a reload of glossary data
@@ -517,7 +1137,9 @@ export default function remarkGlossaryTerms({
 export function clearGlossaryCache(filePath) {
   if (filePath) {
     glossaryCache.delete(filePath);
+    translationCache.delete(filePath);
   } else {
     glossaryCache.clear();
+    translationCache.clear();
   }
 }
@@ -0,0 +1,123 @@
+/**
+ * Inflection of glossary phrases: the variants of a term or alias, such as its plural
+ * and possessive forms, that auto-link to it too. An inflector takes a phrase and returns
+ * its other forms.
+ */
+
+/** Plurals that no suffix rule produces, by singular (lowercase) */
+const IRREGULAR_PLURALS = {
+  appendix: ['appendices', 'appendixes'],
+  axis: ['axes'],
+  child: ['children'],
+  criterion: ['criteria'],
+  datum: ['data'],
+  foot: ['feet'],
+  half: ['halves'],
+  index: ['indices', 'indexes'],
+  knife: ['knives'],
+  leaf: ['leaves'],
+  life: ['lives'],
+  man: ['men'],
+  matrix: ['matrices', 'matrixes'],
+  medium: ['media', 'mediums'],
+  mouse: ['mice'],
+  person: ['people'],
+  phenomenon: ['phenomena'],
+  schema: ['schemas', 'schemata'],
+  tooth: ['teeth'],
+  vertex: ['vertices', 'vertexes'],
+  woman: ['women'],
+};
+
+/**
+ * English plurals of a word, keeping the case of its first letter
+ *
+ * @param {string} word
+ * @returns {string[]}
+ */
+function pluralize(word) {
+  // Acronyms only take an `s`: APIs, URLs
+  if (word.length > 1 && word === word.toUpperCase() && /[A-Z]/.test(word)) {
+    return [`${word}s`];
+  }
+
+  const lower = word.toLowerCase();
+  if (IRREGULAR_PLURALS[lower]) {
+    return IRREGULAR_PLURALS[lower].map(plural => word[0] + plural.slice(1));
+  }
+  if (lower.endsWith('sis')) {
+    return [`${word.slice(0, -2)}es`];
+  }
+  if (/[^aeiou]y$/.test(lower)) {
+    return [`${word.slice(0, -1)}ies`];
+  }
+  if (/(?:s|x|z|ch|sh)$/.test(lower)) {
+    return [`${word}es`];
+  }
+  return [`${word}s`];
+}
+
+/**
+ * Possessive forms of a word: `'s`, or a bare apostrophe after a plural `s`, with both
+ * straight and curly apostrophes
+ *
+ * @param {string} word
+ * @param {boolean} plural - Whether the word is a plural
+ * @returns {string[]}
+ */
+function possessives(word, plural) {
+  const endsWithS = /s$/i.test(word);
+  return ["'", '’'].flatMap(apostrophe => {
+    if (plural && endsWithS) return [`${word}${apostrophe}`];
+    return endsWithS
+      ? [`${word}${apostrophe}s`, `${word}${apostrophe}`]
+      : [`${word}${apostrophe}s`];
+  });
+}
+
+/**
+ * Built-in English inflector: the plurals of a phrase's last word (`-s`, `-es`, `-ies`,
+ * `-sis` → `-ses` and irregular plurals such as "indices") and the possessives of the
+ * phrase and its plurals ("API's", "proxies'")
+ *
+ * @param {string} phrase - A term or alias
+ * @returns {string[]} The other forms of the phrase
+ */
+export function englishInflector(phrase) {
+  const lastWordStart = phrase.search(/\S+$/);
+  if (lastWordStart === -1) {
+    return [];
+  }
+  const head = phrase.slice(0, lastWordStart);
+  const plurals = pluralize(phrase.slice(lastWordStart)).map(plural => head + plural);
+
+  return [
+    ...new Set([
+      ...plurals,
+      ...possessives(phrase, false),
+      ...plurals.flatMap(plural => possessives(plural, true)),
+    ]),
+  ].filter(form => form !== phrase);
+}
+
+/**
+ * Resolves the `inflector` option of the remark plugin
+ *
+ * @param {'english' | false | ((phrase: string) => string[])} inflector
+ * @returns {(phrase: string) => string[]}
+ * @throws Error if the option is neither 'english', false nor a function
+ */
+export function resolveInflector(inflector) {
+  if (typeof inflector === 'function') {
+    return phrase => (inflector(phrase) || []).filter(form => typeof form === 'string');
+  }
+  if (inflector === 'english') {
+    return englishInflector;
+  }
+  if (inflector === false) {
+    return () => [];
+  }
+  throw new Error(
+    `Option "inflector" must be 'english', false or a function, got ${JSON.stringify(inflector)}`
+  );
+}
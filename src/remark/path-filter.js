@@ -0,0 +1,74 @@
+import path from 'path';
+
+/**
+ * Converts a glob to a regular expression matching a whole `/`-separated path: `**`
+ * matches any number of directories, `*` and `?` any characters but `/`, and `{a,b}`
+ * either alternative
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  let openBraces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      const directories = glob[i + 2] === '/';
+      source += directories ? '(?:.*/)?' : '.*';
+      i += directories ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      openBraces++;
+      source += '(?:';
+    } else if (char === '}' && openBraces > 0) {
+      openBraces--;
+      source += ')';
+    } else if (char === ',' && openBraces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\}]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Creates the filter telling from its path whether a file is auto-linked. A glob matches
+ * a file or any of its directories, so `docs/api` covers everything under `docs/api/`.
+ *
+ * @param {object} options
+ * @param {string[]} [options.includePaths] - Globs of the files to auto-link (default: all)
+ * @param {string[]} [options.excludePaths] - Globs of the files not to auto-link, even if
+ *   included
+ * @param {string | null} [options.siteDir] - Directory the globs are relative to
+ * @returns {(filePath: string) => boolean}
+ */
+export function createPathFilter({ includePaths = [], excludePaths = [], siteDir = null }) {
+  const toRegExps = globs =>
+    globs.map(glob => globToRegExp(glob.replace(/^\.\//, '').replace(/\/+$/, '')));
+  const included = toRegExps(includePaths);
+  const excluded = toRegExps(excludePaths);
+
+  const matchesAny = (regExps, relativePath) => {
+    const segments = relativePath.split('/');
+    return segments.some((_, index) => {
+      const candidate = segments.slice(0, index + 1).join('/');
+      return regExps.some(regExp => regExp.test(candidate));
+    });
+  };
+
+  return filePath => {
+    const relativePath = (siteDir ? path.relative(siteDir, filePath) : filePath)
+      .split(path.sep)
+      .join('/');
+    return (
+      (included.length === 0 || matchesAny(included, relativePath)) &&
+      !matchesAny(excluded, relativePath)
+    );
+  };
+}
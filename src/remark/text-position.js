@@ -0,0 +1,17 @@
+/**
+ * Position of a character of a text node, from the node's start position
+ *
+ * @param {object} node - mdast text node
+ * @param {number} offset - Index of the character in the node's value
+ * @returns {{ line?: number, column?: number }} Empty when the node has no position
+ */
+export function getTextPosition(node, offset) {
+  const start = node.position?.start;
+  if (!start) {
+    return {};
+  }
+  const before = node.value.slice(0, offset).split('\n');
+  return before.length === 1
+    ? { line: start.line, column: start.column + offset }
+    : { line: start.line + before.length - 1, column: before[before.length - 1].length + 1 };
+}
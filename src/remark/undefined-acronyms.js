@@ -0,0 +1,110 @@
+import { visit } from 'unist-util-visit';
+import { getTextPosition } from './text-position.js';
+
+/**
+ * Default pattern of acronym-like tokens: two or more capitals and digits, starting
+ * with a capital (`SLO`, `KMS`, `HTTP2`), optionally pluralized (`SLOs`), and not part of
+ * a longer word of any script (`ÜBER`, `CAFÉ`)
+ */
+export const DEFAULT_ACRONYM_PATTERN =
+  /(?<![\p{L}\p{M}\p{N}\p{Pc}])[A-Z][A-Z0-9]*[A-Z][A-Z0-9]*s?(?![\p{L}\p{M}\p{N}\p{Pc}])/u;
+
+/**
+ * Error thrown when a file uses acronyms missing from the glossary and
+ * `onUndefinedAcronym` is 'throw'
+ */
+export class UndefinedAcronymError extends Error {
+  /**
+   * @param {string} source - Path of the file, as shown in the message
+   * @param {Array<{ acronym: string, line?: number, column?: number }>} acronyms
+   */
+  constructor(source, acronyms) {
+    super(formatUndefinedAcronyms(source, acronyms));
+    this.name = 'UndefinedAcronymError';
+    this.source = source;
+    this.acronyms = acronyms;
+  }
+}
+
+/**
+ * Formats the acronyms of a file missing from the glossary, one per line
+ *
+ * @param {string} source - Path of the file, as shown in the message
+ * @param {Array<{ acronym: string, line?: number, column?: number }>} acronyms
+ * @returns {string}
+ */
+function formatUndefinedAcronyms(source, acronyms) {
+  const lines = acronyms.map(({ acronym, line, column }) =>
+    line ? `  - ${line}:${column} ${acronym}` : `  - ${acronym}`
+  );
+  return [`[glossary-plugin] Acronyms not defined in the glossary in ${source}:`, ...lines].join(
+    '\n'
+  );
+}
+
+/**
+ * Creates the check flagging acronym-like tokens that are neither a term, an alias nor
+ * an abbreviation of the glossary
+ *
+ * @param {Array<object>} glossaryTerms - Glossary terms, including `autoLink: false` ones
+ * @param {object} [options]
+ * @param {RegExp | string} [options.pattern] - Pattern of acronym-like tokens
+ *   (default: {@link DEFAULT_ACRONYM_PATTERN})
+ * @param {string[]} [options.allowlist] - Acronyms that don't need a glossary entry
+ * @param {'warn' | 'throw'} [options.onUndefinedAcronym] - Log the acronyms of each file
+ *   (default), or throw an UndefinedAcronymError failing the build
+ * @returns {(tree: object, displayPath: string) => Array<{ acronym: string, line?: number, column?: number }>}
+ *   Checks the tree of a file, returning its undefined acronyms with the position of
+ *   their first use
+ */
+export function createUndefinedAcronymCheck(
+  glossaryTerms,
+  { pattern = DEFAULT_ACRONYM_PATTERN, allowlist = [], onUndefinedAcronym = 'warn' } = {}
+) {
+  const known = new Set();
+  glossaryTerms.forEach(termObj => {
+    [termObj.term, termObj.abbreviation, ...(termObj.aliases || [])]
+      .filter(phrase => typeof phrase === 'string')
+      .forEach(phrase => known.add(phrase.toLowerCase()));
+  });
+  const allowed = new Set(allowlist);
+
+  const isDefined = acronym => {
+    const singular = acronym.endsWith('s') ? acronym.slice(0, -1) : null;
+    return [acronym, singular]
+      .filter(Boolean)
+      .some(candidate => allowed.has(candidate) || known.has(candidate.toLowerCase()));
+  };
+
+  const source = typeof pattern === 'string' ? pattern : pattern.source;
+  const flags = typeof pattern === 'string' ? 'g' : pattern.flags.replace('g', '') + 'g';
+
+  return (tree, displayPath) => {
+    const found = new Map();
+    const regex = new RegExp(source, flags);
+
+    visit(tree, 'text', node => {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(node.value)) !== null) {
+        if (match[0] === '') {
+          regex.lastIndex++;
+          continue;
+        }
+        const acronym = match[0];
+        if (!found.has(acronym) && !isDefined(acronym)) {
+          found.set(acronym, { acronym, ...getTextPosition(node, match.index) });
+        }
+      }
+    });
+
+    const acronyms = [...found.values()];
+    if (acronyms.length > 0) {
+      if (onUndefinedAcronym === 'throw') {
+        throw new UndefinedAcronymError(displayPath, acronyms);
+      }
+      console.warn(formatUndefinedAcronyms(displayPath, acronyms));
+    }
+    return acronyms;
+  };
+}
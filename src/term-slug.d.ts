@@ -0,0 +1,7 @@
+import type { GlossaryTerm } from './types.js';
+
+export function slugify(name: string): string;
+
+export function getTermSlug(term: Pick<GlossaryTerm, 'term' | 'id'>): string;
+
+export function getTermPageSlug(term: Pick<GlossaryTerm, 'term' | 'id'>): string;
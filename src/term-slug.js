@@ -0,0 +1,37 @@
+/**
+ * Slugs of glossary terms: the anchor of a term on the glossary page, the path of its
+ * term page and its id in translation keys. The plugin, the remark plugin and the theme
+ * components all use these, so links agree with the anchors and routes they point to.
+ */
+
+/**
+ * Slug of a term name or reference
+ *
+ * @param {string} name
+ * @returns {string} The name lowercased, with whitespace replaced by dashes
+ */
+export function slugify(name) {
+  return name.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Slug of a term
+ *
+ * @param {{ term: string, id?: string }} term
+ * @returns {string} The term's `id`, or the slug of its name
+ */
+export function getTermSlug(term) {
+  return term.id || slugify(term.term);
+}
+
+/**
+ * Path segment of a term's page: its slug, with the characters that are not allowed or
+ * reserved in a URL path percent-encoded, so "TCP/IP" gives `tcp%2Fip` and "C#" gives
+ * `c%23`. Letters of every script are kept as they are.
+ *
+ * @param {{ term: string, id?: string }} term
+ * @returns {string}
+ */
+export function getTermPageSlug(term) {
+  return getTermSlug(term).replace(/[^\p{L}\p{M}\p{N}\-._~]/gu, encodeURIComponent);
+}
@@ -0,0 +1,75 @@
+import type { MarkdownConfig } from '@docusaurus/types';
+import type { GlossaryTerm, RemarkGlossaryTermsOptions, TermUsage } from './types.js';
+
+/** A markdown page loaded by a content plugin. */
+export interface ContentPage {
+  /** Source path, relative to the site directory. */
+  source: string;
+  filePath: string;
+  permalink: string;
+  title?: string;
+  frontMatter?: Record<string, unknown>;
+  /** Options of the remark plugin compiling the page. */
+  remarkOptions?: RemarkGlossaryTermsOptions;
+}
+
+/** A content page scanned for glossary terms. */
+export interface ScannedPage extends Omit<ContentPage, 'remarkOptions'> {
+  /** Occurrences linked by the remark plugin, by term name. */
+  linkedTerms: Record<string, number>;
+  /** `<GlossaryTerm>` elements written by hand, by term name. */
+  manualTerms: Record<string, number>;
+  wordCount: number;
+}
+
+export type MarkdownParser = (
+  content: string,
+  filePath: string,
+  frontMatter?: Record<string, unknown>
+) => unknown;
+
+/** A content plugin instance and its options. */
+export interface ConfiguredContentPlugin {
+  /** Plugin name, e.g. `docusaurus-plugin-content-docs`. */
+  name: string;
+  id: string;
+  options: Record<string, unknown>;
+}
+
+/** A content plugin instance configured with the glossary's remark plugin. */
+export interface RemarkConfiguration {
+  name: string;
+  id: string;
+  remarkOptions: RemarkGlossaryTermsOptions;
+}
+
+export function getConfiguredContentPlugins(siteConfig: {
+  plugins?: unknown[];
+  presets?: unknown[];
+}): ConfiguredContentPlugin[];
+
+export function getRemarkConfigurations(
+  contentPlugins: ConfiguredContentPlugin[],
+  glossaryId?: string
+): RemarkConfiguration[];
+
+export function collectContentPages(
+  allContent: Record<string, Record<string, unknown>>,
+  siteDir: string,
+  remarkConfigurations: RemarkConfiguration[]
+): ContentPage[];
+
+export function loadMarkdownParser(
+  markdownConfig?: Partial<MarkdownConfig>
+): Promise<MarkdownParser>;
+
+export interface ScanOptions {
+  /** Pages to scan; those without `remarkOptions` are scanned with the defaults. */
+  pages: ContentPage[];
+  terms: GlossaryTerm[];
+  parse: MarkdownParser;
+}
+
+export function scanContentPages(options: ScanOptions): Promise<ScannedPage[]>;
+
+export function getTermUsage(scans: ScannedPage[]): Record<string, TermUsage[]>;
@@ -0,0 +1,352 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { visit } from 'unist-util-visit';
+import remarkGlossaryTerms, { isGlossaryRemarkPlugin } from './remark/glossary-terms.js';
+import { FRONTMATTER_REGEX } from './glossary-loader.js';
+
+/**
+ * "Used in" index: which pages of the site link each glossary term.
+ *
+ * MDX is only compiled while the site is bundled, after every plugin has loaded its
+ * content, so the matches made by the remark plugin during that compilation come too
+ * late for the glossary page. Instead, once all content is loaded (`allContentLoaded`),
+ * the plugin parses the source of each page whose content plugin is configured with the
+ * glossary's remark plugin, and runs the remark transformer over it with the options it
+ * is configured with there, which reports its matches in `file.data`.
+ */
+
+/** Extensions of the content sources that are scanned for terms. */
+const CONTENT_EXTENSIONS = ['.md', '.mdx'];
+
+/** The content plugin a `plugins` entry names, e.g. `@docusaurus/plugin-content-docs`. */
+const CONTENT_PLUGIN_MODULE_REGEX = /(?:^|[\\/]|plugin-)content-(docs|blog|pages)(?:[\\/]|$)/;
+
+/** Content plugins configured through the options of presets, such as the classic preset. */
+const PRESET_CONTENT_PLUGINS = ['docs', 'blog', 'pages'];
+
+/**
+ * Finds the content plugin instances of a site config: the docs, blog and pages plugins in
+ * `plugins`, by module name, and those configured through the `docs`, `blog` and `pages`
+ * options of presets
+ *
+ * @param {{ plugins?: unknown[], presets?: unknown[] }} siteConfig - Site config, or the
+ *   plugins of a preset
+ * @returns {Array<{ name: string, id: string, options: object }>} Instances, by plugin name
+ *   (`docusaurus-plugin-content-docs`, ...) and id
+ */
+export function getConfiguredContentPlugins(siteConfig) {
+  const contentPlugins = [];
+  const add = (type, options) => {
+    if (options && typeof options === 'object') {
+      contentPlugins.push({
+        name: `docusaurus-plugin-content-${type}`,
+        id: options.id ?? 'default',
+        options,
+      });
+    }
+  };
+
+  (siteConfig.plugins || []).forEach(entry => {
+    const [pluginModule, options] = Array.isArray(entry) ? entry : [entry];
+    const type =
+      typeof pluginModule === 'string' && pluginModule.match(CONTENT_PLUGIN_MODULE_REGEX);
+    if (type) {
+      add(type[1], options);
+    }
+  });
+  (siteConfig.presets || []).forEach(entry => {
+    const options = Array.isArray(entry) ? entry[1] : undefined;
+    PRESET_CONTENT_PLUGINS.forEach(type => add(type, options?.[type]));
+  });
+
+  return contentPlugins;
+}
+
+/**
+ * Finds where the remark plugin of a glossary is configured: the content plugin instances
+ * listing it in their `remarkPlugins` or `beforeDefaultRemarkPlugins`, with the options
+ * it is given there
+ *
+ * @param {Array<{ name: string, id: string, options: object }>} contentPlugins - Content
+ *   plugin instances and their options, see {@link getConfiguredContentPlugins}
+ * @param {string} [glossaryId] - Id of the glossary plugin instance (default: 'default')
+ * @returns {Array<{ name: string, id: string, remarkOptions: object }>}
+ */
+export function getRemarkConfigurations(contentPlugins, glossaryId = 'default') {
+  return contentPlugins.flatMap(({ name, id, options }) => {
+    const entry = [...(options.beforeDefaultRemarkPlugins || []), ...(options.remarkPlugins || [])]
+      .map(plugin => (Array.isArray(plugin) ? plugin : [plugin]))
+      .find(
+        ([plugin, remarkOptions]) =>
+          isGlossaryRemarkPlugin(plugin) && (remarkOptions?.glossaryId || 'default') === glossaryId
+      );
+    return entry ? [{ name, id, remarkOptions: entry[1] || {} }] : [];
+  });
+}
+
+/**
+ * Finds the markdown pages of the content plugin instances configured with the glossary's
+ * remark plugin: every object of their content with a markdown `source` and a `permalink`
+ *
+ * @param {Record<string, Record<string, unknown>>} allContent - Content of every plugin
+ *   instance, by plugin name and id
+ * @param {string} siteDir - Site directory, which `@site/` sources are relative to
+ * @param {Array<{ name: string, id: string, remarkOptions: object }>} remarkConfigurations -
+ *   Where the remark plugin is configured, see {@link getRemarkConfigurations}
+ * @returns {Array<{ source: string, filePath: string, permalink: string, title?: string, frontMatter?: object, remarkOptions: object }>}
+ *   Pages, with the options of the remark plugin compiling them, sorted by permalink
+ */
+export function collectContentPages(allContent, siteDir, remarkConfigurations) {
+  const pages = new Map();
+
+  remarkConfigurations.forEach(({ name, id, remarkOptions }) => {
+    const visited = new WeakSet();
+    const visit = value => {
+      if (!value || typeof value !== 'object' || visited.has(value)) {
+        return;
+      }
+      visited.add(value);
+
+      if (
+        typeof value.source === 'string' &&
+        typeof value.permalink === 'string' &&
+        CONTENT_EXTENSIONS.includes(path.extname(value.source))
+      ) {
+        const source = value.source.replace(/^@site\//, '');
+        const filePath = path.resolve(siteDir, source);
+        const title = typeof value.title === 'string' ? value.title : value.frontMatter?.title;
+        pages.set(`${filePath}\0${value.permalink}`, {
+          source,
+          filePath,
+          permalink: value.permalink,
+          ...(typeof title === 'string' ? { title } : {}),
+          ...(value.frontMatter ? { frontMatter: value.frontMatter } : {}),
+          remarkOptions,
+        });
+        return;
+      }
+
+      Object.values(value).forEach(visit);
+    };
+
+    visit(allContent[name]?.[id]);
+  });
+
+  return [...pages.values()].sort((a, b) => a.permalink.localeCompare(b.permalink));
+}
+
+/**
+ * Format a page is compiled with, decided as Docusaurus does: the `mdx.format` front
+ * matter, then the site's `markdown.format`, `detect` picking it from the file extension
+ *
+ * @param {string} filePath - Source path of the page
+ * @param {object} frontMatter - Front matter of the page
+ * @param {string} [configFormat] - The site's `markdown.format` (default: 'mdx')
+ * @returns {'md' | 'mdx'}
+ */
+function getPageFormat(filePath, frontMatter, configFormat = 'mdx') {
+  const format = frontMatter.mdx?.format ?? configFormat;
+  if (format !== 'detect') {
+    return format;
+  }
+  return path.extname(filePath) === '.md' ? 'md' : 'mdx';
+}
+
+/**
+ * Unwraps the ```` ```mdx-code-block ```` fences of a source, whose content Docusaurus
+ * compiles as part of the page
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+function unwrapMdxCodeBlocks(content) {
+  return content.replace(
+    /(^|\r?\n) *(`{3,4}) *mdx-code-block\r?\n(.*?)\r?\n *\2(\r?\n|$)/gs,
+    '$1$3$4'
+  );
+}
+
+/**
+ * Escapes the `{#custom-id}` of headings, which MDX would read as an expression, like
+ * Docusaurus does with `markdown.mdx1Compat.headingIds`
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+function escapeHeadingIds(content) {
+  return content.replace(/^#{1,6}(?!#).*$/gm, heading => heading.replace(/(^|[^\\])\{#/, '$1\\{#'));
+}
+
+/**
+ * Loads an MDX parser set up like the site's build: the same format per page (`.md`
+ * files are MDX unless `markdown.format` says otherwise), the syntax extensions of
+ * Docusaurus (directives such as `:term[API]`, GFM and, with `mdx1Compat.comments`, HTML
+ * comments in MDX) and the same preprocessing of the source
+ *
+ * @param {object} [markdownConfig] - The site's `markdown` config
+ * @returns {Promise<(content: string, filePath: string, frontMatter?: object) => object>}
+ *   Parses a page's source (without its front matter) into an mdast tree
+ */
+export async function loadMarkdownParser(markdownConfig = {}) {
+  const [
+    { createProcessor },
+    { default: remarkDirective },
+    { default: remarkGfm },
+    { default: remarkComment },
+  ] = await Promise.all([
+    import('@mdx-js/mdx'),
+    import('remark-directive'),
+    import('remark-gfm'),
+    import('@slorber/remark-comment'),
+  ]);
+
+  const { preprocessor, format, mdx1Compat = {} } = markdownConfig;
+  const { comments = true, headingIds = true } = mdx1Compat;
+  const remarkPlugins = [remarkDirective, remarkGfm, ...(comments ? [remarkComment] : [])];
+  const processors = {
+    md: createProcessor({ format: 'md', remarkPlugins }),
+    mdx: createProcessor({ format: 'mdx', remarkPlugins }),
+  };
+
+  return (content, filePath, frontMatter = {}) => {
+    let fileContent = preprocessor ? preprocessor({ fileContent: content, filePath }) : content;
+    fileContent = unwrapMdxCodeBlocks(fileContent);
+    if (headingIds) {
+      fileContent = escapeHeadingIds(fileContent);
+    }
+    return processors[getPageFormat(filePath, frontMatter, format)].parse(fileContent);
+  };
+}
+
+/**
+ * Counts the `<GlossaryTerm term="...">` elements written by hand in a page, by
+ * canonical term name
+ *
+ * @param {object} tree - mdast tree of the page
+ * @param {Map<string, string>} termNames - Canonical term names, by lowercased name
+ * @returns {Record<string, number>}
+ */
+function countManualTerms(tree, termNames) {
+  const counts = {};
+  visit(
+    tree,
+    node =>
+      (node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') &&
+      node.name === 'GlossaryTerm',
+    node => {
+      const attribute = (node.attributes || []).find(
+        attr => attr.type === 'mdxJsxAttribute' && attr.name === 'term'
+      );
+      const term =
+        typeof attribute?.value === 'string' && termNames.get(attribute.value.toLowerCase());
+      if (term) {
+        counts[term] = (counts[term] || 0) + 1;
+      }
+    }
+  );
+  return counts;
+}
+
+/**
+ * Counts the words of a page's prose (code is not text, so it isn't counted)
+ *
+ * @param {object} tree - mdast tree of the page
+ * @returns {number}
+ */
+function countWords(tree) {
+  let words = 0;
+  visit(tree, 'text', node => {
+    words += node.value.split(/\s+/).filter(Boolean).length;
+  });
+  return words;
+}
+
+/**
+ * Scans pages for glossary terms: the occurrences the remark plugin links, the
+ * `<GlossaryTerm>` elements written by hand, and the number of words
+ *
+ * @param {object} options
+ * @param {Array<{ source: string, filePath: string, permalink: string, title?: string, remarkOptions?: object }>} options.pages
+ *   Pages to scan, with the options of the remark plugin compiling them (`siteDir`,
+ *   `excludePaths`, `maxLinksPerTerm`, ...), see {@link collectContentPages}
+ * @param {Array<object>} options.terms - Glossary terms
+ * @param {(content: string, filePath: string, frontMatter?: object) => object} options.parse
+ *   Markdown parser, see {@link loadMarkdownParser}
+ * @returns {Promise<Array<object>>} The scanned pages, each with `linkedTerms` and
+ *   `manualTerms` counts by term name and a `wordCount`. Pages that can't be read or
+ *   parsed are skipped.
+ */
+export async function scanContentPages({ pages, terms, parse }) {
+  // One transformer per remark plugin configuration. The build already reports the
+  // unknown terms and undefined acronyms of each page.
+  const transformers = new Map();
+  const getTransformer = remarkOptions => {
+    if (!transformers.has(remarkOptions)) {
+      transformers.set(
+        remarkOptions,
+        remarkGlossaryTerms({
+          ...remarkOptions,
+          terms,
+          undefinedAcronyms: false,
+          warnUnknownTerms: false,
+        })
+      );
+    }
+    return transformers.get(remarkOptions);
+  };
+  const termNames = new Map(terms.map(term => [term.term.toLowerCase(), term.term]));
+  const scans = [];
+
+  for (const { remarkOptions, ...page } of pages) {
+    let tree;
+    try {
+      const content = await fs.readFile(page.filePath, 'utf8');
+      tree = parse(content.replace(FRONTMATTER_REGEX, ''), page.filePath, page.frontMatter);
+    } catch {
+      continue;
+    }
+
+    // Count before transforming: the transformer adds GlossaryTerm elements of its own
+    const manualTerms = countManualTerms(tree, termNames);
+    const wordCount = countWords(tree);
+    const file = { path: page.filePath, data: { frontMatter: page.frontMatter || {} } };
+    getTransformer(remarkOptions)(tree, file);
+
+    scans.push({
+      ...page,
+      linkedTerms: file.data.glossaryTermUsage || {},
+      manualTerms,
+      wordCount,
+    });
+  }
+
+  return scans;
+}
+
+/**
+ * Groups scanned pages by the terms they link
+ *
+ * @param {Array<object>} scans - Pages scanned by {@link scanContentPages}
+ * @returns {Record<string, Array<{ source: string, permalink: string, title?: string, count: number }>>}
+ *   Pages using each term, by term name, the pages linking it most first
+ */
+export function getTermUsage(scans) {
+  const usage = {};
+
+  scans.forEach(page => {
+    Object.entries(page.linkedTerms).forEach(([term, count]) => {
+      if (!usage[term]) {
+        usage[term] = [];
+      }
+      usage[term].push({
+        source: page.source,
+        permalink: page.permalink,
+        ...(page.title ? { title: page.title } : {}),
+        count,
+      });
+    });
+  });
+
+  Object.values(usage).forEach(termPages => termPages.sort((a, b) => b.count - a.count));
+  return usage;
+}
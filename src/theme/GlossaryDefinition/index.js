@@ -0,0 +1,48 @@
+import React from 'react';
+import Link from '@docusaurus/Link';
+
+/**
+ * Renders compiled definition nodes. Text is rendered as React text (never as HTML),
+ * and links go through Docusaurus `Link`, so site-relative URLs get the `baseUrl`.
+ */
+function renderNodes(nodes) {
+  return nodes.map((node, index) => {
+    switch (node.type) {
+      case 'text':
+        return <React.Fragment key={index}>{node.value}</React.Fragment>;
+      case 'inlineCode':
+        return <code key={index}>{node.value}</code>;
+      case 'emphasis':
+        return <em key={index}>{renderNodes(node.children)}</em>;
+      case 'strong':
+        return <strong key={index}>{renderNodes(node.children)}</strong>;
+      case 'link':
+        return (
+          <Link key={index} to={node.url}>
+            {renderNodes(node.children)}
+          </Link>
+        );
+      default:
+        return null;
+    }
+  });
+}
+
+/**
+ * GlossaryDefinition component - renders a term definition, with the inline markdown
+ * compiled at build time when available
+ *
+ * Used by GlossaryPage and the GlossaryTerm tooltip; swizzle it to change how
+ * definitions are rendered in both.
+ *
+ * @param {object} props
+ * @param {string} props.definition - The raw definition, rendered as plain text when no
+ *   compiled version is available
+ * @param {Array<object>} props.definitionAst - The compiled definition (`term.definitionAst`)
+ */
+export default function GlossaryDefinition({ definition, definitionAst }) {
+  if (!Array.isArray(definitionAst)) {
+    return <>{definition}</>;
+  }
+  return <>{renderNodes(definitionAst)}</>;
+}
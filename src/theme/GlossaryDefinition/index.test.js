@@ -0,0 +1,55 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import GlossaryDefinition from './index';
+
+describe('GlossaryDefinition', () => {
+  it('should render the raw definition as text without a compiled version', () => {
+    const { container } = render(<GlossaryDefinition definition="An *interface*" />);
+
+    expect(container).toHaveTextContent('An *interface*');
+    expect(container.querySelector('em')).toBeNull();
+  });
+
+  it('should render compiled inline markdown', () => {
+    const { container } = render(
+      <GlossaryDefinition
+        definition="Run `npm i` **now**"
+        definitionAst={[
+          { type: 'text', value: 'Run ' },
+          { type: 'inlineCode', value: 'npm i' },
+          { type: 'text', value: ' ' },
+          { type: 'strong', children: [{ type: 'text', value: 'now' }] },
+        ]}
+      />
+    );
+
+    expect(container.querySelector('code')).toHaveTextContent('npm i');
+    expect(container.querySelector('strong')).toHaveTextContent('now');
+    expect(container).toHaveTextContent('Run npm i now');
+  });
+
+  it('should render links through Docusaurus Link', () => {
+    render(
+      <GlossaryDefinition
+        definition="[guide](/docs/guide)"
+        definitionAst={[
+          { type: 'link', url: '/docs/guide', children: [{ type: 'text', value: 'guide' }] },
+        ]}
+      />
+    );
+
+    expect(screen.getByRole('link', { name: 'guide' })).toHaveAttribute('href', '/docs/guide');
+  });
+
+  it('should render text nodes as text, never as HTML', () => {
+    const { container } = render(
+      <GlossaryDefinition
+        definition="<b>bold</b>"
+        definitionAst={[{ type: 'text', value: '<b>bold</b>' }]}
+      />
+    );
+
+    expect(container.querySelector('b')).toBeNull();
+    expect(container).toHaveTextContent('<b>bold</b>');
+  });
+});
@@ -0,0 +1,377 @@
+import React, { useState, useMemo } from 'react';
+import Layout from '@theme/Layout';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import { useHistory, useLocation } from '@docusaurus/router';
+import Head from '@docusaurus/Head';
+import Link from '@docusaurus/Link';
+import { translate } from '@docusaurus/Translate';
+import GlossaryDefinition from '@theme/GlossaryDefinition';
+import { toPlainText } from '../../definition-markdown.js';
+import { getTermSlug, slugify } from '../../term-slug.js';
+import styles from './styles.module.css';
+
+/**
+ * Query string parameter holding the selected tag filters, repeated once per tag
+ */
+const TAG_QUERY_PARAM = 'tag';
+
+/**
+ * Groups glossary terms by their first letter
+ */
+function groupTermsByLetter(terms) {
+  const grouped = {};
+
+  terms.forEach(term => {
+    const firstLetter = term.term.charAt(0).toUpperCase();
+    if (!grouped[firstLetter]) {
+      grouped[firstLetter] = [];
+    }
+    grouped[firstLetter].push(term);
+  });
+
+  // Sort each group alphabetically
+  Object.keys(grouped).forEach(letter => {
+    grouped[letter].sort((a, b) => a.term.localeCompare(b.term));
+  });
+
+  return grouped;
+}
+
+/**
+ * Plain text of a term's definition, without its inline markdown
+ */
+function getPlainDefinition(term) {
+  return term.definitionAst ? toPlainText(term.definitionAst) : term.definition;
+}
+
+/**
+ * schema.org `DefinedTermSet` describing the glossary, with a `DefinedTerm` per term
+ *
+ * @param {object} glossary
+ * @param {string} glossary.name - Title of the glossary
+ * @param {string} [glossary.description] - Description of the glossary
+ * @param {string} glossary.url - Absolute URL of the glossary page
+ * @param {Array<object>} glossary.terms - The glossary terms
+ * @param {string} glossary.siteUrl - Site URL that term permalinks are resolved against
+ */
+function getStructuredData({ name, description, url, terms, siteUrl }) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'DefinedTermSet',
+    name,
+    ...(description ? { description } : {}),
+    url,
+    hasDefinedTerm: terms.map(term => {
+      const alternateNames = [...new Set([term.abbreviation, ...(term.aliases || [])])].filter(
+        alternateName => alternateName && alternateName !== term.term
+      );
+      return {
+        '@type': 'DefinedTerm',
+        name: term.term,
+        description: getPlainDefinition(term),
+        ...(alternateNames.length > 0 ? { alternateName: alternateNames } : {}),
+        url: term.permalink ? `${siteUrl}${term.permalink}` : `${url}#${getTermSlug(term)}`,
+        inDefinedTermSet: url,
+      };
+    }),
+  };
+}
+
+/**
+ * GlossaryPage component - displays all glossary terms
+ *
+ * @param {object} props
+ * @param {object} props.glossaryData - The glossary, with compiled definitions
+ * @param {object} [props.termUsage] - Pages linking each term, by term name (when the
+ *   plugin's `termUsage` option is enabled)
+ */
+export default function GlossaryPage({ glossaryData, termUsage }) {
+  const { siteConfig } = useDocusaurusContext();
+  const [searchTerm, setSearchTerm] = useState('');
+  const location = useLocation();
+  const history = useHistory();
+
+  const terms = useMemo(() => glossaryData?.terms || [], [glossaryData?.terms]);
+
+  const availableTags = useMemo(
+    () => [...new Set(terms.flatMap(term => term.tags || []))].sort((a, b) => a.localeCompare(b)),
+    [terms]
+  );
+
+  // Selected tags live in the URL so a filtered view can be shared; unknown tags are ignored
+  const selectedTags = useMemo(() => {
+    const requestedTags = new URLSearchParams(location.search).getAll(TAG_QUERY_PARAM);
+    return availableTags.filter(tag => requestedTags.includes(tag));
+  }, [location.search, availableTags]);
+
+  const setSelectedTags = tags => {
+    const params = new URLSearchParams(location.search);
+    params.delete(TAG_QUERY_PARAM);
+    tags.forEach(tag => params.append(TAG_QUERY_PARAM, tag));
+    const search = params.toString();
+    history.replace({ ...location, search: search ? `?${search}` : '' });
+  };
+
+  const toggleTag = tag => {
+    setSelectedTags(
+      selectedTags.includes(tag)
+        ? selectedTags.filter(selected => selected !== tag)
+        : [...selectedTags, tag]
+    );
+  };
+
+  // Related terms may name a term or give its id; both resolve to the term's anchor
+  const anchorsByReference = useMemo(() => {
+    const anchors = new Map();
+    terms.forEach(term => {
+      anchors.set(term.term.toLowerCase(), getTermSlug(term));
+      if (term.id) anchors.set(term.id, term.id);
+    });
+    return anchors;
+  }, [terms]);
+
+  // Filter terms based on the selected tags (a term needs any of them) and search
+  const filteredTerms = useMemo(() => {
+    const taggedTerms =
+      selectedTags.length === 0
+        ? terms
+        : terms.filter(term => (term.tags || []).some(tag => selectedTags.includes(tag)));
+    if (!searchTerm) return taggedTerms;
+
+    const lowerSearch = searchTerm.toLowerCase();
+    return taggedTerms.filter(term => {
+      const haystack = [term.term, term.definition, term.abbreviation, ...(term.aliases || [])]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      return haystack.includes(lowerSearch);
+    });
+  }, [terms, selectedTags, searchTerm]);
+
+  // Group terms by first letter
+  const groupedTerms = useMemo(() => {
+    return groupTermsByLetter(filteredTerms);
+  }, [filteredTerms]);
+
+  const letters = Object.keys(groupedTerms).sort();
+
+  const glossaryTitle =
+    glossaryData?.title ||
+    translate({
+      id: 'theme.glossary.page.title',
+      message: 'Glossary',
+      description: 'The default title of the glossary page',
+    });
+
+  // Structured data lists every term, whatever the filters; the JSON is escaped so a
+  // definition can't close the script element
+  const siteUrl = (siteConfig?.url || '').replace(/\/+$/, '');
+  const glossaryDescription = glossaryData?.description;
+  const structuredData = useMemo(
+    () =>
+      JSON.stringify(
+        getStructuredData({
+          name: glossaryTitle,
+          description: glossaryDescription,
+          url: `${siteUrl}${location.pathname}`,
+          terms,
+          siteUrl,
+        })
+      ).replace(/</g, '\\u003c'),
+    [glossaryTitle, glossaryDescription, siteUrl, location.pathname, terms]
+  );
+
+  return (
+    <Layout
+      title={glossaryTitle}
+      description={
+        glossaryDescription ||
+        translate({
+          id: 'theme.glossary.page.metaDescription',
+          message: 'A glossary of terms and definitions',
+          description: 'The meta description of the glossary page',
+        })
+      }
+    >
+      <Head>
+        <script type="application/ld+json">{structuredData}</script>
+      </Head>
+      <div className={styles.glossaryContainer}>
+        <header className={styles.glossaryHeader}>
+          <h1>{glossaryTitle}</h1>
+          <p className={styles.glossaryDescription}>
+            {glossaryData?.description ||
+              translate({
+                id: 'theme.glossary.page.description',
+                message: 'A collection of terms and their definitions',
+                description: 'The default description shown under the glossary page title',
+              })}
+          </p>
+
+          <div className={styles.searchContainer}>
+            <input
+              type="text"
+              placeholder={translate({
+                id: 'theme.glossary.search.placeholder',
+                message: 'Search terms...',
+                description: 'The placeholder of the glossary search input',
+              })}
+              className={styles.searchInput}
+              value={searchTerm}
+              onChange={e => setSearchTerm(e.target.value)}
+            />
+          </div>
+
+          {availableTags.length > 0 && (
+            <div
+              className={styles.tagFilters}
+              role="group"
+              aria-label={translate({
+                id: 'theme.glossary.tags.label',
+                message: 'Filter by tag',
+                description: 'The accessible label of the glossary tag filters',
+              })}
+            >
+              <button
+                type="button"
+                className={styles.tagChip}
+                aria-pressed={selectedTags.length === 0}
+                onClick={() => setSelectedTags([])}
+              >
+                {translate({
+                  id: 'theme.glossary.tags.all',
+                  message: 'All',
+                  description: 'The glossary tag filter that clears the selected tags',
+                })}
+              </button>
+              {availableTags.map(tag => (
+                <button
+                  key={tag}
+                  type="button"
+                  className={styles.tagChip}
+                  aria-pressed={selectedTags.includes(tag)}
+                  onClick={() => toggleTag(tag)}
+                >
+                  {tag}
+                </button>
+              ))}
+            </div>
+          )}
+        </header>
+
+        {filteredTerms.length === 0 ? (
+          <div className={styles.noResults}>
+            <p>
+              {translate(
+                {
+                  id: 'theme.glossary.search.noResults',
+                  message: 'No terms found matching "{searchTerm}"',
+                  description: 'The message shown when no glossary term matches the search',
+                },
+                { searchTerm }
+              )}
+            </p>
+          </div>
+        ) : (
+          <div className={styles.glossaryContent}>
+            {/* Letter navigation */}
+            <nav className={styles.letterNav}>
+              {letters.map(letter => (
+                <a key={letter} href={`#letter-${letter}`} className={styles.letterLink}>
+                  {letter}
+                </a>
+              ))}
+            </nav>
+
+            {/* Terms grouped by letter */}
+            {letters.map(letter => (
+              <section key={letter} id={`letter-${letter}`} className={styles.letterSection}>
+                <h2 className={styles.letterHeading}>{letter}</h2>
+                <dl className={styles.termList}>
+                  {groupedTerms[letter].map((term, index) => (
+                    <div
+                      key={`${letter}-${index}`}
+                      className={styles.termItem}
+                      id={getTermSlug(term)}
+                    >
+                      <dt className={styles.termName}>
+                        {term.permalink ? <Link to={term.permalink}>{term.term}</Link> : term.term}
+                        {term.abbreviation && (
+                          <span className={styles.abbreviation}> ({term.abbreviation})</span>
+                        )}
+                      </dt>
+                      <dd className={styles.termDefinition}>
+                        <GlossaryDefinition
+                          definition={term.definition}
+                          definitionAst={term.definitionAst}
+                        />
+                        {term.relatedTerms && term.relatedTerms.length > 0 && (
+                          <div className={styles.relatedTerms}>
+                            <strong>
+                              {translate({
+                                id: 'theme.glossary.term.relatedTerms',
+                                message: 'Related terms:',
+                                description: 'The label before the list of related glossary terms',
+                              })}
+                            </strong>{' '}
+                            {term.relatedTerms.map((related, idx) => (
+                              <React.Fragment key={idx}>
+                                {idx > 0 && ', '}
+                                <a
+                                  href={`#${
+                                    anchorsByReference.get(related.toLowerCase()) ||
+                                    anchorsByReference.get(related) ||
+                                    slugify(related)
+                                  }`}
+                                >
+                                  {related}
+                                </a>
+                              </React.Fragment>
+                            ))}
+                          </div>
+                        )}
+                        {termUsage?.[term.term]?.length > 0 && (
+                          <div className={styles.usedIn}>
+                            <strong>
+                              {translate({
+                                id: 'theme.glossary.term.usedIn',
+                                message: 'Used in:',
+                                description:
+                                  'The label before the list of pages that link a glossary term',
+                              })}
+                            </strong>
+                            <ul>
+                              {termUsage[term.term].map(page => (
+                                <li key={page.permalink}>
+                                  <Link to={page.permalink}>{page.title || page.permalink}</Link> (
+                                  {page.count})
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
+                      </dd>
+                    </div>
+                  ))}
+                </dl>
+              </section>
+            ))}
+          </div>
+        )}
+
+        <footer className={styles.glossaryFooter}>
+          <p>
+            {translate(
+              {
+                id: 'theme.glossary.footer.totalTerms',
+                message: 'Total terms: {count}',
+                description: 'The glossary page footer showing how many terms there are',
+              },
+              { count: terms.length }
+            )}
+          </p>
+        </footer>
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,533 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import * as TranslateModule from '@docusaurus/Translate';
+import GlossaryPage from './index';
+
+// Mock CSS modules
+jest.mock('./styles.module.css', () => ({
+  glossaryContainer: 'glossaryContainer',
+  glossaryHeader: 'glossaryHeader',
+  glossaryDescription: 'glossaryDescription',
+  searchContainer: 'searchContainer',
+  searchInput: 'searchInput',
+  noResults: 'noResults',
+  glossaryContent: 'glossaryContent',
+  letterNav: 'letterNav',
+  letterLink: 'letterLink',
+  letterSection: 'letterSection',
+  letterHeading: 'letterHeading',
+  termList: 'termList',
+  termItem: 'termItem',
+  termName: 'termName',
+  abbreviation: 'abbreviation',
+  termDefinition: 'termDefinition',
+  relatedTerms: 'relatedTerms',
+  glossaryFooter: 'glossaryFooter',
+  tagFilters: 'tagFilters',
+  tagChip: 'tagChip',
+}));
+
+const mockGlossaryData = {
+  title: 'Test Glossary Title',
+  description: 'Test glossary',
+  terms: [
+    {
+      id: 'api',
+      term: 'API',
+      definition: 'Application Programming Interface',
+      abbreviation: 'API',
+      relatedTerms: ['REST'],
+    },
+    {
+      id: 'rest',
+      term: 'REST',
+      definition: 'Representational State Transfer',
+      abbreviation: 'REST',
+      relatedTerms: ['API'],
+    },
+    {
+      id: 'ml',
+      term: 'Machine Learning',
+      definition: 'A type of artificial intelligence',
+    },
+  ],
+};
+
+describe('GlossaryPage', () => {
+  it('should render glossary with all terms', () => {
+    render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+    expect(screen.getByText('Test Glossary Title')).toBeInTheDocument();
+    expect(screen.getByText('Test glossary')).toBeInTheDocument();
+    // Use getAllBy since terms can appear multiple times (in term names and related links)
+    expect(screen.getAllByText('API').length).toBeGreaterThan(0);
+    expect(screen.getAllByText('REST').length).toBeGreaterThan(0);
+    expect(screen.getByText('Machine Learning')).toBeInTheDocument();
+  });
+
+  it('should show search input', () => {
+    render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+    const searchInput = screen.getByPlaceholderText('Search terms...');
+    expect(searchInput).toBeInTheDocument();
+  });
+
+  it('should filter terms by search query', async () => {
+    const user = userEvent.setup();
+    render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+    const searchInput = screen.getByPlaceholderText('Search terms...');
+    await user.type(searchInput, 'API');
+
+    expect(screen.getByText('API')).toBeInTheDocument();
+    expect(screen.queryByText('Machine Learning')).not.toBeInTheDocument();
+  });
+
+  it('should filter by definition text', async () => {
+    const user = userEvent.setup();
+    render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+    const searchInput = screen.getByPlaceholderText('Search terms...');
+    await user.type(searchInput, 'artificial');
+
+    expect(screen.getByText('Machine Learning')).toBeInTheDocument();
+    expect(screen.queryByText('API')).not.toBeInTheDocument();
+    expect(screen.queryByText('REST')).not.toBeInTheDocument();
+  });
+
+  it('should filter by alias', async () => {
+    const user = userEvent.setup();
+    const dataWithAliases = {
+      terms: [
+        {
+          id: 'tokenize',
+          term: 'Tokenize',
+          definition: 'Replace sensitive data with a non-sensitive equivalent.',
+          aliases: ['tokenization', 'tokenisation', 'tokenized', 'tokenise'],
+        },
+        {
+          id: 'ml',
+          term: 'Machine Learning',
+          definition: 'A type of artificial intelligence',
+        },
+      ],
+    };
+    render(<GlossaryPage glossaryData={dataWithAliases} />);
+
+    const searchInput = screen.getByPlaceholderText('Search terms...');
+    await user.type(searchInput, 'tokenization');
+
+    expect(screen.getByText('Tokenize')).toBeInTheDocument();
+    expect(screen.queryByText('Machine Learning')).not.toBeInTheDocument();
+  });
+
+  it('should filter by abbreviation', async () => {
+    const user = userEvent.setup();
+    const dataWithAbbrev = {
+      terms: [
+        {
+          id: 'pan',
+          term: 'Primary Account Number',
+          definition: 'The 16-digit number on a payment card.',
+          abbreviation: 'PAN',
+        },
+        {
+          id: 'ml',
+          term: 'Machine Learning',
+          definition: 'A type of artificial intelligence',
+        },
+      ],
+    };
+    render(<GlossaryPage glossaryData={dataWithAbbrev} />);
+
+    const searchInput = screen.getByPlaceholderText('Search terms...');
+    await user.type(searchInput, 'PAN');
+
+    expect(screen.getByText('Primary Account Number')).toBeInTheDocument();
+    expect(screen.queryByText('Machine Learning')).not.toBeInTheDocument();
+  });
+
+  it('should show no results message when no matches', async () => {
+    const user = userEvent.setup();
+    render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+    const searchInput = screen.getByPlaceholderText('Search terms...');
+    await user.type(searchInput, 'NonexistentTerm');
+
+    expect(screen.getByText(/No terms found matching/)).toBeInTheDocument();
+  });
+
+  it('should group terms by first letter', () => {
+    render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+    // Check that terms are grouped under their first letter (multiple elements per letter)
+    expect(screen.getAllByText('A').length).toBeGreaterThan(0);
+    expect(screen.getAllByText('M').length).toBeGreaterThan(0);
+    expect(screen.getAllByText('R').length).toBeGreaterThan(0);
+  });
+
+  it('should sort terms alphabetically within groups', () => {
+    const dataWithMultipleTerms = {
+      ...mockGlossaryData,
+      terms: [
+        { id: 'zebra', term: 'Zebra', definition: 'An animal' },
+        { id: 'alpha', term: 'Alpha', definition: 'First letter' },
+        { id: 'beta', term: 'Beta', definition: 'Second letter' },
+      ],
+    };
+
+    render(<GlossaryPage glossaryData={dataWithMultipleTerms} />);
+
+    const terms = screen.getAllByText(/Zebra|Alpha|Beta/);
+    expect(terms).toHaveLength(3);
+    // Check Alpha is before Beta, and Beta is before Zebra
+    expect(terms[0]).toHaveTextContent('Alpha');
+    expect(terms[1]).toHaveTextContent('Beta');
+    expect(terms[2]).toHaveTextContent('Zebra');
+  });
+
+  it('should display abbreviations', () => {
+    render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+    // Check abbreviation appears in document
+    expect(screen.getAllByText('(API)').length).toBeGreaterThan(0);
+    expect(screen.getAllByText('(REST)').length).toBeGreaterThan(0);
+  });
+
+  it('should display related terms', () => {
+    render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+    // Related terms header appears multiple times (once per term with related terms)
+    expect(screen.getAllByText('Related terms:').length).toBeGreaterThan(0);
+    // REST appears as a term and in related links
+    expect(screen.getAllByText('REST').length).toBeGreaterThan(0);
+  });
+
+  it('should link related terms to the anchor of the term they name', () => {
+    const data = {
+      terms: [
+        { term: 'API', definition: 'Interface', relatedTerms: ['Machine Learning'] },
+        { id: 'ml-term', term: 'Machine Learning', definition: 'A type of AI' },
+      ],
+    };
+    render(<GlossaryPage glossaryData={data} />);
+
+    const link = screen.getByRole('link', { name: 'Machine Learning' });
+    expect(link).toHaveAttribute('href', '#ml-term');
+    expect(document.getElementById('ml-term')).not.toBeNull();
+  });
+
+  it('should link term names to their own pages', () => {
+    const data = {
+      terms: [
+        { term: 'API', definition: 'An interface', permalink: '/glossary/api' },
+        { term: 'SDK', definition: 'A toolkit' },
+      ],
+    };
+    render(<GlossaryPage glossaryData={data} />);
+
+    expect(screen.getByRole('link', { name: 'API' })).toHaveAttribute('href', '/glossary/api');
+    expect(screen.queryByRole('link', { name: 'SDK' })).toBeNull();
+  });
+
+  it('should list the pages that use each term', () => {
+    const termUsage = {
+      API: [
+        { source: 'docs/api.md', permalink: '/docs/api', title: 'API guide', count: 4 },
+        { source: 'docs/intro.md', permalink: '/docs/intro', count: 1 },
+      ],
+    };
+    render(<GlossaryPage glossaryData={mockGlossaryData} termUsage={termUsage} />);
+
+    expect(screen.getAllByText('Used in:')).toHaveLength(1);
+    expect(screen.getByRole('link', { name: 'API guide' })).toHaveAttribute('href', '/docs/api');
+    expect(screen.getByRole('link', { name: '/docs/intro' }).parentElement).toHaveTextContent(
+      '/docs/intro (1)'
+    );
+  });
+
+  it('should render compiled markdown definitions', () => {
+    const data = {
+      terms: [
+        {
+          term: 'Fetch',
+          definition: 'See the [guide](/docs/fetch)',
+          definitionAst: [
+            { type: 'text', value: 'See the ' },
+            { type: 'link', url: '/docs/fetch', children: [{ type: 'text', value: 'guide' }] },
+          ],
+        },
+      ],
+    };
+    render(<GlossaryPage glossaryData={data} />);
+
+    expect(screen.getByRole('link', { name: 'guide' })).toHaveAttribute('href', '/docs/fetch');
+    expect(screen.queryByText(/\[guide\]/)).toBeNull();
+  });
+
+  it('should show total term count in footer', () => {
+    render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+    expect(screen.getByText('Total terms: 3')).toBeInTheDocument();
+  });
+
+  it('should handle empty terms array', () => {
+    const emptyData = { terms: [] };
+    render(<GlossaryPage glossaryData={emptyData} />);
+
+    expect(screen.getByText('Glossary')).toBeInTheDocument();
+    expect(screen.getByText('A collection of terms and their definitions')).toBeInTheDocument();
+    expect(screen.getByText('Total terms: 0')).toBeInTheDocument();
+  });
+
+  it('should handle missing glossaryData gracefully', () => {
+    render(<GlossaryPage glossaryData={null} />);
+
+    expect(screen.getByText('Glossary')).toBeInTheDocument();
+    expect(screen.getByText('A collection of terms and their definitions')).toBeInTheDocument();
+    expect(screen.getByText('Total terms: 0')).toBeInTheDocument();
+  });
+
+  it('should handle missing description gracefully', () => {
+    const dataWithoutDescription = {
+      terms: mockGlossaryData.terms,
+    };
+    render(<GlossaryPage glossaryData={dataWithoutDescription} />);
+
+    expect(screen.getByText(/A collection of terms and their definitions/)).toBeInTheDocument();
+  });
+
+  it('should generate correct anchor links for terms', () => {
+    render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+    // Check navigation links are generated
+    const navLinks = screen.getAllByRole('link', { name: /^[AMR]$/ });
+    expect(navLinks.length).toBeGreaterThan(0);
+    expect(navLinks[0]).toHaveAttribute('href', '#letter-A');
+  });
+
+  it('should clear search when input is cleared', async () => {
+    const user = userEvent.setup();
+    render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+    const searchInput = screen.getByPlaceholderText('Search terms...');
+    await user.type(searchInput, 'Machine');
+
+    expect(screen.getByText('Machine Learning')).toBeInTheDocument();
+
+    await user.clear(searchInput);
+
+    expect(screen.getAllByText('API').length).toBeGreaterThan(0);
+    expect(screen.getAllByText('REST').length).toBeGreaterThan(0);
+    expect(screen.getByText('Machine Learning')).toBeInTheDocument();
+  });
+
+  it('should render UI strings through translate() with stable ids', () => {
+    const translateSpy = jest
+      .spyOn(TranslateModule, 'translate')
+      .mockImplementation(({ id }) => `[${id}]`);
+
+    render(<GlossaryPage glossaryData={{ terms: mockGlossaryData.terms }} />);
+
+    expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent(
+      '[theme.glossary.page.title]'
+    );
+    expect(screen.getByPlaceholderText('[theme.glossary.search.placeholder]')).toBeInTheDocument();
+    expect(screen.getByText('[theme.glossary.page.description]')).toBeInTheDocument();
+    expect(screen.getAllByText('[theme.glossary.term.relatedTerms]').length).toBeGreaterThan(0);
+    expect(screen.getByText('[theme.glossary.footer.totalTerms]')).toBeInTheDocument();
+    expect(translateSpy).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'theme.glossary.footer.totalTerms' }),
+      { count: 3 }
+    );
+
+    translateSpy.mockRestore();
+  });
+
+  describe('tag filters', () => {
+    const taggedData = {
+      terms: [
+        { term: 'Invoice', definition: 'A bill', tags: ['billing'] },
+        { term: 'Audit', definition: 'A review', tags: ['compliance'] },
+        { term: 'Refund', definition: 'Money back', tags: ['billing', 'compliance'] },
+        { term: 'Node', definition: 'A machine', tags: ['infrastructure'] },
+        { term: 'Untagged', definition: 'No tags' },
+      ],
+    };
+
+    const getTermNames = () => screen.queryAllByRole('term').map(term => term.textContent);
+
+    afterEach(() => {
+      window.history.replaceState({}, '', '/');
+    });
+
+    it('should not render filters when no term has tags', () => {
+      render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+      expect(screen.queryByRole('group', { name: 'Filter by tag' })).toBeNull();
+    });
+
+    it('should render a chip per tag, sorted, with "All" selected', () => {
+      render(<GlossaryPage glossaryData={taggedData} />);
+
+      const chips = screen.getAllByRole('button');
+      expect(chips.map(chip => chip.textContent)).toEqual([
+        'All',
+        'billing',
+        'compliance',
+        'infrastructure',
+      ]);
+      expect(screen.getByRole('button', { name: 'All' })).toHaveAttribute('aria-pressed', 'true');
+    });
+
+    it('should show terms with any of the selected tags and store them in the URL', async () => {
+      const user = userEvent.setup();
+      render(<GlossaryPage glossaryData={taggedData} />);
+
+      await user.click(screen.getByRole('button', { name: 'billing' }));
+
+      expect(getTermNames()).toEqual(['Invoice', 'Refund']);
+      expect(window.location.search).toBe('?tag=billing');
+      expect(screen.getByRole('button', { name: 'billing' })).toHaveAttribute(
+        'aria-pressed',
+        'true'
+      );
+      expect(screen.getByRole('button', { name: 'All' })).toHaveAttribute('aria-pressed', 'false');
+
+      await user.click(screen.getByRole('button', { name: 'infrastructure' }));
+
+      expect(getTermNames()).toEqual(['Invoice', 'Node', 'Refund']);
+      expect(window.location.search).toBe('?tag=billing&tag=infrastructure');
+
+      await user.click(screen.getByRole('button', { name: 'billing' }));
+
+      expect(getTermNames()).toEqual(['Node']);
+      expect(window.location.search).toBe('?tag=infrastructure');
+    });
+
+    it('should restore the filters from a shared URL', () => {
+      window.history.replaceState({}, '', '/glossary?tag=compliance&tag=unknown#audit');
+      render(<GlossaryPage glossaryData={taggedData} />);
+
+      expect(getTermNames()).toEqual(['Audit', 'Refund']);
+      expect(screen.getByRole('button', { name: 'compliance' })).toHaveAttribute(
+        'aria-pressed',
+        'true'
+      );
+    });
+
+    it('should clear the filters with "All" and keep other URL parts', async () => {
+      const user = userEvent.setup();
+      window.history.replaceState({}, '', '/glossary?ref=docs&tag=billing#top');
+      render(<GlossaryPage glossaryData={taggedData} />);
+
+      await user.click(screen.getByRole('button', { name: 'All' }));
+
+      expect(getTermNames()).toHaveLength(5);
+      expect(window.location.pathname).toBe('/glossary');
+      expect(window.location.search).toBe('?ref=docs');
+      expect(window.location.hash).toBe('#top');
+    });
+
+    it('should combine tag filters with search', async () => {
+      const user = userEvent.setup();
+      window.history.replaceState({}, '', '/glossary?tag=billing');
+      render(<GlossaryPage glossaryData={taggedData} />);
+
+      await user.type(screen.getByPlaceholderText('Search terms...'), 'money');
+
+      expect(getTermNames()).toEqual(['Refund']);
+    });
+  });
+
+  describe('structured data', () => {
+    const getStructuredData = container =>
+      JSON.parse(container.querySelector('script[type="application/ld+json"]').textContent);
+
+    afterEach(() => {
+      window.history.replaceState({}, '', '/');
+    });
+
+    it('should describe the glossary as a DefinedTermSet of DefinedTerms', () => {
+      window.history.replaceState({}, '', '/glossary');
+      const { container } = render(
+        <GlossaryPage
+          glossaryData={{
+            title: 'Billing Glossary',
+            description: 'Billing vocabulary',
+            terms: [
+              {
+                term: 'API',
+                abbreviation: 'Application Programming Interface',
+                aliases: ['APIs'],
+                definition: 'An *interface*',
+                definitionAst: [
+                  { type: 'text', value: 'An ' },
+                  { type: 'emphasis', children: [{ type: 'text', value: 'interface' }] },
+                ],
+              },
+              { term: 'Sign in', definition: 'Log in', permalink: '/glossary/sign-in' },
+            ],
+          }}
+        />
+      );
+
+      expect(getStructuredData(container)).toEqual({
+        '@context': 'https://schema.org',
+        '@type': 'DefinedTermSet',
+        name: 'Billing Glossary',
+        description: 'Billing vocabulary',
+        url: 'https://example.com/glossary',
+        hasDefinedTerm: [
+          {
+            '@type': 'DefinedTerm',
+            name: 'API',
+            description: 'An interface',
+            alternateName: ['Application Programming Interface', 'APIs'],
+            url: 'https://example.com/glossary#api',
+            inDefinedTermSet: 'https://example.com/glossary',
+          },
+          {
+            '@type': 'DefinedTerm',
+            name: 'Sign in',
+            description: 'Log in',
+            url: 'https://example.com/glossary/sign-in',
+            inDefinedTermSet: 'https://example.com/glossary',
+          },
+        ],
+      });
+    });
+
+    it('should list every term, whatever the search', async () => {
+      const user = userEvent.setup();
+      const { container } = render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+      await user.type(screen.getByPlaceholderText('Search terms...'), 'Machine');
+
+      expect(getStructuredData(container).hasDefinedTerm).toHaveLength(3);
+    });
+
+    it('should escape markup so definitions cannot close the script element', () => {
+      const { container } = render(
+        <GlossaryPage
+          glossaryData={{ terms: [{ term: 'XSS', definition: '</script><b>bold</b>' }] }}
+        />
+      );
+
+      const script = container.querySelector('script[type="application/ld+json"]');
+      expect(script.textContent).not.toContain('</script>');
+      expect(getStructuredData(container).hasDefinedTerm[0].description).toBe(
+        '</script><b>bold</b>'
+      );
+    });
+
+    it('should use the glossary title and description for the page metadata', () => {
+      render(<GlossaryPage glossaryData={mockGlossaryData} />);
+
+      const layout = screen.getByTestId('layout');
+      expect(layout).toHaveAttribute('data-title', 'Test Glossary Title');
+      expect(layout).toHaveAttribute('data-description', 'Test glossary');
+    });
+  });
+});
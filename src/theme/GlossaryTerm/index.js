@@ -1,5 +1,9 @@
 import React, { useMemo, useState, useRef, useEffect, useCallback } from 'react';
+import Link from '@docusaurus/Link';
 import { usePluginData } from '@docusaurus/useGlobalData';
+import { translate } from '@docusaurus/Translate';
+import GlossaryDefinition from '@theme/GlossaryDefinition';
+import { getTermSlug, slugify } from '../../term-slug.js';
 import styles from './styles.module.css';
 
 /**
@@ -11,19 +15,25 @@ import styles from './styles.module.css';
  * <GlossaryTerm term="API" definition="Application Programming Interface" />
  * or
  * <GlossaryTerm term="API">custom display text</GlossaryTerm>
+ * or, with several glossary plugin instances
+ * <GlossaryTerm term="Workspace" glossaryId="product-b" />
  *
  * @param {object} props
  * @param {string} props.term - The glossary term
- * @param {string} props.definition - The definition to show in tooltip
+ * @param {string} props.definition - The definition to show in tooltip (rendered with its
+ *   compiled inline markdown when it is the glossary's definition of the term)
  * @param {string} props.abbreviation - Optional long-form expansion shown in the tooltip
- * @param {string} props.routePath - Route path to glossary page (default: '/glossary')
+ * @param {string} props.routePath - Route path to glossary page (default: the instance's routePath)
+ * @param {string} props.glossaryId - Plugin instance `id` to read terms from when several
+ *   glossaries are configured (default: the default instance)
  * @param {React.ReactNode} props.children - Optional custom display text
  */
 export default function GlossaryTerm({
   term,
   definition,
   abbreviation,
-  routePath = '/glossary',
+  routePath,
+  glossaryId,
   children,
 }) {
   const [showTooltip, setShowTooltip] = useState(false);
@@ -91,47 +101,65 @@ export default function GlossaryTerm({
   }, [showTooltip, updatePosition]);
 
   // Pull definition/route from plugin global data if not provided
-  const pluginData = usePluginData('docusaurus-plugin-glossary');
+  const pluginData = usePluginData('docusaurus-plugin-glossary', glossaryId);
+  const foundTerm = useMemo(() => {
+    const terms = (pluginData && pluginData.terms) || [];
+    return terms.find(
+      t => typeof t.term === 'string' && t.term.toLowerCase() === String(term).toLowerCase()
+    );
+  }, [pluginData, term]);
+
   const effectiveDefinition = useMemo(() => {
     if (definition && typeof definition === 'string' && definition.length > 0) {
       return definition;
     }
-    const terms = (pluginData && pluginData.terms) || [];
-    const found = terms.find(
-      t => typeof t.term === 'string' && t.term.toLowerCase() === String(term).toLowerCase()
-    );
-    return found && found.definition ? found.definition : undefined;
-  }, [definition, pluginData, term]);
+    return foundTerm && foundTerm.definition ? foundTerm.definition : undefined;
+  }, [definition, foundTerm]);
+
+  // Use the definition compiled at build time when the tooltip shows that term's definition
+  const definitionAst =
+    foundTerm && foundTerm.definition === effectiveDefinition ? foundTerm.definitionAst : undefined;
 
   // Pull the long-form expansion (abbreviation) from the prop, falling back to
   // the plugin global data. Skipped when it is empty or identical to the term.
   const effectiveAbbreviation = useMemo(() => {
     let value = abbreviation;
     if (!value) {
-      const terms = (pluginData && pluginData.terms) || [];
-      const found = terms.find(
-        t => typeof t.term === 'string' && t.term.toLowerCase() === String(term).toLowerCase()
-      );
-      value = found && found.abbreviation;
+      value = foundTerm && foundTerm.abbreviation;
     }
     if (typeof value !== 'string') return undefined;
     const trimmed = value.trim();
     if (!trimmed || trimmed.toLowerCase() === String(term).toLowerCase()) return undefined;
     return trimmed;
-  }, [abbreviation, pluginData, term]);
+  }, [abbreviation, foundTerm, term]);
 
   const effectiveRoutePath = useMemo(() => {
     if (routePath && typeof routePath === 'string' && routePath.length > 0) return routePath;
     return (pluginData && pluginData.routePath) || '/glossary';
   }, [pluginData, routePath]);
 
+  const abbreviationLabel = effectiveAbbreviation
+    ? translate(
+        {
+          id: 'theme.glossary.tooltip.abbreviation',
+          message: '({abbreviation}).',
+          description: 'The long-form expansion shown after the term name in a glossary tooltip',
+        },
+        { abbreviation: effectiveAbbreviation }
+      )
+    : null;
+
   const displayText = children || term;
-  const termId = term.toLowerCase().replace(/\s+/g, '-');
+  // Anchor of the term on the glossary page: a translated term keeps its original slug as `id`
+  const termId = foundTerm ? getTermSlug(foundTerm) : slugify(String(term));
+  // Link to the term's own page when the glossary generates term pages. `Link` adds the
+  // site's baseUrl to the route path, which the permalink already has.
+  const href = foundTerm?.permalink || `${effectiveRoutePath}#${termId}`;
 
   return (
     <span ref={wrapperRef} className={styles.glossaryTermWrapper}>
-      <a
-        href={`${effectiveRoutePath}#${termId}`}
+      <Link
+        to={href}
         className={styles.glossaryTerm}
         onMouseEnter={() => setShowTooltip(true)}
         onMouseLeave={() => setShowTooltip(false)}
@@ -140,7 +168,7 @@ export default function GlossaryTerm({
         aria-describedby={`tooltip-${termId}`}
       >
         {displayText}
-      </a>
+      </Link>
       {effectiveDefinition && (
         <span
           ref={tooltipRef}
@@ -158,7 +186,8 @@ export default function GlossaryTerm({
           }
         >
           <strong>{term}</strong>
-          {effectiveAbbreviation ? ` (${effectiveAbbreviation}). ` : ''}{effectiveDefinition}
+          {abbreviationLabel ? ` ${abbreviationLabel} ` : ''}
+          <GlossaryDefinition definition={effectiveDefinition} definitionAst={definitionAst} />
         </span>
       )}
     </span>
@@ -1,6 +1,8 @@
 import React from 'react';
 import { render, screen, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
+import * as globalData from '@docusaurus/useGlobalData';
+import * as TranslateModule from '@docusaurus/Translate';
 import GlossaryTerm from './index';
 
 describe('GlossaryTerm', () => {
@@ -48,6 +50,23 @@ describe('GlossaryTerm', () => {
     expect(tooltip).toHaveTextContent('VM (Virtual Machine). A guest OS.');
   });
 
+  it('should translate the abbreviation label in the tooltip', async () => {
+    const user = userEvent.setup();
+    const translateSpy = jest
+      .spyOn(TranslateModule, 'translate')
+      .mockImplementation((_, values) => `[${values.abbreviation}]`);
+    render(<GlossaryTerm term="VM" abbreviation="Virtual Machine" definition="A guest OS." />);
+
+    await user.hover(screen.getByRole('link'));
+
+    expect(translateSpy).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'theme.glossary.tooltip.abbreviation' }),
+      { abbreviation: 'Virtual Machine' }
+    );
+    expect(screen.getByRole('tooltip')).toHaveTextContent('VM [Virtual Machine] A guest OS.');
+    translateSpy.mockRestore();
+  });
+
   it('should omit the abbreviation when it matches the term', async () => {
     const user = userEvent.setup();
     render(<GlossaryTerm term="API" abbreviation="api" definition="An interface." />);
@@ -163,4 +182,123 @@ describe('GlossaryTerm', () => {
     expect(tooltip.style.top).toMatch(/px$/);
     expect(tooltip.style.left).toMatch(/px$/);
   });
+
+  describe('term pages', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should link to the term's own page when it has one", () => {
+      jest.spyOn(globalData, 'usePluginData').mockReturnValue({
+        terms: [{ term: 'API Key', definition: 'A token', permalink: '/glossary/api-key' }],
+        routePath: '/glossary',
+      });
+
+      render(<GlossaryTerm term="api key" routePath="/glossary" />);
+
+      expect(screen.getByRole('link', { name: 'api key' })).toHaveAttribute(
+        'href',
+        '/glossary/api-key'
+      );
+    });
+  });
+
+  describe('translated terms', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should link to the anchor of the original term name', () => {
+      jest.spyOn(globalData, 'usePluginData').mockReturnValue({
+        terms: [{ term: 'Interface de programmation', id: 'api', definition: 'Une interface' }],
+        routePath: '/glossaire',
+      });
+
+      render(<GlossaryTerm term="Interface de programmation" />);
+
+      const link = screen.getByRole('link', { name: 'Interface de programmation' });
+      expect(link).toHaveAttribute('href', '/glossaire#api');
+      expect(link).toHaveAttribute('aria-describedby', 'tooltip-api');
+    });
+  });
+
+  describe('markdown definitions', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should render the compiled definition of the glossary term in the tooltip', () => {
+      jest.spyOn(globalData, 'usePluginData').mockReturnValue({
+        terms: [
+          {
+            term: 'npm',
+            definition: 'Run `npm i`',
+            definitionAst: [
+              { type: 'text', value: 'Run ' },
+              { type: 'inlineCode', value: 'npm i' },
+            ],
+          },
+        ],
+        routePath: '/glossary',
+      });
+
+      render(<GlossaryTerm term="npm" definition="Run `npm i`" />);
+
+      const tooltip = screen.getByRole('tooltip');
+      expect(tooltip.querySelector('code')).toHaveTextContent('npm i');
+      expect(tooltip).toHaveTextContent('npmRun npm i');
+    });
+
+    it('should render a custom definition prop as plain text', () => {
+      jest.spyOn(globalData, 'usePluginData').mockReturnValue({
+        terms: [
+          {
+            term: 'npm',
+            definition: 'Run `npm i`',
+            definitionAst: [{ type: 'inlineCode', value: 'npm i' }],
+          },
+        ],
+        routePath: '/glossary',
+      });
+
+      render(<GlossaryTerm term="npm" definition="Custom *text*" />);
+
+      const tooltip = screen.getByRole('tooltip');
+      expect(tooltip.querySelector('code')).toBeNull();
+      expect(tooltip).toHaveTextContent('Custom *text*');
+    });
+  });
+
+  describe('multiple glossary instances', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should read global data from the instance named by glossaryId', async () => {
+      const user = userEvent.setup();
+      const spy = jest.spyOn(globalData, 'usePluginData').mockReturnValue({
+        terms: [{ term: 'Workspace', definition: 'A product B container.' }],
+        routePath: '/product-b/glossary',
+      });
+
+      render(<GlossaryTerm term="Workspace" glossaryId="product-b" />);
+
+      expect(spy).toHaveBeenCalledWith('docusaurus-plugin-glossary', 'product-b');
+      const link = screen.getByRole('link');
+      expect(link).toHaveAttribute('href', '/product-b/glossary#workspace');
+      await user.hover(link);
+      expect(screen.getByRole('tooltip')).toHaveTextContent('A product B container.');
+    });
+
+    it('should prefer an explicit routePath over the instance routePath', () => {
+      jest.spyOn(globalData, 'usePluginData').mockReturnValue({
+        terms: [],
+        routePath: '/product-b/glossary',
+      });
+
+      render(<GlossaryTerm term="Workspace" glossaryId="product-b" routePath="/custom" />);
+
+      expect(screen.getByRole('link')).toHaveAttribute('href', '/custom#workspace');
+    });
+  });
 });
@@ -0,0 +1,112 @@
+import React from 'react';
+import Layout from '@theme/Layout';
+import Link from '@docusaurus/Link';
+import { translate } from '@docusaurus/Translate';
+import GlossaryDefinition from '@theme/GlossaryDefinition';
+import styles from './styles.module.css';
+
+/**
+ * GlossaryTermPage component - displays a single glossary term on its own page
+ * (generated for every term when the plugin's `termPages` option is enabled)
+ *
+ * @param {object} props
+ * @param {object} props.termData - The term, its plain-text description, resolved related
+ *   terms and the glossary's title and route path
+ * @param {object} [props.termUsage] - Pages linking each term, by term name (when the
+ *   plugin's `termUsage` option is enabled)
+ */
+export default function GlossaryTermPage({ termData, termUsage }) {
+  const { term, description, relatedTerms = [], glossary } = termData;
+  const aliases = term.aliases || [];
+  const usedIn = termUsage?.[term.term] || [];
+
+  const glossaryTitle =
+    glossary.title ||
+    translate({
+      id: 'theme.glossary.page.title',
+      message: 'Glossary',
+      description: 'The default title of the glossary page',
+    });
+
+  return (
+    <Layout title={term.term} description={description}>
+      <div className={styles.termPageContainer}>
+        <Link to={glossary.routePath} className={styles.backLink}>
+          {translate(
+            {
+              id: 'theme.glossary.termPage.backLink',
+              message: '← Back to {glossaryTitle}',
+              description: 'The link from a glossary term page back to the glossary page',
+            },
+            { glossaryTitle }
+          )}
+        </Link>
+
+        <article>
+          <header className={styles.termHeader}>
+            <h1>{term.term}</h1>
+            {term.abbreviation && <p className={styles.abbreviation}>{term.abbreviation}</p>}
+          </header>
+
+          <div className={styles.termDefinition}>
+            <GlossaryDefinition definition={term.definition} definitionAst={term.definitionAst} />
+          </div>
+
+          {aliases.length > 0 && (
+            <p className={styles.termDetail}>
+              <strong>
+                {translate({
+                  id: 'theme.glossary.termPage.aliases',
+                  message: 'Also known as:',
+                  description: 'The label before the list of aliases of a glossary term',
+                })}
+              </strong>{' '}
+              {aliases.join(', ')}
+            </p>
+          )}
+
+          {relatedTerms.length > 0 && (
+            <p className={styles.termDetail}>
+              <strong>
+                {translate({
+                  id: 'theme.glossary.term.relatedTerms',
+                  message: 'Related terms:',
+                  description: 'The label before the list of related glossary terms',
+                })}
+              </strong>{' '}
+              {relatedTerms.map((related, idx) => (
+                <React.Fragment key={idx}>
+                  {idx > 0 && ', '}
+                  {related.permalink ? (
+                    <Link to={related.permalink}>{related.term}</Link>
+                  ) : (
+                    related.term
+                  )}
+                </React.Fragment>
+              ))}
+            </p>
+          )}
+
+          {usedIn.length > 0 && (
+            <div className={styles.termDetail}>
+              <strong>
+                {translate({
+                  id: 'theme.glossary.term.usedIn',
+                  message: 'Used in:',
+                  description: 'The label before the list of pages that link a glossary term',
+                })}
+              </strong>
+              <ul>
+                {usedIn.map(page => (
+                  <li key={page.permalink}>
+                    <Link to={page.permalink}>{page.title || page.permalink}</Link> ({page.count})
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </article>
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,111 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import GlossaryTermPage from './index';
+
+jest.mock('./styles.module.css', () => ({
+  termPageContainer: 'termPageContainer',
+  backLink: 'backLink',
+  termHeader: 'termHeader',
+  abbreviation: 'abbreviation',
+  termDefinition: 'termDefinition',
+  termDetail: 'termDetail',
+}));
+
+const termData = {
+  term: {
+    term: 'API',
+    abbreviation: 'Application Programming Interface',
+    definition: 'A *contract* between programs',
+    definitionAst: [
+      { type: 'text', value: 'A ' },
+      { type: 'emphasis', children: [{ type: 'text', value: 'contract' }] },
+      { type: 'text', value: ' between programs' },
+    ],
+    aliases: ['APIs', 'interface'],
+    relatedTerms: ['REST', 'OAuth'],
+    permalink: '/glossary/api',
+  },
+  description: 'A contract between programs',
+  relatedTerms: [{ term: 'REST', permalink: '/glossary/rest' }, { term: 'OAuth' }],
+  glossary: { title: 'Product Glossary', routePath: '/glossary' },
+};
+
+describe('GlossaryTermPage', () => {
+  it('should set the page title and meta description from the term', () => {
+    render(<GlossaryTermPage termData={termData} />);
+
+    const layout = screen.getByTestId('layout');
+    expect(layout).toHaveAttribute('data-title', 'API');
+    expect(layout).toHaveAttribute('data-description', 'A contract between programs');
+  });
+
+  it('should render the term, abbreviation and compiled definition', () => {
+    const { container } = render(<GlossaryTermPage termData={termData} />);
+
+    expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('API');
+    expect(screen.getByText('Application Programming Interface')).toBeInTheDocument();
+    expect(container.querySelector('em')).toHaveTextContent('contract');
+  });
+
+  it('should list aliases', () => {
+    render(<GlossaryTermPage termData={termData} />);
+
+    expect(screen.getByText('Also known as:').parentElement).toHaveTextContent(
+      'Also known as: APIs, interface'
+    );
+  });
+
+  it('should link related terms that have a page', () => {
+    render(<GlossaryTermPage termData={termData} />);
+
+    expect(screen.getByRole('link', { name: 'REST' })).toHaveAttribute('href', '/glossary/rest');
+    expect(screen.queryByRole('link', { name: 'OAuth' })).toBeNull();
+    expect(screen.getByText('Related terms:').parentElement).toHaveTextContent(
+      'Related terms: REST, OAuth'
+    );
+  });
+
+  it('should list the pages that use the term', () => {
+    render(
+      <GlossaryTermPage
+        termData={termData}
+        termUsage={{
+          API: [{ source: 'docs/api.md', permalink: '/docs/api', title: 'API guide', count: 2 }],
+          REST: [{ source: 'docs/rest.md', permalink: '/docs/rest', count: 1 }],
+        }}
+      />
+    );
+
+    expect(screen.getByRole('link', { name: 'API guide' }).parentElement).toHaveTextContent(
+      'API guide (2)'
+    );
+    expect(screen.queryByRole('link', { name: '/docs/rest' })).toBeNull();
+  });
+
+  it('should link back to the glossary page', () => {
+    render(<GlossaryTermPage termData={termData} />);
+
+    expect(screen.getByRole('link', { name: '← Back to Product Glossary' })).toHaveAttribute(
+      'href',
+      '/glossary'
+    );
+  });
+
+  it('should omit optional sections', () => {
+    render(
+      <GlossaryTermPage
+        termData={{
+          term: { term: 'SDK', definition: 'A toolkit' },
+          description: 'A toolkit',
+          relatedTerms: [],
+          glossary: { routePath: '/glossary' },
+        }}
+      />
+    );
+
+    expect(screen.getByText('A toolkit')).toBeInTheDocument();
+    expect(screen.queryByText('Also known as:')).toBeNull();
+    expect(screen.queryByText('Related terms:')).toBeNull();
+    expect(screen.getByRole('link', { name: '← Back to Glossary' })).toBeInTheDocument();
+  });
+});
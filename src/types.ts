@@ -20,7 +20,37 @@ export interface GlossaryTerm {
   id?: string;
   autoLink?: boolean;
   aliases?: string[];
+  /**
+   * Inflected forms of the term and its aliases that auto-link to it, instead of the ones
+   * the remark plugin's inflector generates. `[]` turns inflection off for the term.
+   */
+  forms?: string[];
   caseSensitive?: boolean;
+  tags?: string[];
+}
+
+/** A node of a definition compiled from inline markdown at build time. */
+export type DefinitionNode =
+  | { type: 'text'; value: string }
+  | { type: 'inlineCode'; value: string }
+  | { type: 'emphasis' | 'strong'; children: DefinitionNode[] }
+  | { type: 'link'; url: string; children: DefinitionNode[] };
+
+/** A term as exposed to the theme components, with its compiled definition. */
+export interface CompiledGlossaryTerm extends GlossaryTerm {
+  definitionAst: DefinitionNode[];
+  /** Path of the term's own page, when `termPages` is enabled. */
+  permalink?: string;
+}
+
+/** Props data of a `GlossaryTermPage` route. */
+export interface GlossaryTermPageData {
+  term: CompiledGlossaryTerm;
+  /** Plain-text definition, used as the page's meta description. */
+  description: string;
+  /** Related terms, with the permalink of those that resolve to a glossary term. */
+  relatedTerms: { term: string; permalink?: string }[];
+  glossary: { title?: string; routePath: string };
 }
 
 /** Shape of a glossary JSON file. */
@@ -30,10 +60,104 @@ export interface GlossaryData {
   terms: GlossaryTerm[];
 }
 
+/**
+ * Shape of a glossary JSON/YAML file as written on disk, described by the published
+ * `schema.json`. The loader resolves `extends` and drops `$schema`, producing `GlossaryData`.
+ */
+export interface GlossaryFile {
+  $schema?: string;
+  extends?: string | string[];
+  title?: string;
+  description?: string;
+  terms?: GlossaryTerm[];
+}
+
+/**
+ * How glossary validation problems are surfaced, in the spirit of Docusaurus's
+ * `onBrokenLinks`: 'warn' logs them and keeps the valid terms, 'throw' fails the build
+ * with every problem listed, 'ignore' silently keeps the valid terms.
+ */
+export type OnValidationError = 'warn' | 'throw' | 'ignore';
+
+/**
+ * What the remark plugin's link limit counts over: the whole page, or each section, from
+ * one heading to the next.
+ */
+export type LinkLimitScope = 'page' | 'section';
+
+/**
+ * Returns the inflected forms of a term or alias (plurals, possessives, ...) that auto-link
+ * to the term too, besides the phrase itself.
+ */
+export type Inflector = (phrase: string) => string[];
+
+/**
+ * How the remark plugin tells whole words apart: 'unicode' requires no letter or digit of
+ * any script next to a match, 'segmenter' uses the word boundaries `Intl.Segmenter` finds
+ * for the current locale, for languages written without spaces such as Japanese.
+ */
+export type WordBoundaries = 'unicode' | 'segmenter';
+
+/** Options of the check reporting acronyms missing from the glossary. */
+export interface UndefinedAcronymsOptions {
+  /**
+   * Pattern of acronym-like tokens. Default: two or more capitals and digits starting with
+   * a capital, optionally followed by a plural `s` (`SLO`, `KMS`, `HTTP2`, `SLOs`).
+   */
+  pattern?: RegExp | string;
+  /** Acronyms that don't need a glossary entry, e.g. `['TODO', 'OK']`. */
+  allowlist?: string[];
+  /**
+   * 'warn' logs the undefined acronyms of each file, 'throw' fails the build with an
+   * `UndefinedAcronymError`. Default: 'warn'.
+   */
+  onUndefinedAcronym?: 'warn' | 'throw';
+}
+
+/** A page linking a glossary term, listed under the term's "Used in". */
+export interface TermUsage {
+  /** Source path, relative to the site directory. */
+  source: string;
+  permalink: string;
+  title?: string;
+  /** Number of occurrences of the term linked on the page. */
+  count: number;
+}
+
+/** Build-time usage report of a glossary, written to `glossary-report.json`. */
+export interface GlossaryReport {
+  pagesScanned: number;
+  termCount: number;
+  /** Terms (with auto-linking) that no page uses. */
+  unusedTerms: string[];
+  /** Most used terms, counting linked occurrences and `<GlossaryTerm>` elements. */
+  mostUsedTerms: { term: string; count: number; linked: number; manual: number; pages: number }[];
+  /** Pages with the most terms per 100 words (`density`). */
+  densestPages: {
+    source: string;
+    permalink: string;
+    title?: string;
+    wordCount: number;
+    termCount: number;
+    density: number;
+  }[];
+  /** Terms with `autoLink: false` that no page writes as `<GlossaryTerm>`. */
+  unusedManualTerms: string[];
+}
+
 /** Options accepted by the glossary plugin / preset. */
 export interface GlossaryPluginOptions {
+  /**
+   * Standard Docusaurus plugin instance id. Set a distinct `id` (and `routePath`) per
+   * instance to run several independent glossaries on one site. Default: 'default'.
+   */
+  id?: string;
   glossaryPath?: string;
   routePath?: string;
+  /** Title of the glossary page, overriding the glossary file's `title`. */
+  title?: string;
+  /** Description of the glossary page, overriding the glossary file's `description`. */
+  description?: string;
   autoLinkTerms?: boolean;
   /**
    * When true, the first canonical occurrence of any term that has an `abbreviation` is
@@ -42,6 +166,81 @@ export interface GlossaryPluginOptions {
    * normally. Default: false.
    */
   expandAcronymsOnFirstUse?: boolean;
+  /**
+   * Path pattern, relative to the site directory, of the glossary used for non-default
+   * locales. `{locale}` is replaced with the current locale, e.g.
+   * `'glossary/glossary.{locale}.json'`. Default: the Docusaurus i18n convention,
+   * `i18n/<locale>/docusaurus-plugin-glossary[-<id>]/<file name of glossaryPath>`.
+   * Terms missing from the localized glossary fall back to the default-locale file.
+   */
+  localizedGlossaryPath?: string;
+  /**
+   * What to do when the glossary has validation errors. Applies to both the plugin and
+   * the remark plugin. Default: 'warn'.
+   */
+  onValidationError?: OnValidationError;
+  /**
+   * When true, every term also gets its own page at `<routePath>/<slug>` (the slug is the
+   * term's `id`, or its anchor on the glossary page), rendered by the swizzlable
+   * `GlossaryTermPage` component, and `GlossaryTerm` links point to it. Default: false.
+   */
+  termPages?: boolean;
+  /**
+   * When true, each term lists the docs, blog and pages that link it ("Used in"). Pages are
+   * scanned with the remark plugin once all content is loaded, which needs Docusaurus 3.6+.
+   * Default: false.
+   */
+  termUsage?: boolean;
+  /**
+   * When true, `postBuild` writes a usage report of the glossary (`glossary-report.json`,
+   * or `glossary-report-<id>.json` for other instances) to the build directory and logs a
+   * summary of it. Pages are scanned with the remark plugin for it, like for `termUsage`.
+   * Default: false.
+   */
+  report?: boolean;
+  /**
+   * When set, the remark plugin reports acronym-like tokens that are neither a term, an
+   * alias nor an abbreviation of the glossary, per file. Default: false.
+   */
+  undefinedAcronyms?: boolean | UndefinedAcronymsOptions;
+  /**
+   * When true, the remark plugin links only the first occurrence of each term per
+   * `linkLimitScope`; shorthand for `maxLinksPerTerm: 1`. Default: false.
+   */
+  linkFirstOccurrenceOnly?: boolean;
+  /**
+   * Number of occurrences of each term the remark plugin links per `linkLimitScope`; later
+   * occurrences stay plain text. Manual links are always kept. Default: no limit.
+   */
+  maxLinksPerTerm?: number;
+  /**
+   * Whether the link limit applies to the whole page, or restarts at each heading.
+   * Default: 'page'.
+   */
+  linkLimitScope?: LinkLimitScope;
+  /**
+   * Globs, relative to the site directory, of the files the remark plugin auto-links, e.g.
+   * `['docs/**']`. A glob naming a directory covers everything in it. Default: every file.
+   */
+  includePaths?: string[];
+  /**
+   * Globs, relative to the site directory, of the files the remark plugin doesn't auto-link,
+   * e.g. `['docs/changelog.md', 'docs/api']`. Pages can also opt out with `glossary: false`
+   * in their front matter. Manual links are kept. Default: none.
+   */
+  excludePaths?: string[];
+  /**
+   * Inflected forms the remark plugin also links for each term and alias: 'english' for the
+   * built-in rules (plurals, irregular plurals and possessives), false for none, or a
+   * function returning the forms of a phrase, e.g. for another language. Terms listing
+   * `forms` use those instead. Default: 'english'.
+   */
+  inflector?: 'english' | false | Inflector;
+  /**
+   * How the remark plugin tells whole words apart. Use 'segmenter' for languages written
+   * without spaces, such as Japanese or Chinese. Default: 'unicode'.
+   */
+  wordBoundaries?: WordBoundaries;
 }
 
 /** Options accepted by the `remark/glossary-terms` plugin. */
@@ -51,7 +250,46 @@ export interface RemarkGlossaryTermsOptions {
   routePath?: string;
   siteDir?: string | null;
   expandAcronymsOnFirstUse?: boolean;
+  /** Plugin instance `id` passed to generated `GlossaryTerm` elements. */
+  glossaryId?: string | null;
+  /** Locale being built; non-default locales merge in their localized glossary. */
+  locale?: string | null;
+  defaultLocale?: string | null;
+  localizationDir?: string | null;
+  localizedGlossaryPath?: string | null;
+  /** What to do when a loaded glossary has validation errors. Default: 'warn'. */
+  onValidationError?: OnValidationError;
+  /** Report the acronyms of each file missing from the glossary. Default: false. */
+  undefinedAcronyms?: boolean | UndefinedAcronymsOptions;
+  /** Link only the first occurrence of each term per `linkLimitScope`. Default: false. */
+  linkFirstOccurrenceOnly?: boolean;
+  /** Number of occurrences of each term linked per `linkLimitScope`. Default: no limit. */
+  maxLinksPerTerm?: number | null;
+  /** Whether the link limit applies to the whole page or each section. Default: 'page'. */
+  linkLimitScope?: LinkLimitScope;
+  /** Globs, relative to siteDir, of the files to auto-link. Default: every file. */
+  includePaths?: string[];
+  /** Globs, relative to siteDir, of the files not to auto-link. Default: none. */
+  excludePaths?: string[];
+  /** Inflected forms linked for each term and alias. Default: 'english'. */
+  inflector?: 'english' | false | Inflector;
+  /** How whole words are told apart; 'segmenter' segments text for `locale`. Default: 'unicode'. */
+  wordBoundaries?: WordBoundaries;
+  /** Warn about manual links and front matter naming no glossary term. Default: true. */
+  warnUnknownTerms?: boolean;
 }
 
-/** The transformer returned by the remark plugin factory. */
-export type RemarkGlossaryTermsTransformer = (tree: unknown) => unknown;
+/**
+ * The `glossary` front matter field of a page: `false` turns auto-linking off for the page,
+ * `exclude` lists terms not to auto-link in it.
+ */
+export type GlossaryFrontMatter = false | { exclude?: string[] };
+
+/**
+ * The transformer returned by the remark plugin factory. It sets
+ * `file.data.glossaryTermUsage` to the number of linked occurrences of each term.
+ */
+export type RemarkGlossaryTermsTransformer = (
+  tree: unknown,
+  file?: { data: Record<string, unknown> }
+) => unknown;
@@ -1,15 +1,49 @@
 import type { GlossaryData, GlossaryTerm } from './index.js';
+import type { OnValidationError } from './types.js';
+import { getTermSlug, slugify } from './term-slug.js';
+
+export type { OnValidationError };
 
 export interface ValidationError {
   field: string;
   message: string;
   value?: unknown;
+  /** Source file the error originates from */
+  file?: string;
+  /** 1-based line of the offending value in `file`, when the loader tracked positions */
+  line?: number;
+  /** 1-based column of the offending value in `file` */
+  column?: number;
+}
+
+/** Maps an error field such as `terms[3].definition` to its position in the glossary source */
+export type ValidationErrorLocator = (
+  field: string
+) => { file?: string; line: number; column: number } | undefined;
+
+/** Where a valid term comes from, so errors found once glossaries are merged can be located */
+export interface TermOrigin {
+  /** Position of the term in the `terms` array of its source */
+  index: number;
+  /** Source file of the term, when the loader knows it */
+  file?: string;
+  /** Maps error fields of the term's source to positions */
+  locate?: ValidationErrorLocator;
 }
 
 export interface ValidationResult {
   valid: boolean;
   errors: ValidationError[];
   data: GlossaryData;
+  /** Origin of each term of `data.terms` */
+  origins: TermOrigin[];
+}
+
+/** A glossary source validated with `crossReferences: false`, for {@link validateMergedGlossary} */
+export interface ValidatedGlossarySource {
+  /** Glossary file or directory, used for errors of terms without a file */
+  path: string;
+  result: ValidationResult;
 }
 
 /**
@@ -169,6 +203,186 @@ function validateTerm(term: unknown, index: number): ValidationError[] {
     }
   }
 
+  // Optional: forms (string[])
+  if ('forms' in termObj && termObj.forms !== undefined) {
+    if (!Array.isArray(termObj.forms)) {
+      errors.push({
+        field: `${prefix}.forms`,
+        message: `Field "forms" must be an array, got ${typeof termObj.forms}`,
+        value: termObj.forms,
+      });
+    } else {
+      termObj.forms.forEach((form, formIndex) => {
+        if (typeof form !== 'string') {
+          errors.push({
+            field: `${prefix}.forms[${formIndex}]`,
+            message: `Form must be a string, got ${typeof form}`,
+            value: form,
+          });
+        } else if (form.trim() === '') {
+          errors.push({
+            field: `${prefix}.forms[${formIndex}]`,
+            message: 'Form cannot be empty',
+            value: form,
+          });
+        }
+      });
+    }
+  }
+
+  // Optional: tags (string[])
+  if ('tags' in termObj && termObj.tags !== undefined) {
+    if (!Array.isArray(termObj.tags)) {
+      errors.push({
+        field: `${prefix}.tags`,
+        message: `Field "tags" must be an array, got ${typeof termObj.tags}`,
+        value: termObj.tags,
+      });
+    } else {
+      termObj.tags.forEach((tag, tagIndex) => {
+        if (typeof tag !== 'string') {
+          errors.push({
+            field: `${prefix}.tags[${tagIndex}]`,
+            message: `Tag must be a string, got ${typeof tag}`,
+            value: tag,
+          });
+        } else if (tag.trim() === '') {
+          errors.push({
+            field: `${prefix}.tags[${tagIndex}]`,
+            message: 'Tag cannot be empty',
+            value: tag,
+          });
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * A structurally valid term, with its position in the original `terms` array
+ */
+interface TermEntry {
+  term: GlossaryTerm;
+  index: number;
+  file?: string;
+  locate?: ValidationErrorLocator;
+}
+
+/**
+ * Checks references between terms: `relatedTerms` that resolve to no term, aliases
+ * that collide with another term's name or alias, duplicate ids and anchor slug
+ * collisions. Terms defined twice under the same name are left to the duplicate check.
+ *
+ * @param entries - Structurally valid terms
+ * @returns Array of validation errors (empty if valid)
+ */
+function validateCrossReferences(entries: TermEntry[]): ValidationError[] {
+  const errors: ValidationError[] = [];
+  const locate = (entry: TermEntry) => entry.file ?? `terms[${entry.index}]`;
+  const report = (entry: TermEntry, field: string, message: string, value: unknown) => {
+    const error = {
+      field: `terms[${entry.index}]${field}`,
+      message,
+      value,
+      ...(entry.file ? { file: entry.file } : {}),
+    };
+    errors.push(entry.locate ? locateError(error, entry.locate) : error);
+  };
+
+  // Lookups by lowercase name, explicit id and anchor slug; the first definition wins
+  const byName = new Map<string, TermEntry>();
+  const byId = new Map<string, TermEntry>();
+  const bySlug = new Map<string, TermEntry>();
+  entries.forEach(entry => {
+    const name = entry.term.term.toLowerCase();
+    if (!byName.has(name)) {
+      byName.set(name, entry);
+    }
+  });
+
+  entries.forEach(entry => {
+    const { term } = entry;
+    const name = term.term.toLowerCase();
+    if (byName.get(name) !== entry) {
+      return;
+    }
+
+    if (term.id !== undefined) {
+      const first = byId.get(term.id);
+      if (first) {
+        report(entry, '.id', `Duplicate id "${term.id}" (also used by ${locate(first)})`, term.id);
+        return;
+      }
+      byId.set(term.id, entry);
+    }
+
+    const slug = getTermSlug(term);
+    const first = bySlug.get(slug);
+    if (first) {
+      report(
+        entry,
+        term.id !== undefined ? '.id' : '.term',
+        `Term "${term.term}" has the same anchor "${slug}" as "${first.term.term}" (${locate(first)})`,
+        slug
+      );
+    } else {
+      bySlug.set(slug, entry);
+    }
+  });
+
+  // Aliases: each phrase may link to a single term only, including the aliases of
+  // `autoLink: false` terms, which manual links resolve
+  const aliasOwners = new Map<string, TermEntry>();
+  entries.forEach(entry => {
+    const { term } = entry;
+    if (!Array.isArray(term.aliases)) {
+      return;
+    }
+    term.aliases.forEach((alias, aliasIndex) => {
+      const key = alias.toLowerCase();
+      const field = `.aliases[${aliasIndex}]`;
+      const namedTerm = byName.get(key);
+      if (namedTerm && namedTerm.term.term.toLowerCase() !== term.term.toLowerCase()) {
+        report(
+          entry,
+          field,
+          `Alias "${alias}" collides with the term "${namedTerm.term.term}" (${locate(namedTerm)})`,
+          alias
+        );
+        return;
+      }
+      const owner = aliasOwners.get(key);
+      if (owner && owner !== entry) {
+        report(
+          entry,
+          field,
+          `Alias "${alias}" is also an alias of "${owner.term.term}" (${locate(owner)})`,
+          alias
+        );
+      } else {
+        aliasOwners.set(key, entry);
+      }
+    });
+  });
+
+  // Related terms must name (or give the id of) an existing term
+  entries.forEach(entry => {
+    entry.term.relatedTerms?.forEach((related, relatedIndex) => {
+      const resolves =
+        byName.has(related.toLowerCase()) || byId.has(related) || bySlug.has(slugify(related));
+      if (!resolves) {
+        report(
+          entry,
+          `.relatedTerms[${relatedIndex}]`,
+          `Related term "${related}" does not match any term in the glossary`,
+          related
+        );
+      }
+    });
+  });
+
   return errors;
 }
 
@@ -179,18 +393,112 @@ function validateTerm(term: unknown, index: number): ValidationError[] {
  * - Must be an object with a "terms" array
  * - Each term must have "term" (string) and "definition" (string)
  * - Optional fields: abbreviation (string), relatedTerms (string[]), id (string)
+ * - Cross-references must be consistent: every `relatedTerms` entry names an existing
+ *   term, aliases don't collide with other terms' names or aliases, and ids/anchors are unique
+ * - A top-level "$schema" key (editor hint pointing at `schema.json`) is accepted and dropped
+ *
+ * Terms overridden through `extends` are merged away by the loader before validation,
+ * so duplicate errors only concern terms defined twice by the same source.
  *
  * @param data - The data to validate
  * @param options - Validation options
  * @param options.throwOnError - If true, throws an error on validation failure (default: true)
+ * @param options.termFiles - Source file of each entry in `terms`, attached to term-level errors
+ * @param options.locate - Maps error fields to source positions (see `readGlossarySource`), so
+ *   errors carry `file`, `line` and `column`
+ * @param options.crossReferences - If false, skips the checks between terms, for a source
+ *   that is merged with others first (see {@link validateMergedGlossary}; default: true)
  * @returns Validation result with errors and sanitized data
  * @throws Error if data is invalid and throwOnError is true
  */
 export function validateGlossaryData(
   data: unknown,
-  options: { throwOnError?: boolean } = {}
+  options: {
+    throwOnError?: boolean;
+    termFiles?: (string | undefined)[];
+    locate?: ValidationErrorLocator;
+    crossReferences?: boolean;
+  } = {}
+): ValidationResult {
+  const { throwOnError = true, termFiles = [], locate, crossReferences = true } = options;
+  const result = validateGlossaryStructure(data, termFiles, crossReferences);
+  const errors = locate ? result.errors.map(err => locateError(err, locate)) : result.errors;
+  const origins = locate ? result.origins.map(origin => ({ ...origin, locate })) : result.origins;
+
+  if (throwOnError && errors.length > 0) {
+    throw new GlossaryValidationError(errors);
+  }
+
+  return { ...result, errors, origins };
+}
+
+/**
+ * Validation errors of a glossary merged from sources validated separately with
+ * `crossReferences: false`, such as a localized glossary overlaid onto the default-locale
+ * one: the errors of each source, then those of the references between the merged terms.
+ * A localized term may relate to an untranslated term, and its aliases must not collide
+ * with those of default-locale terms. Reference errors are attributed to the last source
+ * defining a term of the same name.
+ *
+ * @param terms - Terms of the merged glossary
+ * @param sources - The merged sources, in merge order
+ * @returns Array of validation errors (empty if valid)
+ */
+export function validateMergedGlossary(
+  terms: GlossaryTerm[],
+  sources: ValidatedGlossarySource[]
+): ValidationError[] {
+  const originsByName = new Map<string, TermOrigin>();
+  sources.forEach(({ path, result }) => {
+    result.data.terms.forEach((term, index) => {
+      const origin = result.origins[index];
+      originsByName.set(term.term.toLowerCase(), { ...origin, file: origin.file ?? path });
+    });
+  });
+
+  return [
+    ...sources.flatMap(({ path, result }) =>
+      result.errors.map(err => (err.file ? err : { ...err, file: path }))
+    ),
+    ...validateCrossReferences(
+      terms.map((term, index) => ({ index, ...originsByName.get(term.term.toLowerCase()), term }))
+    ),
+  ];
+}
+
+/**
+ * Adds the file, line and column of an error's field, when the locator knows them
+ *
+ * @param error - The validation error
+ * @param locate - Maps error fields to source positions
+ * @returns The located error
+ */
+function locateError(error: ValidationError, locate: ValidationErrorLocator): ValidationError {
+  const location = locate(error.field);
+  if (!location) {
+    return error;
+  }
+  return {
+    ...error,
+    file: location.file ?? error.file,
+    line: location.line,
+    column: location.column,
+  };
+}
+
+/**
+ * Collects the errors of {@link validateGlossaryData}, without locating or throwing them
+ *
+ * @param data - The data to validate
+ * @param termFiles - Source file of each entry in `terms`
+ * @param crossReferences - Whether to check the references between terms
+ * @returns Validation result with errors and sanitized data
+ */
+function validateGlossaryStructure(
+  data: unknown,
+  termFiles: (string | undefined)[],
+  crossReferences: boolean
 ): ValidationResult {
-  const { throwOnError = true } = options;
   const errors: ValidationError[] = [];
 
   // Check if data is null or undefined
@@ -201,11 +509,7 @@ export function validateGlossaryData(
       value: data,
     });
 
-    if (throwOnError && errors.length > 0) {
-      throw new GlossaryValidationError(errors);
-    }
-
-    return { valid: false, errors, data: { terms: [] } };
+    return { valid: false, errors, data: { terms: [] }, origins: [] };
   }
 
   // Check if data is an object
@@ -216,11 +520,7 @@ export function validateGlossaryData(
       value: data,
     });
 
-    if (throwOnError && errors.length > 0) {
-      throw new GlossaryValidationError(errors);
-    }
-
-    return { valid: false, errors, data: { terms: [] } };
+    return { valid: false, errors, data: { terms: [] }, origins: [] };
   }
 
   const glossaryData = data as Record<string, unknown>;
@@ -231,10 +531,6 @@ export function validateGlossaryData(
       field: 'title',
       message: 'The title property in the GlossaryData must be a string.',
     });
-
-    if (throwOnError && errors.length > 0) {
-      throw new GlossaryValidationError(errors);
-    }
   }
   const validTitle = glossaryData.title as string;
 
@@ -243,10 +539,6 @@ export function validateGlossaryData(
       field: 'description',
       message: 'The description property in the GlossaryData must be a string.',
     });
-
-    if (throwOnError && errors.length > 0) {
-      throw new GlossaryValidationError(errors);
-    }
   }
 
   const validDescription = glossaryData.description as string;
@@ -258,11 +550,7 @@ export function validateGlossaryData(
       message: 'Glossary data must contain a "terms" array',
     });
 
-    if (throwOnError && errors.length > 0) {
-      throw new GlossaryValidationError(errors);
-    }
-
-    return { valid: false, errors, data: { terms: [] } };
+    return { valid: false, errors, data: { terms: [] }, origins: [] };
   }
 
   if (!Array.isArray(glossaryData.terms)) {
@@ -272,51 +560,93 @@ export function validateGlossaryData(
       value: glossaryData.terms,
     });
 
-    if (throwOnError && errors.length > 0) {
-      throw new GlossaryValidationError(errors);
-    }
-
-    return { valid: false, errors, data: { terms: [] } };
+    return { valid: false, errors, data: { terms: [] }, origins: [] };
   }
 
   // Validate each term
   const validTerms: GlossaryTerm[] = [];
+  const validTermFiles: (string | undefined)[] = [];
+  const validTermIndexes: number[] = [];
   glossaryData.terms.forEach((term, index) => {
     const termErrors = validateTerm(term, index);
     if (termErrors.length > 0) {
-      errors.push(...termErrors);
+      const file = termFiles[index];
+      errors.push(...termErrors.map(err => (file ? { ...err, file } : err)));
     } else {
       // Term is valid, add to valid terms
       validTerms.push(term as GlossaryTerm);
+      validTermFiles.push(termFiles[index]);
+      validTermIndexes.push(index);
     }
   });
 
-  // Check for duplicate terms
+  // Check for duplicate terms (fields use positions in the original `terms` array)
   const termNames = new Map<string, number>();
   validTerms.forEach((term, index) => {
     const lowerName = term.term.toLowerCase();
     if (termNames.has(lowerName)) {
+      const file = validTermFiles[index];
+      const firstIndex = termNames.get(lowerName) as number;
+      const firstLocation = validTermFiles[firstIndex] ?? `index ${validTermIndexes[firstIndex]}`;
       errors.push({
-        field: `terms[${index}].term`,
-        message: `Duplicate term "${term.term}" (first occurrence at index ${termNames.get(lowerName)})`,
+        field: `terms[${validTermIndexes[index]}].term`,
+        message: `Duplicate term "${term.term}" (first occurrence at ${firstLocation})`,
         value: term.term,
+        ...(file ? { file } : {}),
       });
     } else {
       termNames.set(lowerName, index);
     }
   });
 
-  if (throwOnError && errors.length > 0) {
-    throw new GlossaryValidationError(errors);
+  const origins: TermOrigin[] = validTerms.map((_, index) => ({
+    index: validTermIndexes[index],
+    ...(validTermFiles[index] ? { file: validTermFiles[index] } : {}),
+  }));
+  if (crossReferences) {
+    errors.push(
+      ...validateCrossReferences(validTerms.map((term, index) => ({ ...origins[index], term })))
+    );
   }
 
   return {
     valid: errors.length === 0,
     errors,
     data: { title: validTitle, description: validDescription, terms: validTerms },
+    origins,
   };
 }
 
+/**
+ * Surfaces the errors of a glossary validation according to `onValidationError`
+ *
+ * @param errors - Errors returned by `validateGlossaryData`
+ * @param source - Glossary file or directory the errors come from
+ * @param onValidationError - What to do with the errors (default: 'warn')
+ * @throws GlossaryValidationError listing every error when onValidationError is 'throw'
+ */
+export function reportValidationErrors(
+  errors: ValidationError[],
+  source: string,
+  onValidationError: OnValidationError = 'warn'
+): void {
+  if (errors.length === 0 || onValidationError === 'ignore') {
+    return;
+  }
+
+  if (onValidationError === 'throw') {
+    throw new GlossaryValidationError(
+      errors.map(err => (err.file ? err : { ...err, file: source }))
+    );
+  }
+
+  console.warn(`[glossary-plugin] Glossary file has validation errors at ${source}:`);
+  errors.forEach(err => {
+    console.warn(`  - ${formatErrorLocation(err)}[${err.field}] ${err.message}`);
+  });
+  console.warn('[glossary-plugin] Proceeding with valid terms only.');
+}
+
 /**
  * Custom error class for glossary validation errors
  * Provides detailed error messages for debugging
@@ -339,6 +669,23 @@ export class GlossaryValidationError extends Error {
   }
 }
 
+/**
+ * Formats where an error comes from as a clickable `path:line:col: ` prefix (or `path: `
+ * without a position)
+ *
+ * @param error - The validation error
+ * @returns The prefix, empty when the error has no file
+ */
+export function formatErrorLocation(error: ValidationError): string {
+  if (!error.file) {
+    return '';
+  }
+  if (error.line === undefined) {
+    return `${error.file}: `;
+  }
+  return `${error.file}:${error.line}:${error.column ?? 1}: `;
+}
+
 /**
  * Formats validation errors into a readable string
  *
@@ -353,7 +700,7 @@ export function formatValidationErrors(errors: ValidationError[]): string {
   const header = `Glossary validation failed with ${errors.length} error${errors.length > 1 ? 's' : ''}:`;
   const errorList = errors
     .map((err, index) => {
-      let msg = `  ${index + 1}. [${err.field}] ${err.message}`;
+      let msg = `  ${index + 1}. ${formatErrorLocation(err)}[${err.field}] ${err.message}`;
       if (err.value !== undefined) {
         const valueStr =
           typeof err.value === 'object' ? JSON.stringify(err.value) : String(err.value);
@@ -7,8 +7,10 @@ export default defineConfig({
     validation: 'src/validation.ts',
     'remark/glossary-terms': 'src/remark/glossary-terms.js',
     'client/index': 'src/client/index.js',
-    'components/GlossaryPage': 'src/components/GlossaryPage.js',
+    'theme/GlossaryDefinition/index': 'src/theme/GlossaryDefinition/index.js',
+    'theme/GlossaryPage/index': 'src/theme/GlossaryPage/index.js',
     'theme/GlossaryTerm/index': 'src/theme/GlossaryTerm/index.js',
+    'theme/GlossaryTermPage/index': 'src/theme/GlossaryTermPage/index.js',
   },
   dts: {
     entry: {
@@ -29,7 +31,11 @@ export default defineConfig({
     '@docusaurus/useGlobalData',
     '@docusaurus/useDocusaurusContext',
     '@docusaurus/Link',
+    '@docusaurus/Head',
+    '@docusaurus/Translate',
+    '@docusaurus/router',
     '@theme/Layout',
+    '@theme/GlossaryDefinition',
     '@theme-original/Root',
     'react',
     'react-dom',